@@ -1,11 +1,12 @@
 const path = require("path");
 const fs = require("fs");
+const { runtimeEnvPath } = require("./js-scripts/helpers/envUpdater");
 const CWD = process.env.APP_CWD || process.cwd();
 const ENV_DEFAULT = {
   cwd: CWD,
   autorestart: true,
   max_restarts: 10,
-  env_file: process.env.ENV_FILE || path.join(CWD, ".env.runtime"),
+  env_file: runtimeEnvPath({ ...process.env, APP_CWD: CWD }),
   env: {
     APP_CWD: CWD,
     TZ: "Asia/Ho_Chi_Minh",
@@ -19,6 +20,12 @@ module.exports = {
       name: "http-proxy-listener",
       script: path.join(CWD, "http-proxy-listener.js"),
       interpreter: "node",
+      // proxy tự drain khi nhận SIGINT => PM2 phải chờ đủ lâu trước khi SIGKILL
+      kill_timeout:
+        (parseInt(process.env.ENV_HTTP_PROXY_SHUTDOWN_ANNOUNCE_MS, 10) || 0) +
+        (parseInt(process.env.ENV_HTTP_PROXY_SHUTDOWN_GRACE_MS, 10) || 30000) +
+        (parseInt(process.env.ENV_HTTP_PROXY_SHUTDOWN_WS_CLOSE_MS, 10) || 2000) +
+        3000,
     },
     {
       ...ENV_DEFAULT,
@@ -1,11 +1,27 @@
 // envListener.js
 // Chạy trực tiếp: node envListener.js [SERVICE_ACCOUNT_BASE64_ENV_KEY]
+// CLI lịch sử config (envHistory.js):
+//   node envListener.js history [limit]      : liệt kê version đã áp dụng
+//   node envListener.js diff <a> [b]         : so 2 version (b mặc định = mới nhất), giá trị bí mật đã che
+//   node envListener.js rollback <version>   : ghi lại /config = snapshot của version => listener đang chạy áp dụng như thường
+//                                              (giá trị bí mật lấy từ file local, hoặc giải mã bằng ENV_LISTENER_HISTORY_KEY)
 //
 // Nhiệm vụ:
 // - Lắng nghe Firebase RTDB (/config mặc định)
 // - Bỏ qua callback đầu tiên (snapshot ban đầu) => KHÔNG update/restart
-// - Khi dữ liệu thay đổi thật sự (process.env khác) => update ENV (.env + process.env + GitHub/Azure export nếu có)
-// - Nếu ENV thay đổi => restart PM2 tuần tự (sequential)
+// - Khi dữ liệu thay đổi => so snapshot với .env.runtime theo từng key (added / changed / removed, log giá trị đã che)
+//   => chỉ ghi các key đổi qua updateEnv() (.env.runtime + process.env + GitHub/Azure export nếu có)
+// - Nếu ENV thay đổi thật sự => restart PM2 tuần tự (sequential); không đổi key nào => không restart
+// - Có restart map (envRestartMap.js) => chỉ restart / reload app có key bị đổi, log lý do từng app
+// - Nhiều event liên tiếp (sửa nhiều key trên console) => gom lại (changeCoalescer.js), restart không bao giờ chồng nhau,
+//   event tới khi đang restart => áp dụng trạng thái mới nhất ngay sau khi xong
+// - Sau restart phải verify (pm2Restart.js: online ổn định + health URL); không đạt hoặc restart / reload lỗi
+//   => ghi lại .env.runtime cũ, restart lại các app đã đụng tới và ghi lỗi lên ENV_LISTENER_FAILURE_PATH;
+//   đúng snapshot đó không áp dụng lại cho tới khi /config đổi sang nội dung khác
+// - Mỗi lần apply => 1 version trong lịch sử (xem envHistory.js):
+//   + RTDB ENV_LISTENER_HISTORY_PATH: hash + giá trị đã che + snapshot khôi phục được (key bí mật mã hoá / chỉ hash)
+//   + local ENV_LISTENER_HISTORY_DIR (default ~/.env-listener/history): bản đầy đủ, mất cùng runner Actions
+//   subtree runtime nằm trong /config bị bỏ qua
 //
 // Chế độ “1 instance active” (khóa chạy):
 // - Khi envListener start => sinh instanceId + ghi activeInstanceId lên Firebase (runtime path riêng)
@@ -17,16 +33,31 @@
 //   hoặc truyền KEY qua argv[2]: node envListener.js <KEY_NAME>
 //
 // - ENV_LISTENER_FB_PATH                 : path chứa config env trên RTDB (default: /config)
-// - ENV_FILE_PATH                        : đường dẫn file .env (default: .env)
+// - ENV_FILE_PATH                        : file env PM2 đọc (env_file trong ecosystem.config.js) (default: <APP_CWD>/.env.runtime)
 //
 // - ENV_LISTENER_RESTART_APPS            : danh sách PM2 apps cần restart, CSV
 //   ví dụ: "nginx,cloudflared"  (restart tuần tự)
 //
+// - ENV_LISTENER_RESTART_MAP_PATH        : map key => app trên RTDB (default: <runtime>/restartMap)
+// - ENV_LISTENER_RESTART_MAP_FILE        : map key => app dạng file JSON khi RTDB chưa có (default: <APP_CWD>/env-restart-map.json)
+//
+// - ENV_LISTENER_DEBOUNCE_MS             : gom event trong khoảng yên lặng này (default: 3000)
+// - ENV_LISTENER_DEBOUNCE_MAX_WAIT_MS    : chờ tối đa kể từ event đầu tiên của đợt (default: 15000)
+//
 // - ENV_LISTENER_RUNTIME_PATH            : base path runtime cho listener (default: <ENV_LISTENER_FB_PATH>/__env_listener)
 //   runtime sẽ chứa:
 //   + <runtime>/activeInstanceId
 //   + <runtime>/instances/<instanceId>...
 //
+// - ENV_LISTENER_FAILURE_PATH            : lần apply gần nhất bị rollback, phải nằm ngoài /config (ghi vào /config => event mới
+//   => áp dụng lại đúng config lỗi => vòng lặp restart)
+//   (default: <runtime>/lastFailure nếu runtime nằm ngoài /config, ngược lại /__env_listener_failure<ENV_LISTENER_FB_PATH>)
+//
+// - ENV_LISTENER_HISTORY_PATH            : lịch sử config trên RTDB (xem envHistory.js), phải nằm ngoài /config
+//   (default: <runtime>/history nếu runtime nằm ngoài /config; runtime mặc định nằm trong /config
+//   => mặc định thực tế là /__env_listener_history<ENV_LISTENER_FB_PATH>, vd /__env_listener_history/config)
+// - ENV_LISTENER_HISTORY_KEY             : passphrase mã hoá giá trị bí mật trong snapshot lịch sử (CLI rollback cần cùng giá trị)
+//
 // - ENV_LISTENER_EXIT_CODE_ON_TAKEOVER   : exit code khi bị instance khác takeover (default: 0)
 //   gợi ý: set = 1 để fail job và dừng các step phía sau (GitHub Actions/Azure Pipelines)
 //
@@ -38,7 +69,23 @@ const admin = require("firebase-admin");
 const os = require("os");
 const { execSync } = require("child_process");
 
-const { restartPM2Apps } = require("./js-scripts/helpers/pm2Restart");
+const { runPM2Actions, loadVerifyConfig } = require("./js-scripts/helpers/pm2Restart");
+const { updateEnv, runtimeEnvPath } = require("./js-scripts/helpers/envUpdater");
+const { snapshotToEnv, readEnvFile, roundTripEnv, diffEnv, describeDiff } = require("./js-scripts/helpers/envDiff");
+const { restartMapFilePath, normalizeRestartMap, loadRestartMapFile, planRestarts, describePlan } = require("./js-scripts/helpers/envRestartMap");
+const { ChangeCoalescer, loadCoalesceConfig } = require("./js-scripts/helpers/changeCoalescer");
+const {
+  EnvHistory,
+  loadHistoryConfig,
+  hashConfig,
+  fingerprintEnv,
+  diffFingerprints,
+  openSnapshot,
+  versionKey,
+  parseVersion,
+} = require("./js-scripts/helpers/envHistory");
+
+const DEFAULT_SA_ENV_KEY = "ENV_LISTENER_FB_SERVICES_ACCOUNT_BASE64";
 
 function normalizeBase64(input) {
   if (!input || typeof input !== "string") return "";
@@ -115,6 +162,39 @@ function parseCsv(input) {
     .filter(Boolean);
 }
 
+function resolvePaths(options = {}) {
+  const firebasePath = options.firebasePath || process.env.ENV_LISTENER_FB_PATH || "/config";
+  // runtime path (tách riêng khỏi /config để không đụng data ENV)
+  const runtimeBase = options.runtimePath || process.env.ENV_LISTENER_RUNTIME_PATH || joinPath(firebasePath, "__env_listener");
+  // history (hash + giá trị đã che) không nằm dưới /config: subtree đó là data ENV, ai đọc được /config cũng đọc được nó
+  const historyPath =
+    options.historyPath ||
+    process.env.ENV_LISTENER_HISTORY_PATH ||
+    (runtimeChildKey(firebasePath, runtimeBase) ? joinPath("/__env_listener_history", firebasePath) : joinPath(runtimeBase, "history"));
+  // lastFailure ghi sau mỗi lần rollback => dưới /config sẽ bắn lại event cho chính config vừa lỗi
+  const failurePath =
+    options.failurePath ||
+    process.env.ENV_LISTENER_FAILURE_PATH ||
+    (runtimeChildKey(firebasePath, runtimeBase) ? joinPath("/__env_listener_failure", firebasePath) : joinPath(runtimeBase, "lastFailure"));
+  return { firebasePath, runtimeBase, historyPath, failurePath };
+}
+
+// runtime nằm trong /config (mặc định /config/__env_listener) => key con cấp 1 của /config chứa nó, ngược lại null
+function runtimeChildKey(firebasePath, runtimeBase) {
+  const base = joinPath(firebasePath, "");
+  const rt = joinPath(runtimeBase, "");
+  const prefix = base === "/" ? "/" : `${base}/`;
+  if (!rt.startsWith(prefix) || rt === base) return null;
+  return rt.slice(prefix.length).split("/")[0];
+}
+
+// bỏ subtree runtime khỏi snapshot /config (không phải ENV, và ghi history vào đó không được kích hoạt apply lại)
+function stripRuntime(data, childKey) {
+  if (!childKey || !data || typeof data !== "object" || !(childKey in data)) return data;
+  const { [childKey]: _, ...rest } = data;
+  return Object.keys(rest).length ? rest : null;
+}
+
 function tryPm2StopSelf() {
   try {
     execSync("pm2 stop envListener", { stdio: "ignore" });
@@ -129,22 +209,26 @@ function tryPm2StopSelf() {
  * - returns runner with stop/shutdown
  */
 function startEnvListener(serviceAccountB64EnvKey, options = {}) {
-  const firebasePath = options.firebasePath || process.env.ENV_LISTENER_FB_PATH || "/config";
-  const envFilePath = options.envFilePath || process.env.ENV_FILE_PATH || ".env";
+  const { firebasePath, runtimeBase, historyPath, failurePath } = resolvePaths(options);
+  const runtimeKey = runtimeChildKey(firebasePath, runtimeBase);
+  const envFilePath = options.envFilePath || runtimeEnvPath();
 
   const pm2Apps = options.pm2Apps || (process.env.ENV_LISTENER_RESTART_APPS ? parseCsv(process.env.ENV_LISTENER_RESTART_APPS) : []);
 
-  // runtime path (tách riêng khỏi /config để không đụng data ENV)
-  const runtimeBase = options.runtimePath || process.env.ENV_LISTENER_RUNTIME_PATH || joinPath(firebasePath, "__env_listener");
-
   const activeIdPath = joinPath(runtimeBase, "activeInstanceId");
   const instancesPath = joinPath(runtimeBase, "instances");
+  const restartMapPath = options.restartMapPath || process.env.ENV_LISTENER_RESTART_MAP_PATH || joinPath(runtimeBase, "restartMap");
+  const restartMapFile = options.restartMapFile || restartMapFilePath();
+  const coalesceConfig = options.coalesce || loadCoalesceConfig();
+  const verifyConfig = options.verify || loadVerifyConfig();
+  const historyConfig = options.history || loadHistoryConfig();
 
   const serviceAccount = decodeServiceAccountFromEnv(serviceAccountB64EnvKey);
   const { app, projectId } = initFirebase(serviceAccount);
 
   const instanceId = makeInstanceId();
   const hostname = os.hostname();
+  const healthApps = Object.keys(verifyConfig.healthUrls);
 
   console.log("🚀 ENV Listener started\n");
   console.log("Configuration:");
@@ -155,6 +239,19 @@ function startEnvListener(serviceAccountB64EnvKey, options = {}) {
   console.log(`  - ActiveId Path: ${activeIdPath}`);
   console.log(`  - ENV File: ${envFilePath}`);
   console.log(`  - PM2 Apps: ${Array.isArray(pm2Apps) && pm2Apps.length ? pm2Apps.join(", ") : "None"}`);
+  console.log(`  - Restart Map: ${restartMapPath} (fallback file: ${restartMapFile})`);
+  console.log(`  - Debounce: ${coalesceConfig.debounceMs}ms (max wait ${coalesceConfig.maxWaitMs}ms)`);
+  console.log(
+    `  - History: ${historyConfig.dir} + ${historyPath} (keep ${historyConfig.max}, secrets ${historyConfig.key ? "encrypted" : "hash only"})`
+  );
+  if (runtimeChildKey(firebasePath, historyPath)) {
+    console.warn(`⚠️  History path ${historyPath} is inside ${firebasePath}: every recorded version triggers a change event and shows up as ENV keys`);
+  }
+  console.log(`  - Last Failure: ${failurePath}`);
+  if (runtimeChildKey(firebasePath, failurePath)) {
+    console.warn(`⚠️  Failure path ${failurePath} is inside ${firebasePath}: every rollback triggers a change event and shows up as ENV keys`);
+  }
+  console.log(`  - Verify: stable ${verifyConfig.stableMs}ms, health URLs: ${healthApps.length ? healthApps.join(", ") : "None"}`);
   console.log(`  - InstanceId: ${instanceId}`);
   console.log(`  - Hostname: ${hostname}`);
   console.log(`  - GitHub Actions: ${process.env.GITHUB_ENV ? "Yes" : "No"}`);
@@ -164,11 +261,18 @@ function startEnvListener(serviceAccountB64EnvKey, options = {}) {
   const envRef = app.database().ref(firebasePath);
   const activeIdRef = app.database().ref(activeIdPath);
   const instanceRef = app.database().ref(joinPath(instancesPath, instanceId));
+  const restartMapRef = app.database().ref(restartMapPath);
+  const lastFailureRef = app.database().ref(failurePath);
+  const history = new EnvHistory(historyConfig, app.database().ref(historyPath));
 
   let isFirstEnvSnapshot = true;
+  let failedHash = null; // hash snapshot /config vừa bị rollback (không áp dụng lại cho tới khi /config đổi)
   let isFirstActiveIdSnapshot = true;
   let exiting = false;
 
+  // map key => app: RTDB (undefined = chưa nhận snapshot / null = không có) > file local
+  let remoteRestartMap;
+
   const safeExit = async (code = 0, reason = "") => {
     if (exiting) return;
     exiting = true;
@@ -178,6 +282,8 @@ function startEnvListener(serviceAccountB64EnvKey, options = {}) {
     try {
       envRef.off();
       activeIdRef.off();
+      restartMapRef.off();
+      coalescer.stop();
     } catch {}
 
     try {
@@ -248,41 +354,178 @@ function startEnvListener(serviceAccountB64EnvKey, options = {}) {
     (err) => console.error("❌ ActiveId listener error:", err.message)
   );
 
-  // ✅ 3) Watch ENV config path: bỏ qua snapshot đầu tiên
-  const onEnvValue = async (snapshot) => {
-    const data = snapshot.val();
+  // ✅ 3) Watch restart map (key => app), lỗi => giữ map hiện tại
+  restartMapRef.on(
+    "value",
+    (snap) => {
+      try {
+        remoteRestartMap = normalizeRestartMap(snap.val());
+        console.log(
+          remoteRestartMap
+            ? `🗺️  Restart map loaded from ${restartMapPath}: ${remoteRestartMap.rules.length} rules (unmatched: ${remoteRestartMap.unmatched})`
+            : `🗺️  No restart map at ${restartMapPath} (using ${restartMapFile} if present)`
+        );
+      } catch (e) {
+        console.error(`❌ Invalid restart map at ${restartMapPath}: ${e.message} (keeping current map)`);
+      }
+    },
+    (err) => console.error("❌ Restart map listener error:", err.message)
+  );
 
-    if (isFirstEnvSnapshot) {
-      isFirstEnvSnapshot = false;
-      console.log("👂 Initial ENV snapshot received (skipped - no update/restart).");
+  const currentRestartMap = () => {
+    if (remoteRestartMap) return { map: remoteRestartMap, source: restartMapPath };
+    try {
+      const map = loadRestartMapFile(restartMapFile);
+      return { map, source: map ? restartMapFile : "none" };
+    } catch (e) {
+      console.error(`❌ Invalid restart map file ${restartMapFile}: ${e.message} (restart all)`);
+      return { map: null, source: "none" };
+    }
+  };
+
+  // ✅ 4) Áp dụng snapshot /config (chỉ gọi qua coalescer => không bao giờ chạy song song)
+  const applyEnvSnapshot = async (data, batch) => {
+    console.log(`\n📦 Applying latest ENV snapshot (${batch.events} change event(s) in ${Date.now() - batch.firstAt}ms)`);
+
+    // snapshot rỗng => diff sẽ xoá sạch .env.runtime + restart mọi app: không bao giờ áp dụng
+    if (data === undefined || data === null) {
+      console.warn(`⚠️  Empty ENV snapshot (${firebasePath} missing) -> ignored, ${envFilePath} unchanged`);
+      return;
+    }
+
+    // đúng nội dung vừa bị rollback => áp dụng lại chỉ lặp lại restart -> verify fail -> rollback
+    const hash = hashConfig(data);
+    if (hash === failedHash) {
+      console.warn(`⚠️  Snapshot ${hash.slice(0, 12)} was rolled back before -> skipped until ${firebasePath} changes`);
+      return;
+    }
+    failedHash = null;
+
+    // so từng key với file env đang chạy (không tải lại toàn bộ từ ENV_JSON_URL)
+    const current = readEnvFile(envFilePath);
+    const next = snapshotToEnv(data);
+    const diff = diffEnv(current, next);
+
+    if (diff.empty) {
+      console.log(`✅ No effective ENV change vs ${envFilePath} (skip restart)`);
+      return;
+    }
+
+    console.log(`🧮 ENV diff: +${diff.added.length} ~${diff.changed.length} -${diff.removed.length}`);
+    for (const line of describeDiff(diff, current)) console.log(line);
+
+    try {
+      updateEnv(diff.values, { envFilePath, remove: diff.removed });
+    } catch (error) {
+      console.error("❌ Error applying ENV diff (no restart):", error.message);
       return;
     }
 
-    console.log("\n🔔 Firebase ENV data changed");
+    const { map, source } = currentRestartMap();
+    const plan = planRestarts([...diff.added, ...diff.changed, ...diff.removed], map, pm2Apps);
 
+    console.log(`\n♻️  ENV updated -> restart plan (map: ${source})`);
+    for (const line of describePlan(plan)) console.log(line);
+
+    let result = null;
+    let restartError = null;
     try {
-      // Chạy file mjs và lấy kết quả qua stdout
-      console.log(`⚡⚡ node ./js-scripts/load-env-from-url.mjs`);
-      const stdout = execSync(`node ./js-scripts/load-env-from-url.mjs`, {
-        encoding: "utf8",
-        stdio: ["pipe", "pipe", "inherit"],
+      result = await runPM2Actions(plan.actions, { verify: verifyConfig });
+    } catch (e) {
+      restartError = e;
+      console.error("❌ Restart sequence error:", e.message);
+    }
+
+    // sequence lỗi giữa chừng (PM2 connect, ...) cũng phải trả env cũ như khi verify không đạt
+    // app restart / reload lỗi (failed) cũng tính như unhealthy: env mới có thể đã nửa áp dụng
+    if (restartError || !result.ok) {
+      await rollbackEnv(current, diff, plan, result, restartError);
+      failedHash = hash;
+    }
+
+    try {
+      const record = await history.record({
+        config: data,
+        env: roundTripEnv(next),
+        keys: diff,
+        result: !result ? "restart_error" : !result.ok ? "rolled_back" : "ok",
+        instanceId,
       });
-      console.log(`⚡⚡ stdout: ${stdout}`);
+      console.log(`🗂️  Recorded ${versionKey(record.version)} (${record.hash.slice(0, 12)}, ${record.source}, ${record.result})`);
+    } catch (e) {
+      console.error("❌ Failed to record config history:", e.message);
+    }
+  };
 
-      console.log("\n♻️  ENV updated -> restarting PM2 apps (sequential)...");
+  // ✅ Verify không đạt / restart lỗi => ghi lại env trước đó, chạy lại app đã đụng tới, báo lỗi lên RTDB
+  // result = null (sequence throw) => không biết app nào đã đụng tới => chạy lại toàn bộ plan
+  const rollbackEnv = async (previous, diff, plan, result, restartError = null) => {
+    console.log(`\n⏪ Rolling back ${envFilePath} to previous snapshot...`);
+
+    let restored = false;
+    let rollbackResult = null;
+    try {
+      const back = diffEnv(readEnvFile(envFilePath), previous);
+      updateEnv(back.values, { envFilePath, remove: back.removed });
+      restored = true;
+    } catch (e) {
+      console.error("❌ Rollback write error:", e.message);
+    }
+
+    if (restored) {
+      const touched = result ? new Set([...result.restarted, ...result.reloaded, ...result.failed.map((f) => f.name)]) : null;
+      const actions = touched ? plan.actions.filter((a) => touched.has(a.name)) : plan.actions;
       try {
-        await restartPM2Apps(pm2Apps);
+        rollbackResult = await runPM2Actions(actions, { verify: verifyConfig });
+        console.log(rollbackResult.ok ? "✅ Rollback applied, apps healthy" : "❌ Rollback applied but apps still unhealthy");
       } catch (e) {
-        console.error("❌ Restart sequence error:", e.message);
+        console.error("❌ Rollback restart error:", e.message);
       }
-    } catch (error) {
-      console.error("❌ Error running load-env-from-url.mjs:", error.message);
+    }
+
+    try {
+      await lastFailureRef.set({
+        at: admin.database.ServerValue.TIMESTAMP,
+        instanceId,
+        hostname,
+        envFile: envFilePath,
+        keys: { added: diff.added, changed: diff.changed, removed: diff.removed },
+        unhealthy: result ? result.unhealthy : [],
+        failed: result ? result.failed : [],
+        aborted: result ? result.aborted : [],
+        error: restartError ? restartError.message : null,
+        rolledBack: restored,
+        rollbackOk: rollbackResult ? rollbackResult.ok : false,
+      });
+      console.log(`📝 Failure recorded at ${failurePath}`);
+    } catch (e) {
+      console.error("❌ Failed to record failure:", e.message);
     }
   };
 
+  const coalescer = new ChangeCoalescer(coalesceConfig, applyEnvSnapshot);
+
+  // ✅ 5) Watch ENV config path: bỏ qua snapshot đầu tiên
+  const onEnvValue = (snapshot) => {
+    if (isFirstEnvSnapshot) {
+      isFirstEnvSnapshot = false;
+      console.log("👂 Initial ENV snapshot received (skipped - no update/restart).");
+      return;
+    }
+
+    console.log("🔔 Firebase ENV data changed");
+    coalescer.push(stripRuntime(snapshot.val(), runtimeKey));
+  };
+
   envRef.on(
     "value",
-    (snap) => Promise.resolve(onEnvValue(snap)).catch((e) => console.error("❌ Handler error:", e.message)),
+    (snap) => {
+      try {
+        onEnvValue(snap);
+      } catch (e) {
+        console.error("❌ Handler error:", e.message);
+      }
+    },
     (error) => console.error("❌ Firebase ENV listener error:", error.message)
   );
 
@@ -290,6 +533,8 @@ function startEnvListener(serviceAccountB64EnvKey, options = {}) {
     try {
       envRef.off();
       activeIdRef.off();
+      restartMapRef.off();
+      coalescer.stop();
       console.log("🛑 Listener stopped.");
     } catch {}
   }
@@ -320,15 +565,144 @@ function startEnvListener(serviceAccountB64EnvKey, options = {}) {
     activeIdPath,
     envFilePath,
     pm2Apps,
+    restartMapPath,
     stop,
     shutdown,
   };
 }
 
+// ====== CLI: history / diff / rollback ======
+function formatRecord(r) {
+  const k = r.keys || {};
+  const count = (x) => (Array.isArray(x) ? x.length : Object.keys(x || {}).length);
+  return [
+    versionKey(r.version),
+    r.appliedAt,
+    r.hash.slice(0, 12),
+    `by=${r.by}`,
+    `${r.instanceId}@${r.hostname}`,
+    `+${count(k.added)} ~${count(k.changed)} -${count(k.removed)}`,
+    r.result,
+    r.source === "firebase" ? "" : `(${r.source})`,
+  ]
+    .filter(Boolean)
+    .join("  ");
+}
+
+async function mustGet(history, input) {
+  const version = parseVersion(input);
+  const record = await history.get(version);
+  if (!record) throw new Error(`${versionKey(version)} not found in history`);
+  return record;
+}
+
+// so theo fingerprint (hash từng key) => không cần giá trị thật, chạy được cả với record chỉ có trên RTDB
+function printDiff(from, to) {
+  const diff = diffFingerprints(from.env, to.env);
+  console.log(`🧮 ${versionKey(from.version)} -> ${versionKey(to.version)}: +${diff.added.length} ~${diff.changed.length} -${diff.removed.length}`);
+  for (const line of diff.lines) console.log(line);
+  return diff;
+}
+
+// file local của máy đã áp dụng (đủ giá trị) > snapshot trên RTDB (giá trị bí mật cần ENV_LISTENER_HISTORY_KEY)
+function restoreConfig(target, historyConfig, current) {
+  const label = versionKey(target.version);
+  if (target.config) return target.config;
+  if (!target.snapshot) {
+    throw new Error(`${label} has no restorable snapshot (no local copy in ${historyConfig.dir}, recorded on ${target.hostname})`);
+  }
+
+  const { config, missing } = openSnapshot(target.snapshot, historyConfig.key, current);
+  if (missing.length) {
+    for (const m of missing) console.error(`  ❌ ${m.key}: ${m.reason}`);
+    throw new Error(
+      `${label} cannot be restored: no local copy in ${historyConfig.dir} (recorded on ${target.hostname}) ` +
+        `and ${missing.length} secret value(s) are not recoverable from the shared history`
+    );
+  }
+  return config;
+}
+
+async function runCli(command, args) {
+  const { firebasePath, runtimeBase, historyPath } = resolvePaths();
+  const historyConfig = loadHistoryConfig();
+
+  // không có service account => chỉ đọc lịch sử local
+  let app = null;
+  if (process.env[DEFAULT_SA_ENV_KEY]) ({ app } = initFirebase(decodeServiceAccountFromEnv(DEFAULT_SA_ENV_KEY)));
+  const history = new EnvHistory(historyConfig, app ? app.database().ref(historyPath) : null);
+
+  try {
+    if (command === "history") {
+      const records = await history.list(parseInt(args[0], 10) || 20);
+      if (!records.length) console.log("(no history)");
+      for (const r of records) console.log(formatRecord(r));
+      return;
+    }
+
+    if (command === "diff") {
+      if (!args[0]) throw new Error("usage: node envListener.js diff <a> [b]");
+      const a = await mustGet(history, args[0]);
+      const b = args[1] ? await mustGet(history, args[1]) : await history.latest();
+      if (!b) throw new Error("no history");
+      printDiff(a, b);
+      return;
+    }
+
+    // rollback
+    if (!args[0]) throw new Error("usage: node envListener.js rollback <version>");
+    if (!app) throw new Error(`rollback needs ${DEFAULT_SA_ENV_KEY} (writes ${firebasePath})`);
+
+    const target = await mustGet(history, args[0]);
+    const latest = await history.latest();
+    // latest cùng hash chưa chắc đã áp dụng (rolled_back / restart_error) => so với file env thật
+    if (latest && latest.hash === target.hash) {
+      const envFile = runtimeEnvPath();
+      const pending = diffFingerprints(fingerprintEnv(readEnvFile(envFile)), target.env);
+      if (pending.empty) {
+        console.log(`✅ ${envFile} already matches ${versionKey(target.version)} (${target.hash.slice(0, 12)}), nothing to do`);
+        return;
+      }
+      console.log(`🧮 ${envFile} -> ${versionKey(target.version)}: +${pending.added.length} ~${pending.changed.length} -${pending.removed.length}`);
+      for (const line of pending.lines) console.log(line);
+      throw new Error(
+        `${firebasePath} already holds ${versionKey(target.version)} but ${versionKey(latest.version)} was ${latest.result}; ` +
+          "writing the same config triggers no change, fix the failing app or roll back to another version"
+      );
+    }
+    if (latest) printDiff(latest, target);
+
+    const db = app.database();
+    const activeId = (await db.ref(joinPath(runtimeBase, "activeInstanceId")).once("value")).val();
+    const status = activeId ? (await db.ref(joinPath(runtimeBase, `instances/${activeId}/status`)).once("value")).val() : null;
+    if (status !== "running") {
+      console.warn(`⚠️  No running envListener (active: ${activeId || "none"}, status: ${status || "-"}); ${firebasePath} is updated but nothing applies it until a listener sees the next change`);
+    }
+
+    const current = (await db.ref(firebasePath).once("value")).val() || {};
+    const config = restoreConfig(target, historyConfig, current);
+
+    // update từng key cấp 1 (key không còn => null) để không xoá subtree runtime nằm trong /config
+    const runtimeKey = runtimeChildKey(firebasePath, runtimeBase);
+    const updates = { ...config };
+    for (const key of Object.keys(current)) if (key !== runtimeKey && !(key in updates)) updates[key] = null;
+
+    await history.requestRollback(target);
+    await db.ref(firebasePath).update(updates);
+    console.log(`⏪ ${firebasePath} set to ${versionKey(target.version)} (${target.hash.slice(0, 12)}), active listener applies it through the normal update path`);
+  } finally {
+    if (app) await app.delete();
+  }
+}
+
 // ====== Run directly ======
+const CLI_COMMANDS = ["history", "diff", "rollback"];
+
 async function main() {
+  if (CLI_COMMANDS.includes(process.argv[2])) return runCli(process.argv[2], process.argv.slice(3));
+
   const keyFromArgv = process.argv[2];
-  const serviceAccountB64EnvKey = keyFromArgv || "ENV_LISTENER_FB_SERVICES_ACCOUNT_BASE64";
+  const serviceAccountB64EnvKey = keyFromArgv || DEFAULT_SA_ENV_KEY;
 
   const runner = startEnvListener(serviceAccountB64EnvKey);
 
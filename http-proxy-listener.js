@@ -1,23 +1,110 @@
 #!/usr/bin/env node
 // http-proxy-listener.js
-// 🔁 HTTP Proxy với load balancing từ Firebase Realtime Database (SYNC by on("value"))
+// 🔁 HTTP Proxy với load balancing, danh sách worker từ Firebase Realtime Database (SYNC by on("value"))
+//    hoặc file / HTTP / DNS SRV (ENV_HTTP_PROXY_DISCOVERY, xem js-scripts/helpers/proxyDiscovery.js)
 
 const http = require("http");
+const https = require("https");
+const http2 = require("http2");
+const { Readable } = require("stream");
 const httpProxy = require("http-proxy");
+const webOutgoing = require("http-proxy/lib/http-proxy/passes/web-outgoing");
 const admin = require("firebase-admin");
 const { v4: uuidv4 } = require("uuid");
 
+const { WorkerHealthChecker, loadHealthCheckConfig } = require("./js-scripts/helpers/proxyHealthCheck");
+const { WorkerCircuitBreakers, loadCircuitBreakerConfig } = require("./js-scripts/helpers/proxyCircuitBreaker");
+const {
+  loadRetryConfig,
+  hasRequestBody,
+  isRetryableRequest,
+  shouldRetryStatus,
+  describeRetryConfig,
+} = require("./js-scripts/helpers/proxyRetry");
+const { loadBalancerConfig, normalizeBalancerConfig, createStrategy } = require("./js-scripts/helpers/proxyBalancer");
+const { StickySessions, loadStickyConfig } = require("./js-scripts/helpers/proxySticky");
+const {
+  DEFAULT_GROUP,
+  EMPTY_TABLE,
+  normalizeRoutingTable,
+  resolveWorkerGroup,
+  matchRoute,
+  rewriteUrl,
+  describeRoutingTable,
+} = require("./js-scripts/helpers/proxyRouting");
+const { MetricsRegistry } = require("./js-scripts/helpers/proxyMetrics");
+const { AccessLogger, loadAccessLogConfig, clientIp } = require("./js-scripts/helpers/proxyAccessLog");
+const { WorkerOverrides, normalizeOverride } = require("./js-scripts/helpers/proxyOverrides");
+const { loadAdminConfig, createAdminApi, isAdminRequest } = require("./js-scripts/helpers/proxyAdmin");
+const {
+  RateLimiter,
+  loadRateLimitConfig,
+  normalizeRateLimitConfig,
+  loadConcurrencyConfig,
+  normalizeConcurrencyConfig,
+  concurrencyLimitOf,
+  describeConcurrencyConfig,
+} = require("./js-scripts/helpers/proxyRateLimit");
+const { loadTlsConfig, describeTlsConfig, TlsReloader } = require("./js-scripts/helpers/proxyTls");
+const { ResponseCache, loadCacheConfig } = require("./js-scripts/helpers/proxyCache");
+const { VersionSplitter, loadVersionSplitConfig, normalizeVersionSplitConfig } = require("./js-scripts/helpers/proxyVersionSplit");
+const {
+  loadHeaderConfig,
+  normalizeHeaderConfig,
+  resolvePolicy,
+  applyRequestPolicy,
+  applyResponsePolicy,
+  isPreflight,
+  sendPreflight,
+  describeHeaderConfig,
+} = require("./js-scripts/helpers/proxyHeaders");
+const { loadDiscoveryConfig, createDiscovery } = require("./js-scripts/helpers/proxyDiscovery");
+const { WorkerSnapshotStore, loadSnapshotConfig } = require("./js-scripts/helpers/proxySnapshot");
+const {
+  loadReadinessConfig,
+  readBuildInfo,
+  SyncTracker,
+  WorkerRequestStats,
+  evaluateReadiness,
+} = require("./js-scripts/helpers/proxyStatus");
+const {
+  loadLimitsConfig,
+  describeLimitsConfig,
+  limitStatus,
+  limitSide,
+  upstreamTimeoutReason,
+  limitPayload,
+  sendLimitError,
+  applyUpstreamTimeouts,
+  watchWebSocket,
+} = require("./js-scripts/helpers/proxyLimits");
+const { TrafficMirror, loadMirrorConfig, normalizeMirrorConfig } = require("./js-scripts/helpers/proxyMirror");
+
 // ========================================
 // 📋 CẤU HÌNH
 // ========================================
 const PORT = process.env.ENV_HTTP_PROXY_PORT || 8080;
 const FB_ACCOUNT_BASE64 = process.env.ENV_LISTENER_FB_SERVICES_ACCOUNT_BASE64;
+const PROXY_CONFIG_PATH = process.env.ENV_HTTP_PROXY_CONFIG_PATH || "proxy-config"; // config runtime của proxy (lb, ...)
+const ROUTES_PATH = process.env.ENV_HTTP_PROXY_ROUTES_PATH || "worker-routes"; // bảng routing host/path -> group
+const OVERRIDES_PATH = process.env.ENV_HTTP_PROXY_OVERRIDES_PATH || "worker-overrides"; // drain / disable / weight do admin đặt
+const METRICS_PATH = process.env.ENV_HTTP_PROXY_METRICS_PATH || "/metrics"; // Prometheus text format, "" = tắt
+const SHUTDOWN_ANNOUNCE_MS = parseInt(process.env.ENV_HTTP_PROXY_SHUTDOWN_ANNOUNCE_MS, 10) || 0; // /health báo draining nhưng vẫn nhận kết nối
+const SHUTDOWN_GRACE_MS = parseInt(process.env.ENV_HTTP_PROXY_SHUTDOWN_GRACE_MS, 10) || 30000; // chờ HTTP request dở dang khi tắt
+const SHUTDOWN_WS_CLOSE_MS = parseInt(process.env.ENV_HTTP_PROXY_SHUTDOWN_WS_CLOSE_MS, 10) || 2000; // chờ WebSocket đóng sau close frame
+const retryConfig = loadRetryConfig();
+const limitsConfig = loadLimitsConfig(); // header / body / timeout (server tạo 1 lần => đổi cần restart)
+const readinessConfig = loadReadinessConfig();
+const buildInfo = readBuildInfo();
+const startedAt = Date.now();
 
 // ========================================
-// 🔥 FIREBASE SETUP
+// 🔥 FIREBASE SETUP + 🔎 DISCOVERY
 // ========================================
+const DISCOVERY_PATHS = { workers: "worker-stats", routes: ROUTES_PATH, config: PROXY_CONFIG_PATH, overrides: OVERRIDES_PATH };
 let db = null;
-let workersRef = null;
+let discovery = null; // nguồn worker-stats / routes / config / overrides (firebase | file | http | dns)
+const workerSnapshot = new WorkerSnapshotStore(loadSnapshotConfig()); // last-known-good worker-stats trên đĩa
 
 function initFirebase() {
   if (!FB_ACCOUNT_BASE64) {
@@ -33,7 +120,7 @@ function initFirebase() {
     });
 
     db = admin.database();
-    workersRef = db.ref("worker-stats");
+    accessLog.setDatabase(db);
     console.log("✅ Firebase đã kết nối");
   } catch (err) {
     console.error("❌ Lỗi khi khởi tạo Firebase:", err.message);
@@ -63,6 +150,11 @@ function normalizeUploadAt(v) {
   return Date.now();
 }
 
+function normalizeWeight(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
 // ========================================
 // 🧩 HELPER LOG
 // ========================================
@@ -124,14 +216,149 @@ function buildOrderLine(sortedKeys, nextIndex) {
 // 🎯 QUẢN LÝ DANH SÁCH WORKER
 // ========================================
 class WorkerPool {
-  constructor() {
+  constructor(name = DEFAULT_GROUP) {
+    this.name = name; // tên worker group
     this.workers = new Map(); // key -> worker info
     this.sortedKeys = []; // key list sorted by upload_at
     this.currentIndex = 0;
+    this.inFlight = new Map(); // key -> số request đang dở dang
+
+    // strategy null = round-robin theo sortedKeys
+    this.balancer = { config: { strategy: "round-robin", hashOn: "path" }, source: "default", strategy: null };
+
+    this.healthChecker = null; // gắn từ ngoài (WorkerHealthChecker), null = không lọc
+    this.circuitBreakers = null; // gắn từ ngoài (WorkerCircuitBreakers), null = không lọc
+    this.overrides = null; // gắn từ ngoài (WorkerOverrides: drain / disable / weight), null = không lọc
+    this.concurrency = null; // giới hạn request dở dang / worker, null = không giới hạn
+    this.versionSplitter = null; // gắn từ ngoài (VersionSplitter: canary / pin version), null = không chia
+    this.versionCursor = new Map(); // version -> vị trí round-robin riêng trong version đó
 
     this._firstSyncLogged = false;
   }
 
+  _label() {
+    return this.name === DEFAULT_GROUP ? "" : ` [${this.name}]`;
+  }
+
+  // đổi strategy lúc runtime (không cần restart process)
+  setBalancer(config, source) {
+    const prev = this.balancer.config;
+    const changed = prev.strategy !== config.strategy || prev.hashOn !== config.hashOn;
+
+    this.balancer = { config, source, strategy: changed ? createStrategy(config) : this.balancer.strategy };
+
+    if (changed) {
+      const hashInfo = config.strategy === "consistent-hash" ? ` (hash_on=${config.hashOn})` : "";
+      console.log(`⚖️  Load balancer${this._label()}: ${prev.strategy} → ${config.strategy}${hashInfo} [${source}]`);
+    }
+  }
+
+  describeBalancer() {
+    const { strategy, hashOn } = this.balancer.config;
+    return { strategy, hash_on: strategy === "consistent-hash" ? hashOn : null, source: this.balancer.source };
+  }
+
+  beginRequest(key) {
+    this.inFlight.set(key, (this.inFlight.get(key) || 0) + 1);
+  }
+
+  endRequest(key) {
+    const n = (this.inFlight.get(key) || 0) - 1;
+    if (n > 0) this.inFlight.set(key, n);
+    else this.inFlight.delete(key);
+  }
+
+  getInFlight(key) {
+    return this.inFlight.get(key) || 0;
+  }
+
+  setHealthChecker(checker) {
+    this.healthChecker = checker;
+  }
+
+  setCircuitBreakers(breakers) {
+    this.circuitBreakers = breakers;
+  }
+
+  setOverrides(overrides) {
+    this.overrides = overrides;
+  }
+
+  setConcurrency(config) {
+    this.concurrency = config;
+  }
+
+  setVersionSplitter(splitter) {
+    this.versionSplitter = splitter;
+  }
+
+  // chọn version trước (pin header / weights / ramp) => worker khác version coi như đã loại
+  // => { version, exclude } | null = không giới hạn
+  _chooseVersion(exclude, req) {
+    if (!this.versionSplitter || !req) return null;
+
+    const candidates = [];
+    for (const key of this.sortedKeys) {
+      if (!this.isAvailable(key) || !this.hasCapacity(key) || (exclude && exclude.has(key))) continue;
+      candidates.push(this.workers.get(key));
+    }
+    if (candidates.length === 0) return null;
+
+    const pick = this.versionSplitter.choose(req, candidates, this.getAllWorkers());
+    if (!pick) return null;
+
+    const next = new Set(exclude || []);
+    for (const w of this.workers.values()) if (!pick.match(w)) next.add(w.key);
+    return { version: pick.version, exclude: next };
+  }
+
+  // tỉ lệ chia version hiện tại của group (cho /health)
+  describeVersions() {
+    const all = this.getAllWorkers();
+    const counts = {};
+    for (const w of all) counts[w.version] = (counts[w.version] || 0) + 1;
+
+    const split = this.versionSplitter ? this.versionSplitter.shares(all.filter((w) => this.isAvailable(w.key)), all) : null;
+    return { workers: counts, split: split || null };
+  }
+
+  // worker còn slot nhận thêm request không (max concurrency)
+  hasCapacity(key) {
+    if (!this.concurrency) return true;
+    const limit = concurrencyLimitOf(this.concurrency, key);
+    return limit === 0 || this.getInFlight(key) < limit;
+  }
+
+  // có worker trong rotation nhưng tất cả đều đã đầy slot => 429 thay vì 503
+  isSaturated(exclude = null) {
+    let available = 0;
+    for (const key of this.sortedKeys) {
+      if (!this.isAvailable(key) || (exclude && exclude.has(key))) continue;
+      if (this.hasCapacity(key)) return false;
+      available += 1;
+    }
+    return available > 0;
+  }
+
+  // weight hiệu lực: override của admin > worker-stats
+  getWeight(key) {
+    const w = this.workers.get(key);
+    const base = w ? w.weight : 1;
+    return this.overrides ? this.overrides.weightOf(key, base) : base;
+  }
+
+  // worker có được nhận traffic mới không
+  isAvailable(key) {
+    if (this.overrides && !this.overrides.canRoute(key)) return false;
+    if (this.healthChecker && !this.healthChecker.isHealthy(key)) return false;
+    if (this.circuitBreakers && !this.circuitBreakers.canRoute(key)) return false;
+    return true;
+  }
+
+  availableCount() {
+    return this.sortedKeys.filter((key) => this.isAvailable(key)).length;
+  }
+
   _toComparable(data) {
     if (!data) return null;
     return {
@@ -139,6 +366,7 @@ class WorkerPool {
       upload_at: normalizeUploadAt(data.upload_at),
       version: data.version || "unknown",
       runner_by: data.runner_by || "unknown",
+      weight: normalizeWeight(data.weight),
     };
   }
 
@@ -150,6 +378,7 @@ class WorkerPool {
         upload_at: w.upload_at || 0,
         version: w.version || "unknown",
         runner_by: w.runner_by || "unknown",
+        weight: w.weight || 1,
       });
     }
     return m;
@@ -166,10 +395,12 @@ class WorkerPool {
     const prev = this.workers.get(key);
     const next = {
       key,
+      group: this.name,
       url: data.url,
       upload_at: uploadAt,
       version: data.version || "unknown",
       runner_by: data.runner_by || "unknown",
+      weight: normalizeWeight(data.weight),
     };
 
     this.workers.set(key, next);
@@ -179,7 +410,13 @@ class WorkerPool {
     // trả về "có thay đổi gì không" để syncFromObject tự log gọn
     if (!prev) return true;
 
-    return prev.url !== next.url || prev.upload_at !== next.upload_at || prev.version !== next.version || prev.runner_by !== next.runner_by;
+    return (
+      prev.url !== next.url ||
+      prev.upload_at !== next.upload_at ||
+      prev.version !== next.version ||
+      prev.runner_by !== next.runner_by ||
+      prev.weight !== next.weight
+    );
   }
 
   removeWorker(key, resort = true, log = false) {
@@ -219,7 +456,7 @@ class WorkerPool {
       const existed = before.has(key);
       const changed = this.updateWorker(
         key,
-        { ...raw, upload_at: nextComp.upload_at, version: nextComp.version, runner_by: nextComp.runner_by },
+        { ...raw, upload_at: nextComp.upload_at, version: nextComp.version, runner_by: nextComp.runner_by, weight: nextComp.weight },
         false,
         false
       );
@@ -237,7 +474,7 @@ class WorkerPool {
       const total = this.size();
 
       if (!this._firstSyncLogged) {
-        console.log(`🔄 Synced workers: ${total}`);
+        console.log(`🔄 Synced workers${this._label()}: ${total}`);
         console.log(`🧭 RR order: ${buildOrderLine(this.sortedKeys, this.currentIndex)}`);
         this._firstSyncLogged = true;
         return;
@@ -249,7 +486,7 @@ class WorkerPool {
       if (removed.length) parts.push(`➖ ${removed.length}`);
       if (updated.length) parts.push(`✏️ ${updated.length}`);
 
-      console.log(`🔁 Worker pool changed (${parts.join(" | ") || "no-diff"}), total=${total}`);
+      console.log(`🔁 Worker pool changed${this._label()} (${parts.join(" | ") || "no-diff"}), total=${total}`);
 
       if (added.length) console.log(`   ➕ Added: ${joinKeys(added)}`);
       if (removed.length) console.log(`   ➖ Removed: ${joinKeys(removed)}`);
@@ -280,15 +517,72 @@ class WorkerPool {
     }
   }
 
-  getNextWorker() {
-    if (this.sortedKeys.length === 0) return null;
+  // exclude: Set key đã thử (retry) => không chọn lại
+  // req: dùng cho strategy cần thông tin request (consistent-hash)
+  getNextWorker(exclude = null, req = null) {
+    const total = this.sortedKeys.length;
+    if (total === 0) return null;
+
+    const version = this._chooseVersion(exclude, req);
+    if (version) exclude = version.exclude;
+
+    if (this.balancer.strategy) {
+      const candidates = [];
+      for (const key of this.sortedKeys) {
+        if (!this.isAvailable(key) || !this.hasCapacity(key) || (exclude && exclude.has(key))) continue;
+        const w = this.workers.get(key);
+        if (w) candidates.push(w);
+      }
+      if (candidates.length === 0) return null;
 
-    const key = this.sortedKeys[this.currentIndex];
-    const worker = this.workers.get(key);
+      const worker = this.balancer.strategy.pick(candidates, {
+        req,
+        inFlight: (key) => this.getInFlight(key),
+        weight: (key) => this.getWeight(key),
+      });
+      if (worker && this.circuitBreakers) this.circuitBreakers.onDispatch(worker.key);
+      return worker || null;
+    }
 
-    this.currentIndex = (this.currentIndex + 1) % this.sortedKeys.length;
+    // round-robin riêng trong version đã chọn (vòng chung sẽ dồn traffic vào worker đứng ngay sau version kia)
+    if (version) {
+      const keys = this.sortedKeys.filter((key) => this.isAvailable(key) && this.hasCapacity(key) && !exclude.has(key));
+      if (keys.length === 0) return null;
 
-    return worker || null;
+      const n = this.versionCursor.get(version.version) || 0;
+      this.versionCursor.set(version.version, (n + 1) % keys.length);
+      const key = keys[n % keys.length];
+      if (this.circuitBreakers) this.circuitBreakers.onDispatch(key);
+      return this.workers.get(key);
+    }
+
+    // bỏ qua worker đang bị loại khỏi rotation (unhealthy / breaker open), tối đa 1 vòng
+    for (let i = 0; i < total; i++) {
+      const key = this.sortedKeys[this.currentIndex];
+      this.currentIndex = (this.currentIndex + 1) % total;
+
+      const worker = this.workers.get(key);
+      if (worker && this.isAvailable(key) && this.hasCapacity(key) && !(exclude && exclude.has(key))) {
+        if (this.circuitBreakers) this.circuitBreakers.onDispatch(key);
+        return worker;
+      }
+    }
+
+    return null;
+  }
+
+  // lấy đúng worker theo key (sticky) nếu vẫn còn trong pool + rotation (+ đúng version request cần)
+  getWorkerByKey(key, req = null) {
+    const worker = this.workers.get(key);
+    if (!worker || !this.isAvailable(key) || !this.hasCapacity(key)) return null;
+    if (this.versionSplitter && req && !this.versionSplitter.allowsPinned(req, worker)) return null;
+    if (this.circuitBreakers) this.circuitBreakers.onDispatch(key);
+    return worker;
+  }
+
+  // worker còn trong pool (kể cả đang tạm không nhận request: đầy slot / breaker open / lệch version)
+  has(key) {
+    return this.workers.has(key);
   }
 
   getAllWorkers() {
@@ -300,50 +594,650 @@ class WorkerPool {
   }
 
   getOrderStr() {
+    const { strategy } = this.balancer.config;
+    if (strategy !== "round-robin") return `⚖️ ${strategy}: ${joinKeys(this.sortedKeys)}`;
     return `🧭 RR order: ${buildOrderLine(this.sortedKeys, this.currentIndex)}`;
   }
 }
 
-const workerPool = new WorkerPool();
+// ========================================
+// 🗂️  WORKER GROUP (routing host/path -> group, mỗi group 1 WorkerPool)
+// ========================================
+class WorkerGroups {
+  constructor() {
+    this.pools = new Map(); // group -> WorkerPool
+    this.table = EMPTY_TABLE;
+    this.lastWorkers = {}; // worker-stats gần nhất, để chia lại group khi bảng routing đổi
+    this.balancer = { config: { strategy: "round-robin", hashOn: "path" }, source: "default" };
+    this.healthChecker = null;
+    this.circuitBreakers = null;
+    this.overrides = null;
+    this.concurrency = null;
+    this.versionSplitter = null;
+
+    this.get(DEFAULT_GROUP);
+  }
+
+  get(name) {
+    let pool = this.pools.get(name);
+    if (!pool) {
+      pool = new WorkerPool(name);
+      pool.setHealthChecker(this.healthChecker);
+      pool.setCircuitBreakers(this.circuitBreakers);
+      pool.setOverrides(this.overrides);
+      pool.setConcurrency(this.concurrency);
+      pool.setVersionSplitter(this.versionSplitter);
+      this._applyBalancer(pool);
+      this.pools.set(name, pool);
+    }
+    return pool;
+  }
+
+  setHealthChecker(checker) {
+    this.healthChecker = checker;
+    for (const pool of this.pools.values()) pool.setHealthChecker(checker);
+  }
+
+  setCircuitBreakers(breakers) {
+    this.circuitBreakers = breakers;
+    for (const pool of this.pools.values()) pool.setCircuitBreakers(breakers);
+  }
+
+  setOverrides(overrides) {
+    this.overrides = overrides;
+    for (const pool of this.pools.values()) pool.setOverrides(overrides);
+  }
+
+  setConcurrency(config) {
+    this.concurrency = config;
+    for (const pool of this.pools.values()) pool.setConcurrency(config);
+  }
+
+  setVersionSplitter(splitter) {
+    this.versionSplitter = splitter;
+    for (const pool of this.pools.values()) pool.setVersionSplitter(splitter);
+  }
+
+  // strategy chung; group có "lb" riêng trong bảng routing thì dùng của group
+  setBalancer(config, source) {
+    this.balancer = { config, source };
+    for (const pool of this.pools.values()) this._applyBalancer(pool);
+  }
+
+  _applyBalancer(pool) {
+    const def = this.table.groups.get(pool.name);
+    if (def && def.lb) {
+      try {
+        pool.setBalancer(normalizeBalancerConfig(def.lb, this.balancer.config), "group");
+        return;
+      } catch (e) {
+        console.error(`❌ ${ROUTES_PATH}/groups/${pool.name}/lb: ${e.message} (dùng strategy chung)`);
+      }
+    }
+    pool.setBalancer(this.balancer.config, this.balancer.source);
+  }
+
+  setRoutingTable(table) {
+    this.table = table;
+    for (const group of [table.defaultGroup, ...table.rules.map((r) => r.group)]) this.get(group);
+    for (const pool of this.pools.values()) this._applyBalancer(pool);
+    this.syncFromObject(this.lastWorkers);
+  }
+
+  // chia worker-stats theo group rồi sync từng pool
+  syncFromObject(obj) {
+    this.lastWorkers = obj || {};
+
+    const buckets = new Map();
+    for (const [key, raw] of Object.entries(this.lastWorkers)) {
+      const group = resolveWorkerGroup(key, raw, this.table);
+      if (!buckets.has(group)) buckets.set(group, {});
+      buckets.get(group)[key] = raw;
+    }
+
+    for (const group of buckets.keys()) this.get(group);
+    for (const [name, pool] of this.pools.entries()) pool.syncFromObject(buckets.get(name) || {});
+
+    if (this.circuitBreakers) this.circuitBreakers.prune(this.allKeys());
+  }
+
+  // => { group, rule, pool } cho request
+  route(req) {
+    const { group, rule } = matchRoute(req, this.table);
+    return { group, rule, pool: this.get(group) };
+  }
+
+  poolOf(key) {
+    for (const pool of this.pools.values()) if (pool.workers.has(key)) return pool;
+    return null;
+  }
+
+  allKeys() {
+    const keys = [];
+    for (const pool of this.pools.values()) keys.push(...pool.sortedKeys);
+    return keys;
+  }
+
+  getAllWorkers() {
+    const all = [];
+    for (const pool of this.pools.values()) all.push(...pool.getAllWorkers());
+    return all;
+  }
+
+  size() {
+    let n = 0;
+    for (const pool of this.pools.values()) n += pool.size();
+    return n;
+  }
+
+  availableCount() {
+    let n = 0;
+    for (const pool of this.pools.values()) n += pool.availableCount();
+    return n;
+  }
+
+  describe() {
+    const groups = {};
+    for (const [name, pool] of this.pools.entries()) {
+      groups[name] = {
+        total_workers: pool.size(),
+        available_workers: pool.availableCount(),
+        orderStr: pool.getOrderStr(),
+        load_balancer: pool.describeBalancer(),
+        versions: pool.describeVersions(),
+      };
+    }
+    return groups;
+  }
+}
+
+const workerGroups = new WorkerGroups();
+
+// strategy mặc định lấy từ ENV, Firebase (proxy-config/lb) ghi đè khi có
+const envBalancerConfig = loadBalancerConfig();
+workerGroups.setBalancer(envBalancerConfig, "env");
+
+// log thứ tự của group chứa worker vừa đổi trạng thái
+function logPoolState(key) {
+  const pool = workerGroups.poolOf(key);
+  if (pool) console.log(`   ${pool.getOrderStr()} | available=${pool.availableCount()}/${pool.size()}${pool._label()}`);
+}
+
+// ========================================
+// 🩺 ACTIVE HEALTH CHECK
+// ========================================
+const healthChecker = new WorkerHealthChecker(
+  () => workerGroups.getAllWorkers(),
+  loadHealthCheckConfig(),
+  (key, state) => {
+    const icon = state.status === "healthy" ? "💚" : "💔";
+    const reason = state.lastError ? ` (${state.lastError})` : "";
+    console.log(`${icon} Worker ${shortKey(key)}: ${state.prev} → ${state.status}${reason}`);
+    logPoolState(key);
+  }
+);
+workerGroups.setHealthChecker(healthChecker);
+
+// ========================================
+// 🧯 CIRCUIT BREAKER (passive outlier detection)
+// ========================================
+const circuitBreakers = new WorkerCircuitBreakers(loadCircuitBreakerConfig(), (key, prev, next, reason) => {
+  const icon = next === "open" ? "🔴" : next === "half-open" ? "🟡" : "🟢";
+  console.log(`${icon} Breaker ${shortKey(key)}: ${prev} → ${next}${reason && next === "open" ? ` (${reason})` : ""}`);
+  logPoolState(key);
+});
+workerGroups.setCircuitBreakers(circuitBreakers);
+
+// ========================================
+// 🛠️  ADMIN OVERRIDE (drain / disable / weight, lưu ở RTDB)
+// ========================================
+const workerOverrides = new WorkerOverrides((key, prev, next) => {
+  const from = prev ? prev.state : "active";
+  const to = next ? next.state : "active";
+  const weight = next && next.weight !== null ? ` (weight=${next.weight})` : "";
+  const icon = to === "active" ? "▶️" : to === "draining" ? "⏳" : "⛔";
+  console.log(`${icon} Override ${shortKey(key)}: ${from} → ${to}${weight}${next && next.reason ? ` - ${next.reason}` : ""}`);
+  logPoolState(key);
+});
+workerGroups.setOverrides(workerOverrides);
+
+// ========================================
+// 📌 STICKY SESSION
+// ========================================
+const stickySessions = new StickySessions(loadStickyConfig());
+
+// 1 record JSON / request (thay cho các dòng 📨 / ✅ cũ)
+const accessLog = new AccessLogger(loadAccessLogConfig());
+
+// ========================================
+// 🚦 RATE LIMIT + MAX CONCURRENCY / WORKER
+// ========================================
+const envRateLimitConfig = loadRateLimitConfig();
+const rateLimiter = new RateLimiter(envRateLimitConfig);
+
+const envConcurrencyConfig = loadConcurrencyConfig();
+let concurrencySource = "env";
+workerGroups.setConcurrency(envConcurrencyConfig);
+
+// ========================================
+// 🐤 CANARY (chia traffic theo version worker)
+// ========================================
+const envVersionSplitConfig = loadVersionSplitConfig();
+const versionSplitter = new VersionSplitter(envVersionSplitConfig);
+workerGroups.setVersionSplitter(versionSplitter);
+
+// ========================================
+// 🪞 MIRROR (shadow traffic sang worker ứng viên)
+// ========================================
+const envMirrorConfig = loadMirrorConfig();
+const trafficMirror = new TrafficMirror(envMirrorConfig, {
+  // worker đang trong rotation của group mình (drain / disable / down / breaker mở => không nhận mirror)
+  listWorkers: () => workerGroups.getAllWorkers().filter((w) => workerGroups.poolOf(w.key).isAvailable(w.key)),
+  tlsOptions: upstreamTlsOptions,
+  onResult: (record) => onMirrorResult(record),
+  onSkip: (reason) => mMirrorSkipped.inc({ reason }),
+});
+
+// ========================================
+// 🏷️  HEADER REWRITE + CORS
+// ========================================
+const envHeaderConfig = loadHeaderConfig();
+let headerConfig = envHeaderConfig;
+let headerSource = "env";
+
+// ========================================
+// 🗄️  RESPONSE CACHE (opt-in)
+// ========================================
+const responseCache = new ResponseCache(loadCacheConfig());
+
+// worker đổi version trên worker-stats => bỏ response do bản cũ trả về
+function purgeOutdatedCache() {
+  const n = responseCache.purgeWorkerVersions(workerGroups.getAllWorkers());
+  if (n > 0) console.log(`🧹 Cache: xóa ${n} entry của worker đã đổi version`);
+}
+
+// Chọn worker trong group cho request: ưu tiên worker đang ghim (sticky), sau đó mới tới strategy
+function pickWorker(pool, req, exclude = null) {
+  const pinnedKey = stickySessions.resolve(req);
+
+  let worker = null;
+  if (pinnedKey && !(exclude && exclude.has(pinnedKey))) worker = pool.getWorkerByKey(pinnedKey, req);
+  const pinned = Boolean(worker);
+
+  if (!worker) worker = pool.getNextWorker(exclude, req);
+  if (!worker) return { worker: null, pinned: false, cookie: null };
+
+  // worker ghim còn trong pool nhưng tạm không nhận => chỉ request này đi worker khác, giữ nguyên ghim (không cấp cookie mới)
+  if (pinnedKey && !pinned && pool.has(pinnedKey)) return { worker, pinned, cookie: null };
+  return { worker, pinned, cookie: stickySessions.bind(req, worker.key, pinnedKey) };
+}
 
 // ========================================
-// 🔊 LẮNG NGHE FIREBASE REALTIME (SYNC)
+// 📈 METRICS (Prometheus)
 // ========================================
-function startFirebaseListener() {
-  console.log("👂 Bắt đầu sync worker-stats từ Firebase (on value)...");
+const metrics = new MetricsRegistry();
+
+const KNOWN_METHODS = new Set(["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"]);
+
+const mRequests = metrics.counter("proxy_http_requests_total", "HTTP requests đã xử lý", ["group", "worker", "method", "status"]);
+const mDuration = metrics.histogram("proxy_http_request_duration_seconds", "Thời gian xử lý HTTP request", ["group", "worker"]);
+const mInFlight = metrics.gauge("proxy_http_requests_in_flight", "HTTP request đang xử lý", []);
+const mRetries = metrics.counter("proxy_http_retries_total", "Số lần retry sang worker khác", ["group", "reason"]);
+const mRejected = metrics.counter("proxy_http_rejected_total", "Request bị từ chối 429", ["group", "reason"]);
+const mUpstreamErrors = metrics.counter("proxy_upstream_errors_total", "Lỗi kết nối/timeout tới worker", ["worker", "code"]);
+const mWsActive = metrics.gauge("proxy_websocket_connections_active", "WebSocket đang mở", ["group", "worker"]);
+const mWsTotal = metrics.counter("proxy_websocket_connections_total", "WebSocket đã mở", ["group", "worker"]);
+const mPoolWorkers = metrics.gauge("proxy_pool_workers", "Số worker trong pool", ["group"]);
+const mPoolAvailable = metrics.gauge("proxy_pool_workers_available", "Số worker đang trong rotation", ["group"]);
+const mWorkerInFlight = metrics.gauge("proxy_worker_in_flight", "Request dở dang theo worker", ["group", "worker"]);
+const mWorkerHealth = metrics.gauge("proxy_worker_health_status", "Trạng thái active health check (1 = đang ở state này)", ["worker", "status"]);
+const mWorkerAdmin = metrics.gauge("proxy_worker_admin_state", "Trạng thái override của admin (1 = đang ở state này)", ["worker", "state"]);
+const mWorkerBreaker = metrics.gauge("proxy_worker_breaker_state", "Trạng thái circuit breaker (1 = đang ở state này)", ["worker", "state"]);
+// giữ tên metric cũ (dashboard đang dùng), đếm cho mọi provider discovery
+const mFbSync = metrics.counter("proxy_firebase_sync_events_total", "Số snapshot nhận từ nguồn discovery", ["path", "result"]);
+const mFbLastSync = metrics.gauge("proxy_firebase_last_sync_timestamp_seconds", "Thời điểm nhận snapshot gần nhất", ["path"]);
+const mCache = metrics.counter("proxy_cache_requests_total", "Kết quả tra response cache", ["group", "result"]);
+const mCacheBytes = metrics.gauge("proxy_cache_bytes", "Dung lượng response cache đang dùng", ["tier"]);
+const mCacheEntries = metrics.gauge("proxy_cache_entries", "Số entry trong response cache", ["tier"]);
+const mReady = metrics.gauge("proxy_ready", "1 = /readyz đang trả 200");
+const mMirror = metrics.counter("proxy_mirror_requests_total", "Request đã mirror sang shadow theo kết quả so sánh", ["result"]);
+const mMirrorSkipped = metrics.counter("proxy_mirror_skipped_total", "Request được chọn mirror nhưng bỏ qua", ["reason"]);
+const mMirrorDuration = metrics.histogram("proxy_mirror_duration_seconds", "Thời gian xử lý request mirror (worker chính vs shadow)", ["side"]);
+const mLimits = metrics.counter("proxy_limit_exceeded_total", "Request / kết nối vượt giới hạn kích thước / thời gian", ["reason", "side"]);
+const syncTracker = new SyncTracker();
+const workerRequestStats = new WorkerRequestStats();
+
+function methodLabel(method) {
+  const m = String(method || "").toUpperCase();
+  return KNOWN_METHODS.has(m) ? m : "OTHER";
+}
+
+function observeDiscoverySync(path, ok, err) {
+  mFbSync.inc({ path, result: ok ? "ok" : "error" });
+  if (ok) mFbLastSync.set({ path }, Date.now() / 1000);
+  if (ok) syncTracker.ok(path);
+  else syncTracker.error(path, err);
+}
+
+// gauge lấy từ state hiện tại của pool lúc scrape
+metrics.addCollector(() => {
+  mPoolWorkers.reset();
+  mPoolAvailable.reset();
+  mWorkerInFlight.reset();
+  mWorkerHealth.reset();
+  mWorkerBreaker.reset();
+  mWorkerAdmin.reset();
+
+  for (const [group, pool] of workerGroups.pools.entries()) {
+    mPoolWorkers.set({ group }, pool.size());
+    mPoolAvailable.set({ group }, pool.availableCount());
+
+    for (const w of pool.getAllWorkers()) {
+      const worker = shortKey(w.key);
+      mWorkerInFlight.set({ group, worker }, pool.getInFlight(w.key));
+      mWorkerHealth.set({ worker, status: healthChecker.getState(w.key).status }, 1);
+      mWorkerBreaker.set({ worker, state: circuitBreakers.getState(w.key).state }, 1);
+      mWorkerAdmin.set({ worker, state: workerOverrides.stateOf(w.key) }, 1);
+    }
+  }
+
+  mReady.set({}, readiness().ready ? 1 : 0);
+
+  if (responseCache.enabled) {
+    const { memory, disk } = responseCache.describe();
+    for (const [tier, t] of Object.entries({ memory, disk })) {
+      if (!t) continue;
+      mCacheBytes.set({ tier }, t.bytes);
+      mCacheEntries.set({ tier }, t.entries);
+    }
+  }
+});
+
+// ========================================
+// 🔊 LẮNG NGHE NGUỒN WORKER (Firebase on(value) / file / http / dns)
+// ========================================
+// lần sync thật đầu tiên chưa về => pool rỗng lúc khởi động là bình thường, chưa cảnh báo
+let firstWorkerSync = true;
+
+function applyWorkerStats(all) {
+  if (workerSnapshot.stale) console.log(`✅ Đã sync worker-stats từ ${discovery.name}, thay pool tạm từ snapshot`);
+  workerGroups.syncFromObject(all || {});
+  if (firstWorkerSync) {
+    firstWorkerSync = false;
+    if (workerGroups.size() === 0) {
+      console.warn(`⚠️  Chưa có worker nào từ ${discovery.name}, proxy sẽ trả về 503 cho đến khi có worker`);
+    }
+  }
+  workerSnapshot.markLive(all, discovery.name);
+  stickySessions.prune(workerGroups.allKeys());
+  workerRequestStats.prune(workerGroups.allKeys());
+  purgeOutdatedCache();
+  // ✅ không log dài từng worker nữa, log gọn nằm trong syncFromObject()
+}
+
+function startDiscovery() {
+  console.log(`👂 Bắt đầu sync worker-stats từ ${discovery.name}...`);
 
   // ✅ 1 phát ăn ngay: có snapshot ban đầu + mọi thay đổi sau này đều đi qua đây
-  workersRef.on(
-    "value",
-    (snapshot) => {
-      const all = snapshot.val() || {};
-      workerPool.syncFromObject(all);
-      // ✅ không log dài từng worker nữa, log gọn nằm trong syncFromObject()
+  const synced = (section, apply) => (value) => {
+    observeDiscoverySync(DISCOVERY_PATHS[section], true);
+    apply(value);
+  };
+
+  discovery.start({
+    workers: synced("workers", applyWorkerStats),
+    routes: synced("routes", applyRoutingTable),
+    config: synced("config", (cfg) => applyProxyConfig(cfg || {})),
+    overrides: synced("overrides", (raw) => workerOverrides.sync(raw)),
+    error: (section, err) => {
+      observeDiscoverySync(DISCOVERY_PATHS[section], false, err);
+      console.error(`❌ Lỗi sync ${DISCOVERY_PATHS[section]} [${discovery.name}]:`, err.message);
     },
-    (err) => {
-      console.error("❌ Lỗi on(value):", err.message);
+  });
+}
+
+// đọc lại toàn bộ từ nguồn (admin resync), không chờ on(value) / lần poll sau
+async function resyncFromSource() {
+  const { workers, routes, config, overrides } = await discovery.read();
+
+  applyRoutingTable(routes);
+  applyProxyConfig(config || {});
+  workerOverrides.sync(overrides);
+  applyWorkerStats(workers);
+
+  return { total_workers: workerGroups.size(), available_workers: workerGroups.availableCount() };
+}
+
+// ========================================
+// 🎛️  CONFIG RUNTIME (proxy-config trên Firebase)
+// ========================================
+// nhãn nguồn config trên /health + log: firebase | file | http | dns
+function remoteSource() {
+  return discovery ? discovery.name : "firebase";
+}
+
+function applyProxyConfig(cfg) {
+  applyBalancerConfig(cfg.lb);
+  applyRateLimitConfig(cfg.rate_limit);
+  applyConcurrencyConfig(cfg.concurrency);
+  applyVersionSplitConfig(cfg.version_split);
+  applyHeaderConfig(cfg);
+  applyMirrorConfig(cfg.mirror);
+}
+
+function applyMirrorConfig(raw) {
+  const source = raw ? remoteSource() : "env";
+  let config = envMirrorConfig;
+  if (raw) {
+    try {
+      config = normalizeMirrorConfig(raw, envMirrorConfig);
+    } catch (e) {
+      console.error(`❌ ${PROXY_CONFIG_PATH}/mirror: ${e.message} (giữ cấu hình mirror hiện tại)`);
+      return;
     }
+  }
+
+  if (trafficMirror.setConfig(config, source)) {
+    const { percent, target } = trafficMirror.describe();
+    const filter = Object.entries(target)
+      .filter(([, v]) => v)
+      .map(([k, v]) => `${k}=${v}`)
+      .join(", ");
+    console.log(`🪞 Mirror: ${percent ? `${percent}% → ${filter}` : "tắt"} [${source}]`);
+  }
+}
+
+// kết quả so sánh 1 request mirror: metric + access log, log cảnh báo khi shadow trả khác worker chính
+function onMirrorResult(record) {
+  mMirror.inc({ result: record.result });
+  mMirrorDuration.observe({ side: "primary" }, record.primary.duration_ms / 1000);
+  if (!record.shadow.error) mMirrorDuration.observe({ side: "shadow" }, record.shadow.duration_ms / 1000);
+
+  accessLog.log({ type: "mirror", status: record.shadow.status, ...record });
+
+  if (record.result === "match" || record.result === "primary_aborted") return;
+  const { primary, shadow } = record;
+  const detail = shadow.error
+    ? shadow.error
+    : `status ${primary.status} vs ${shadow.status}${record.diffs.includes("body") ? ", body khác" : ""}`;
+  console.warn(
+    `🪞 Mirror ${record.result} [${record.request_id}] ${record.method} ${record.path} → ${shortKey(shadow.worker)}: ${detail} ` +
+      `(${primary.duration_ms}ms vs ${shadow.duration_ms}ms)`
   );
 }
 
+function applyRateLimitConfig(raw) {
+  const source = raw ? remoteSource() : "env";
+  let config = envRateLimitConfig;
+  if (raw) {
+    try {
+      config = normalizeRateLimitConfig(raw, envRateLimitConfig);
+    } catch (e) {
+      console.error(`❌ ${PROXY_CONFIG_PATH}/rate_limit: ${e.message} (giữ rate limit hiện tại)`);
+      return;
+    }
+  }
+
+  if (rateLimiter.setConfig(config, source)) {
+    const { rate, burst, key_by: keyBy, rules } = rateLimiter.describe();
+    const ruleInfo = rules.length ? ` | rules: ${rules.map((r) => `${r.path_prefix || "/"}=${r.rate}/s`).join(", ")}` : "";
+    console.log(`🚦 Rate limit: ${rate ? `${rate}/s (burst ${burst}, key=${keyBy})` : "tắt"}${ruleInfo} [${source}]`);
+  }
+}
+
+function applyConcurrencyConfig(raw) {
+  let config = envConcurrencyConfig;
+  if (raw) {
+    try {
+      config = normalizeConcurrencyConfig(raw, envConcurrencyConfig);
+    } catch (e) {
+      console.error(`❌ ${PROXY_CONFIG_PATH}/concurrency: ${e.message} (giữ giới hạn hiện tại)`);
+      return;
+    }
+  }
+
+  const prev = JSON.stringify(describeConcurrencyConfig(workerGroups.concurrency));
+  concurrencySource = raw ? remoteSource() : "env";
+  workerGroups.setConcurrency(config);
+  if (prev !== JSON.stringify(describeConcurrencyConfig(config))) {
+    const custom = config.workers.size ? ` (+${config.workers.size} worker riêng)` : "";
+    console.log(`🧮 Max concurrency / worker: ${config.maxPerWorker || "không giới hạn"}${custom} [${concurrencySource}]`);
+  }
+}
+
+function applyVersionSplitConfig(raw) {
+  const source = raw ? remoteSource() : "env";
+  let config = envVersionSplitConfig;
+  if (raw) {
+    try {
+      config = normalizeVersionSplitConfig(raw, envVersionSplitConfig);
+    } catch (e) {
+      console.error(`❌ ${PROXY_CONFIG_PATH}/version_split: ${e.message} (giữ cách chia version hiện tại)`);
+      return;
+    }
+  }
+
+  if (versionSplitter.setConfig(config, source)) {
+    const { header, weights, ramp } = versionSplitter.describe();
+    const mode = weights.length
+      ? `weights ${weights.map((w) => `${w.version}=${w.percent}%`).join(", ")}`
+      : ramp
+      ? `ramp ${ramp.start_percent}% → 100% trong ${ramp.duration_sec}s`
+      : "không chia";
+    console.log(`🐤 Version split: ${mode} | pin header: ${header || "tắt"} [${source}]`);
+  }
+}
+
+// headers / cors / hide_worker nằm thẳng trong proxy-config
+function applyHeaderConfig(cfg) {
+  let config;
+  try {
+    config = normalizeHeaderConfig(cfg, envHeaderConfig);
+  } catch (e) {
+    console.error(`❌ ${PROXY_CONFIG_PATH}/headers|cors: ${e.message} (giữ header policy hiện tại)`);
+    return;
+  }
+
+  const source = cfg.headers || cfg.cors || cfg.hide_worker !== undefined ? remoteSource() : "env";
+  const prev = JSON.stringify(describeHeaderConfig(headerConfig));
+  headerConfig = config;
+  headerSource = source;
+  if (prev !== JSON.stringify(describeHeaderConfig(config))) {
+    const { headers, cors, hide_worker: hideWorker } = describeHeaderConfig(config);
+    const count = (ops) => Object.keys(ops.set).length + Object.keys(ops.add).length + ops.remove.length;
+    console.log(
+      `🏷️  Headers: request ${count(headers.request)} rule, response ${count(headers.response)} rule | ` +
+        `CORS: ${cors ? cors.origins.join(", ") : "tắt"} | ẩn worker: ${hideWorker ? "có" : "không"} [${source}]`
+    );
+  }
+}
+
+function applyBalancerConfig(raw) {
+  if (!raw) {
+    workerGroups.setBalancer(envBalancerConfig, "env");
+    return;
+  }
+
+  try {
+    workerGroups.setBalancer(normalizeBalancerConfig(raw, envBalancerConfig), remoteSource());
+  } catch (e) {
+    console.error(`❌ ${PROXY_CONFIG_PATH}/lb: ${e.message} (giữ strategy hiện tại)`);
+  }
+}
+
+function applyRoutingTable(raw) {
+  let table;
+  try {
+    table = normalizeRoutingTable(raw);
+  } catch (e) {
+    console.error(`❌ ${ROUTES_PATH}: ${e.message} (giữ bảng routing hiện tại)`);
+    return;
+  }
+
+  workerGroups.setRoutingTable(table);
+  stickySessions.prune(workerGroups.allKeys());
+
+  const rules = table.rules.map((r) => `${r.host || "*"}${r.pathPrefix || ""} → ${r.group}`);
+  console.log(`🗺️  Routing: ${rules.length ? rules.join(", ") : "(không có rule)"} | default → ${table.defaultGroup}`);
+}
+
+// ========================================
+// 🔐 TLS (HTTPS / HTTP2 listener + upstream https://)
+// ========================================
+let tlsConfig;
+try {
+  tlsConfig = loadTlsConfig();
+} catch (e) {
+  console.error(`❌ TLS: ${e.message} (chỉ chạy HTTP)`);
+  tlsConfig = loadTlsConfig({});
+}
+
+// option TLS khi proxy tới worker https:// (http-proxy + health check dùng chung)
+function upstreamTlsOptions() {
+  return { ca: tlsConfig.upstream.ca || undefined, rejectUnauthorized: tlsConfig.upstream.verify };
+}
+healthChecker.setTlsOptions(upstreamTlsOptions());
+
 // ========================================
 // 🌐 HTTP PROXY
 // ========================================
-const proxy = httpProxy.createProxyServer({
+const PROXY_OPTIONS = {
   xfwd: true, // Tự động thêm X-Forwarded-* headers
   preserveHeaderKeyCase: true, // Giữ nguyên case của header
   ws: true, // Hỗ trợ WebSocket
   changeOrigin: true, // Thay đổi origin header
   followRedirects: false, // Không tự động follow redirect
-});
+};
 
-// Xử lý lỗi proxy
-proxy.on("error", (err, req, res) => {
-  const reqId = (req && req.headers && req.headers["x-request-id"]) || "unknown";
-  console.error(`❌ Proxy error [${reqId}]:`, err.message);
+const proxy = httpProxy.createProxyServer(PROXY_OPTIONS);
+
+// Các bước copy status/header của http-proxy, dùng lại khi tự xử lý response (selfHandleResponse)
+const WEB_OUTGOING_PASSES = Object.keys(webOutgoing).map((k) => webOutgoing[k]);
+
+function pipeWorkerResponse(req, res, proxyRes) {
+  for (const pass of WEB_OUTGOING_PASSES) {
+    if (pass(req, res, proxyRes, PROXY_OPTIONS)) break;
+  }
+  proxyRes.pipe(res);
+}
+
+// HTTP/2: req.headers có pseudo-header (":method", ":path", ...) không gửi được sang worker HTTP/1.1
+// => thay bằng bản copy sạch (method / url vẫn đọc từ header gốc nên rewrite req.url vẫn chạy)
+function normalizeHttp2Request(req) {
+  const headers = {};
+  for (const [h, v] of Object.entries(req.headers)) {
+    if (!h.startsWith(":")) headers[h] = v;
+  }
+  if (!headers.host && req.authority) headers.host = req.authority;
+  Object.defineProperty(req, "headers", { value: headers, writable: true, configurable: true, enumerable: true });
+}
+
+// header gắn với 1 kết nối HTTP/1.1, HTTP/2 cấm trả về client
+const CONNECTION_HEADERS = ["connection", "keep-alive", "proxy-connection", "transfer-encoding", "upgrade"];
 
-  // res có thể không tồn tại trong một số trường hợp (upgrade socket)
-  if (res && !res.headersSent) {
+function sendBadGateway(res, reqId) {
+  // res có thể không tồn tại / là socket trong một số trường hợp (upgrade socket)
+  if (res && typeof res.writeHead === "function" && !res.headersSent) {
     res.writeHead(502, { "Content-Type": "application/json" });
     res.end(
       JSON.stringify({
@@ -352,28 +1246,288 @@ proxy.on("error", (err, req, res) => {
         request_id: reqId,
       })
     );
+  } else if (res && typeof res.destroy === "function") {
+    res.destroy();
+  }
+}
+
+function sendTooManyRequests(res, reqId, message, retryAfterSec) {
+  const headers = { "Content-Type": "application/json" };
+  if (retryAfterSec) headers["Retry-After"] = String(retryAfterSec);
+  res.writeHead(429, headers);
+  res.end(JSON.stringify({ error: "Too Many Requests", message, request_id: reqId }));
+}
+
+// WebSocket chưa upgrade => trả HTTP response thô trên socket rồi đóng
+function rejectUpgrade(socket, status, payload, retryAfterSec) {
+  const body = JSON.stringify(payload);
+  const retryAfter = retryAfterSec ? `Retry-After: ${retryAfterSec}\r\n` : "";
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\n${retryAfter}` +
+      `Content-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`
+  );
+}
+
+// vượt giới hạn kích thước / thời gian (client gửi chậm / quá lớn, worker treo)
+function recordLimit(reason, reqId, detail) {
+  mLimits.inc({ reason, side: limitSide(reason) });
+  console.warn(`⏱️  Vượt giới hạn ${reason} [${reqId || "-"}]${detail ? `: ${detail}` : ""}`);
+}
+
+// Xử lý lỗi proxy (proxy.ws không có callback => lỗi WebSocket tới đây)
+proxy.on("error", (err, req, res) => {
+  const reqId = (req && req.headers && req.headers["x-request-id"]) || "unknown";
+  console.error(`❌ Proxy error [${reqId}]:`, err.message);
+
+  if (req && req._onWorkerError) req._onWorkerError(err);
+
+  // WebSocket chưa upgrade mà worker quá hạn => 504 JSON thay vì cắt kết nối
+  const reason = upstreamTimeoutReason(err);
+  if (reason) recordLimit(reason, reqId, err.message);
+  if (reason && res && typeof res.writeHead !== "function" && res.writable) {
+    rejectUpgrade(res, limitStatus(reason), limitPayload(reason, reqId, limitsConfig));
+    return;
   }
+
+  sendBadGateway(res, reqId);
+});
+
+// header request gửi worker theo policy (sau khi http-proxy thêm X-Forwarded-*) + connect / response timeout
+proxy.on("proxyReq", (proxyReq, req, res, options) => {
+  applyRequestPolicy(proxyReq, req._headerPolicy);
+  applyUpstreamTimeouts(proxyReq, options);
+  req._proxyReq = proxyReq; // để hủy khi client vượt giới hạn body giữa chừng
 });
 
+// Worker đã trả response (HTTP) => ghi nhận kết quả cho breaker, rồi quyết định retry nếu tự xử lý response
+proxy.on("proxyRes", (proxyRes, req) => {
+  // cache đọc header gốc của worker, trước khi bị sửa bên dưới
+  if (req && req._cacheCapture) req._cacheCapture(proxyRes);
+
+  // cookie sticky phải nối vào Set-Cookie của worker (http-proxy sẽ ghi đè header set sẵn trên res)
+  if (req && req._stickyCookie) {
+    const existing = proxyRes.headers["set-cookie"] || [];
+    proxyRes.headers["set-cookie"] = [].concat(existing, req._stickyCookie);
+  }
+
+  if (req && req.httpVersionMajor === 2) {
+    for (const h of CONNECTION_HEADERS) delete proxyRes.headers[h];
+    proxyRes.statusMessage = ""; // HTTP/2 không có reason phrase (tránh warning khi http-proxy copy sang)
+  } else if (drainingSince) {
+    // đang drain => client mở kết nối mới (tới instance khác) cho request sau
+    proxyRes.headers.connection = "close";
+  }
+
+  if (req && req._onWorkerResponse) req._onWorkerResponse(proxyRes.statusCode);
+  if (req && req._mirror) req._mirror.captureResponse(proxyRes); // hash body response thật để so với shadow
+  if (req && req._onSelfHandledResponse) req._onSelfHandledResponse(proxyRes);
+});
+
+// WebSocket: upgrade thành công / worker trả response thường thay vì upgrade
+proxy.on("proxyReqWs", (proxyReq, req, socket, options) => {
+  applyRequestPolicy(proxyReq, req._headerPolicy);
+  applyUpstreamTimeouts(proxyReq, options);
+  proxyReq.once("upgrade", (proxyRes, proxySocket) => {
+    const ws = activeWebSockets.get(socket);
+    if (ws) ws.upstream = proxySocket; // để lúc shutdown gỡ pipe worker -> client trước khi gửi close frame
+    if (req._onWorkerResponse) req._onWorkerResponse(101);
+    if (req._onWsOpen) req._onWsOpen(proxySocket);
+  });
+  proxyReq.once("response", (proxyRes) => req._onWorkerResponse && req._onWorkerResponse(proxyRes.statusCode));
+});
+
+// Gắn callback ghi nhận kết quả 1 lần duy nhất cho mỗi request đã chọn worker
+// + đếm request dở dang của worker (least-outstanding, ...)
+function trackWorkerOutcome(req, worker, pool) {
+  let settled = false;
+  let ended = false;
+
+  pool.beginRequest(worker.key);
+
+  req._onWorkerResponse = (statusCode) => {
+    if (settled) return;
+    settled = true;
+    circuitBreakers.recordStatus(worker.key, statusCode);
+  };
+
+  req._onWorkerError = (err) => {
+    mUpstreamErrors.inc({ worker: shortKey(worker.key), code: err.code || "ERROR" });
+    if (settled) return;
+    settled = true;
+    circuitBreakers.record(worker.key, false, err.message);
+  };
+
+  // request kết thúc / chuyển sang retry; client hủy trước khi worker trả lời => không tính lỗi, chỉ trả slot half-open
+  return () => {
+    if (ended) return;
+    ended = true;
+    pool.endRequest(worker.key);
+
+    if (settled) return;
+    settled = true;
+    circuitBreakers.release(worker.key);
+  };
+}
+
+// trạng thái 1 worker (dùng cho /health + admin API)
+function describeWorker(w) {
+  const pool = workerGroups.get(w.group);
+  return {
+    key: w.key,
+    group: w.group,
+    url: w.url,
+    version: w.version,
+    upload_at: new Date(w.upload_at).toISOString(),
+    weight: pool.getWeight(w.key),
+    in_flight: pool.getInFlight(w.key),
+    max_concurrency: pool.concurrency ? concurrencyLimitOf(pool.concurrency, w.key) : 0,
+    in_rotation: pool.isAvailable(w.key),
+    state: workerOverrides.stateOf(w.key),
+    override: workerOverrides.get(w.key),
+    health: healthChecker.getState(w.key),
+    breaker: circuitBreakers.getState(w.key),
+    stats: workerRequestStats.get(w.key),
+  };
+}
+
+// ========================================
+// 🛠️  ADMIN API
+// ========================================
+async function setWorkerOverride(key, patch, actor) {
+  const current = workerOverrides.get(key) || { state: "active", weight: null };
+  const next = normalizeOverride({ ...current, ...patch, updated_at: new Date().toISOString(), updated_by: actor });
+
+  // áp dụng ngay trên instance này, các instance khác nhận qua on(value) (provider khác firebase: chỉ instance này)
+  workerOverrides.apply(key, next);
+
+  try {
+    await discovery.saveOverride(key, next.state === "active" && next.weight === null ? null : next);
+  } catch (err) {
+    err.status = 502;
+    throw err;
+  }
+  return workerOverrides.get(key);
+}
+
+const adminConfig = loadAdminConfig();
+const adminApi = createAdminApi(adminConfig, {
+  listWorkers: () => workerGroups.getAllWorkers().map(describeWorker),
+  getWorker: (key) => {
+    const pool = workerGroups.poolOf(key);
+    return pool ? describeWorker(pool.workers.get(key)) : null;
+  },
+  getInFlight: (key) => {
+    const pool = workerGroups.poolOf(key);
+    return pool ? pool.getInFlight(key) : 0;
+  },
+  setOverride: setWorkerOverride,
+  resync: resyncFromSource,
+  clientIp,
+});
+
+// ========================================
+// 🚪 DRAIN STATE (graceful shutdown)
+// ========================================
+let drainingSince = null; // timestamp bắt đầu drain, null = đang chạy bình thường
+const activeRequests = new Map(); // res -> { reqId, method, path, startTime }
+const activeWebSockets = new Map(); // client socket -> { reqId, path, startTime, upstream }
+
+function describeDrain() {
+  if (!drainingSince) return null;
+  return {
+    started_at: new Date(drainingSince).toISOString(),
+    deadline_at: new Date(drainingSince + SHUTDOWN_ANNOUNCE_MS + SHUTDOWN_GRACE_MS).toISOString(),
+    in_flight_http: activeRequests.size,
+    websockets: activeWebSockets.size,
+  };
+}
+
+// /readyz: đủ worker khả dụng + nguồn worker đang kết nối + không drain
+function readiness() {
+  return evaluateReadiness(readinessConfig, {
+    draining: Boolean(drainingSince),
+    availableWorkers: workerGroups.availableCount(),
+    source: { provider: discovery ? discovery.name : null, connected: Boolean(discovery && discovery.isConnected()) },
+  });
+}
+
 // ========================================
 // 🖥️  HTTP SERVER
 // ========================================
-const server = http.createServer((req, res) => {
-  // ✅ Health check xử lý trước, không đi proxy
+// dùng chung cho server HTTP và HTTPS / HTTP2
+function handleRequest(req, res) {
+  const isHttp2 = req.httpVersionMajor === 2;
+  if (isHttp2) normalizeHttp2Request(req);
+
+  // đang drain => không giữ keep-alive, cloudflared / nginx mở kết nối mới sang instance khác (HTTP/2: GOAWAY lúc shutdown)
+  if (drainingSince && !isHttp2) res.setHeader("Connection", "close");
+
+  // ✅ Liveness: process còn chạy là 200 (pm2 / k8s chỉ restart khi process treo hẳn)
+  if (req.url === "/livez" || req.url === "/livez/") {
+    res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify({ status: "alive", uptime_sec: Math.round((Date.now() - startedAt) / 1000) }));
+    return;
+  }
+
+  // ✅ Readiness: 503 khi không đủ worker / mất nguồn worker / đang drain => cloudflared / nginx route đi chỗ khác
+  if (req.url === "/readyz" || req.url === "/readyz/") {
+    const { ready, reasons, checks } = readiness();
+    res.writeHead(ready ? 200 : 503, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify({ status: ready ? "ready" : "not_ready", reasons, checks }, null, 2));
+    return;
+  }
+
+  // ✅ Health check xử lý trước, không đi proxy (503 khi đang drain để upstream route đi chỗ khác)
   if (req.url === "/health" || req.url === "/health/" || req.url === "/nginx-health" || req.url === "/nginx-health/") {
-    res.writeHead(200, { "Content-Type": "application/json" });
+    const ready = readiness();
+    // degraded = vẫn nhận request nhưng chưa ready (thiếu worker / mất nguồn worker), chi tiết ở "readiness"
+    const status = drainingSince ? "draining" : ready.ready ? "ok" : "degraded";
+    res.writeHead(drainingSince ? 503 : 200, { "Content-Type": "application/json" });
+
+    // hide_worker => client ngoài chỉ thấy tóm tắt, chi tiết worker cần token admin
+    if (headerConfig.hideWorker && !isAdminRequest(req, adminConfig)) {
+      res.end(
+        JSON.stringify({
+          status,
+          stale: workerSnapshot.stale,
+          total_workers: workerGroups.size(),
+          available_workers: workerGroups.availableCount(),
+        })
+      );
+      return;
+    }
+
     res.end(
       JSON.stringify(
         {
-          status: "ok",
-          total_workers: workerPool.size(),
-          orderStr: workerPool.getOrderStr(),
-          workers: workerPool.getAllWorkers().map((w) => ({
-            key: w.key,
-            url: w.url,
-            version: w.version,
-            upload_at: new Date(w.upload_at).toISOString(),
-          })),
+          status,
+          readiness: { ready: ready.ready, reasons: ready.reasons },
+          started_at: new Date(startedAt).toISOString(),
+          uptime_sec: Math.round((Date.now() - startedAt) / 1000),
+          build: buildInfo,
+          draining: describeDrain(),
+          stale: workerSnapshot.stale, // true = pool tạm từ snapshot trên đĩa, chưa sync được từ nguồn
+          total_workers: workerGroups.size(),
+          available_workers: workerGroups.availableCount(),
+          groups: workerGroups.describe(),
+          routing: describeRoutingTable(workerGroups.table),
+          health_check: healthChecker.describe(),
+          sticky: stickySessions.describe(),
+          circuit_breaker: circuitBreakers.describe(),
+          retry: describeRetryConfig(retryConfig),
+          access_log: accessLog.describe(),
+          rate_limit: rateLimiter.describe(),
+          concurrency: { source: concurrencySource, ...describeConcurrencyConfig(workerGroups.concurrency) },
+          version_split: versionSplitter.describe(),
+          cache: responseCache.describe(),
+          mirror: trafficMirror.describe(),
+          headers: { source: headerSource, ...describeHeaderConfig(headerConfig) },
+          limits: describeLimitsConfig(limitsConfig),
+          tls: { ...describeTlsConfig(tlsConfig), listening: tlsListen },
+          discovery: discovery ? discovery.describe() : null,
+          sync: syncTracker.describe(),
+          worker_snapshot: workerSnapshot.describe(),
+          workers: workerGroups.getAllWorkers().map(describeWorker),
         },
         null,
         2
@@ -382,6 +1536,14 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  if (METRICS_PATH && req.url === METRICS_PATH) {
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(metrics.render());
+    return;
+  }
+
+  if (adminApi(req, res)) return;
+
   // Tạo Request ID nếu chưa có
   if (!req.headers["x-request-id"]) {
     req.headers["x-request-id"] = uuidv4();
@@ -389,71 +1551,531 @@ const server = http.createServer((req, res) => {
 
   const reqId = req.headers["x-request-id"];
   const startTime = Date.now();
+  const logFields = accessLog.requestFields(req); // lấy trước khi rewrite url / thêm header proxy
+
+  activeRequests.set(res, { reqId, method: req.method, path: logFields.path, startTime });
+  res.on("close", () => activeRequests.delete(res));
+  // HTTP/2: nhiều stream dùng chung 1 socket => không đo được byte ra theo từng request
+  const clientSocket = isHttp2 ? null : req.socket;
+  const bytesOutStart = clientSocket ? clientSocket.bytesWritten : 0;
+  let bytesIn = 0;
+
+  // Chọn group theo host/path, rewrite path nếu rule yêu cầu
+  const { group, rule, pool } = workerGroups.route(req);
+  const originalUrl = req.url;
+  req.url = rewriteUrl(req.url, rule);
+
+  // header policy (chung + route): request sửa ở proxyReq, response sửa lúc writeHead (mọi nguồn: worker / cache / lỗi)
+  const headerPolicy = resolvePolicy(headerConfig, rule);
+  req._headerPolicy = headerPolicy;
+  applyResponsePolicy(req, res, headerPolicy);
+
+  // xfwd sửa trực tiếp req.headers mỗi lần proxy.web => giữ bản gốc để retry không bị nhân đôi
+  const forwardedHeaders = {};
+  for (const h of ["x-forwarded-for", "x-forwarded-port", "x-forwarded-proto", "x-forwarded-host"]) {
+    forwardedHeaders[h] = req.headers[h];
+  }
 
-  // Lấy worker tiếp theo (round-robin)
-  const worker = workerPool.getNextWorker();
+  const maxAttempts = isRetryableRequest(req, retryConfig) ? retryConfig.maxAttempts : 1;
+  const tried = []; // key worker đã thử, theo thứ tự
+  const errors = []; // lỗi từng attempt: { worker, error }
+  let lastWorker = null;
+  let lastPinned = false;
+  let cacheResult = null; // HIT | MISS | EXPIRED | REVALIDATED | STALE | BYPASS (null = tắt cache)
+  let cachedEntry = null; // bản đã hết hạn trong cache (để revalidate / trả khi worker lỗi)
+  let revalidating = false;
+  let releaseWorker = () => {};
+  res.on("close", () => releaseWorker());
+
+  mInFlight.inc();
+  res.on("close", () => {
+    mInFlight.dec();
+    // 499 = client đóng kết nối trước khi nhận đủ response (giống nginx)
+    const status = res.writableFinished ? res.statusCode : 499;
+    const durationMs = Date.now() - startTime;
+    const worker = lastWorker ? shortKey(lastWorker.key) : "none";
+    mRequests.inc({ group, worker, method: methodLabel(req.method), status });
+    mDuration.observe({ group, worker }, durationMs / 1000);
+    if (lastWorker) workerRequestStats.record(lastWorker.key, status, durationMs);
+    if (cacheResult) mCache.inc({ group, result: cacheResult });
+    if (req._mirror) req._mirror.finishPrimary({ status, durationMs, worker: lastWorker ? lastWorker.key : null });
+
+    accessLog.log({
+      type: "http",
+      request_id: reqId,
+      ...logFields,
+      upstream_path: req.url !== originalUrl ? req.url : undefined,
+      group,
+      worker: lastWorker ? lastWorker.key : null,
+      worker_version: lastWorker ? lastWorker.version : null,
+      sticky: lastPinned,
+      status,
+      cache: cacheResult || undefined,
+      bytes_in: bytesIn,
+      bytes_out: clientSocket ? clientSocket.bytesWritten - bytesOutStart : undefined,
+      duration_ms: durationMs,
+      retries: Math.max(0, tried.length - 1),
+      tried: tried.length > 1 ? tried : undefined,
+      errors: errors.length ? errors : undefined,
+    });
+  });
 
-  if (!worker) {
-    console.warn(`⚠️  [${reqId}] Không có worker khả dụng`);
-    res.writeHead(503, { "Content-Type": "application/json" });
-    res.end(
-      JSON.stringify({
-        error: "Service Unavailable",
-        message: "Không có worker nào đang hoạt động",
-        request_id: reqId,
-      })
+  // worker lỗi / không còn worker => trả bản cũ trong cache nếu response gốc cho phép
+  const serveStale = () => {
+    if (!cachedEntry || res.headersSent || !responseCache.canServeStale(cachedEntry)) return false;
+    cacheResult = "STALE";
+    responseCache.send(req, res, cachedEntry, "STALE");
+    return true;
+  };
+
+  // client vượt giới hạn body (quá lớn / ngừng gửi giữa chừng) => bỏ request đang gửi dở sang worker, trả lỗi nếu còn kịp
+  let limitHit = null;
+  const rejectForLimit = (reason, extra) => {
+    if (limitHit || res.writableEnded) return;
+    limitHit = reason;
+    recordLimit(reason, reqId, `${req.method} ${logFields.path} (đã nhận ${bytesIn} bytes)`);
+    errors.push({ worker: null, error: reason });
+    if (req._proxyReq) req._proxyReq.destroy(); // callback proxy.web bỏ qua lỗi này (limitHit), breaker không tính
+    if (res.headersSent) res.destroy();
+    else sendLimitError(res, reason, reqId, limitsConfig, extra, true);
+  };
+
+  const dispatch = (lastError) => {
+    // Lấy worker (sticky / strategy), không lặp lại worker đã thử
+    const { worker, pinned, cookie } = pickWorker(pool, req, new Set(tried));
+
+    if (!worker) {
+      if (lastError) {
+        errors.push({ worker: null, error: "no worker left to retry" });
+        if (!serveStale()) sendBadGateway(res, reqId);
+        return;
+      }
+
+      if (pool.isSaturated()) {
+        errors.push({ worker: null, error: "all workers at max concurrency" });
+        mRejected.inc({ group, reason: "concurrency" });
+        sendTooManyRequests(res, reqId, "Tất cả worker đang quá tải, thử lại sau", 1);
+        return;
+      }
+
+      errors.push({ worker: null, error: "no worker available" });
+      if (serveStale()) return;
+      res.writeHead(503, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          error: "Service Unavailable",
+          message: "Không có worker nào đang hoạt động",
+          request_id: reqId,
+        })
+      );
+      return;
+    }
+
+    tried.push(worker.key);
+    lastWorker = worker;
+    lastPinned = pinned;
+    const attempt = tried.length;
+    const canRetry = attempt < maxAttempts;
+    let superseded = false; // attempt này đã nhường cho attempt sau
+
+    // Thêm thông tin worker vào header (optional)
+    req.headers["x-proxy-worker"] = worker.key;
+    req.headers["x-proxy-worker-version"] = worker.version;
+    for (const [h, v] of Object.entries(forwardedHeaders)) {
+      if (v === undefined) delete req.headers[h];
+      else req.headers[h] = v;
+    }
+
+    res.setHeader("x-proxy-retries", String(attempt - 1));
+    res.setHeader("x-proxy-tried", tried.map(shortKey).join(","));
+
+    req._stickyCookie = cookie;
+    req._cacheCapture = cacheResult
+      ? (proxyRes) => responseCache.capture(req, group, proxyRes, { worker: worker.key, version: worker.version })
+      : null;
+    releaseWorker = trackWorkerOutcome(req, worker, pool);
+
+    const retry = (reason) => {
+      mRetries.inc({ group, reason: reason.startsWith("status ") ? "status" : "error" });
+      superseded = true;
+      releaseWorker();
+      dispatch(reason);
+    };
+
+    // còn lượt retry => tự xử lý response để có thể bỏ response lỗi trước khi ghi cho client
+    // đang revalidate cache => worker trả 304 thì dùng body trong cache
+    const selfHandle = canRetry || revalidating;
+    req._onSelfHandledResponse = selfHandle
+      ? (proxyRes) => {
+          if (superseded || limitHit) return;
+          if (revalidating && proxyRes.statusCode === 304 && !res.headersSent) {
+            proxyRes.resume();
+            cacheResult = "REVALIDATED";
+            responseCache.send(req, res, responseCache.refresh(cachedEntry, proxyRes), "REVALIDATED");
+            return;
+          }
+          if (canRetry && shouldRetryStatus(proxyRes.statusCode, retryConfig) && !res.headersSent) {
+            errors.push({ worker: worker.key, error: `status ${proxyRes.statusCode}` });
+            proxyRes.resume();
+            retry(`status ${proxyRes.statusCode}`);
+            return;
+          }
+          pipeWorkerResponse(req, res, proxyRes);
+        }
+      : null;
+
+    // Proxy request đến worker
+    proxy.web(
+      req,
+      res,
+      {
+        target: worker.url,
+        secure: tlsConfig.upstream.verify, // verify cert của worker https://
+        ca: tlsConfig.upstream.ca || undefined,
+        selfHandleResponse: selfHandle,
+        proxyTimeout: retryConfig.upstreamTimeoutMs || undefined,
+        connectTimeout: limitsConfig.upstreamConnectTimeoutMs || undefined, // xử lý ở proxy.on("proxyReq")
+        responseTimeout: limitsConfig.upstreamResponseTimeoutMs || undefined,
+        // body đã đọc hết ở lần đầu (request retry không có body) => gửi body rỗng
+        buffer: attempt > 1 ? Readable.from([]) : undefined,
+      },
+      (err) => {
+        if (superseded || limitHit) return;
+        errors.push({ worker: worker.key, error: err.code ? `${err.code}: ${err.message}` : err.message });
+        req._onWorkerError(err);
+
+        // worker không kết nối / không trả lời kịp => 504 (phân biệt với 502 worker lỗi)
+        const timeoutReason = upstreamTimeoutReason(err);
+        if (timeoutReason) recordLimit(timeoutReason, reqId, `${shortKey(worker.key)}: ${err.message}`);
+
+        if (canRetry && !res.headersSent) {
+          retry(err.code || err.message);
+          return;
+        }
+        if (serveStale()) return;
+        if (timeoutReason && !res.headersSent) sendLimitError(res, timeoutReason, reqId, limitsConfig, { worker: worker.key });
+        else sendBadGateway(res, reqId);
+      }
+    );
+  };
+
+  // tra cache trước khi chọn worker (HIT thì không cần tới worker)
+  const dispatchWithCache = () => {
+    if (!responseCache.isCacheableRequest(req)) {
+      if (responseCache.enabled) cacheResult = "BYPASS";
+      if (cacheResult) res.setHeader(responseCache.config.header, cacheResult);
+      dispatch(null);
+      return;
+    }
+
+    responseCache.lookup(req, group).then(
+      ({ entry, fresh }) => {
+        if (res.destroyed) return;
+        if (entry && fresh) {
+          cacheResult = "HIT";
+          responseCache.send(req, res, entry, "HIT");
+          return;
+        }
+
+        cacheResult = entry ? "EXPIRED" : "MISS";
+        cachedEntry = entry;
+        // client tự gửi If-None-Match / If-Modified-Since thì để worker trả lời thẳng cho client
+        if (entry && responseCache.canRevalidate(entry) && !req.headers["if-none-match"] && !req.headers["if-modified-since"]) {
+          Object.assign(req.headers, responseCache.conditionalHeaders(entry));
+          revalidating = true;
+        }
+        res.setHeader(responseCache.config.header, cacheResult);
+        dispatch(null);
+      },
+      (err) => {
+        console.error(`❌ Cache lookup [${reqId}]:`, err.message);
+        if (!res.destroyed) dispatch(null);
+      }
     );
+  };
+
+  // CORS preflight trả ngay tại proxy, không tính rate limit, không tới worker
+  if (headerPolicy.cors && isPreflight(req)) {
+    sendPreflight(req, res, headerPolicy.cors);
     return;
   }
 
-  // Log request
-  console.log(`📨 [${reqId}] ${req.method} ${req.url} → ${worker.url}`);
+  // Content-Length báo trước đã vượt giới hạn => 413 ngay, không đọc body, không tới worker
+  const declaredLength = parseInt(req.headers["content-length"], 10);
+  if (limitsConfig.maxBodyBytes && declaredLength > limitsConfig.maxBodyBytes) {
+    rejectForLimit("body_too_large", { content_length: declaredLength });
+    return;
+  }
 
-  // Thêm thông tin worker vào header (optional)
-  req.headers["x-proxy-worker"] = worker.key;
-  req.headers["x-proxy-worker-version"] = worker.version;
+  // đã trả 429 => không gắn body timer / listener data cho request đã bị từ chối
+  const limited = rateLimiter.check(req, originalUrl);
+  if (!limited.allowed) {
+    errors.push({ worker: null, error: `rate limited (${limited.rule})` });
+    mRejected.inc({ group, reason: "rate_limit" });
+    sendTooManyRequests(res, reqId, "Vượt quá giới hạn request, thử lại sau", limited.retryAfterSec);
+    return;
+  }
 
-  // Proxy request đến worker
-  proxy.web(
-    req,
-    res,
-    {
-      target: worker.url,
-    },
-    (err) => {
-      console.error(`❌ [${reqId}] Lỗi khi proxy đến ${worker.url}:`, err.message);
-    }
-  );
+  // copy request (kể cả body) sang shadow song song, không chờ
+  req._mirror = trafficMirror.begin(req, { reqId, path: logFields.path });
+  dispatchWithCache();
+
+  // body timeout: khoảng lặng giữa 2 chunk (client mở request rồi nhỏ giọt body => giữ worker + slot mãi)
+  let bodyTimer = null;
+  const armBodyTimer = () => {
+    clearTimeout(bodyTimer);
+    bodyTimer = setTimeout(() => rejectForLimit("body_timeout"), limitsConfig.bodyTimeoutMs);
+  };
+  const expectsBody = hasRequestBody(req) || (isHttp2 && !req.stream.endAfterHeaders);
+  if (limitsConfig.bodyTimeoutMs && expectsBody && !req.complete) {
+    armBodyTimer();
+    const clearBodyTimer = () => clearTimeout(bodyTimer);
+    req.on("end", clearBodyTimer);
+    res.on("close", clearBodyTimer);
+  }
 
-  // Log khi hoàn thành
-  res.on("finish", () => {
-    const duration = Date.now() - startTime;
-    console.log(`✅ [${reqId}] ${res.statusCode} - ${duration}ms`);
+  // đếm byte body client gửi lên (req đã được pipe sang worker; không có worker thì xả bỏ)
+  // chunked / HTTP/2 không báo trước độ dài => cắt khi vượt giới hạn
+  req.on("data", (chunk) => {
+    bytesIn += chunk.length;
+    if (limitsConfig.maxBodyBytes && bytesIn > limitsConfig.maxBodyBytes) rejectForLimit("body_too_large");
+    else if (bodyTimer && !limitHit) armBodyTimer();
   });
-});
+}
 
 // Xử lý WebSocket upgrade
-server.on("upgrade", (req, socket, head) => {
+function handleUpgrade(req, socket, head) {
   const reqId = req.headers["x-request-id"] || uuidv4();
   req.headers["x-request-id"] = reqId;
 
-  const worker = workerPool.getNextWorker();
+  const startTime = Date.now();
+  const logFields = accessLog.requestFields(req);
+  const bytesInStart = socket.bytesRead;
+  const bytesOutStart = socket.bytesWritten;
+
+  if (drainingSince) {
+    rejectUpgrade(socket, 503, { error: "Service Unavailable", message: "Proxy đang tắt, thử lại sau", request_id: reqId }, 1);
+    return;
+  }
+
+  const { group, rule, pool } = workerGroups.route(req);
+  const originalUrl = req.url;
+  req.url = rewriteUrl(req.url, rule);
+  req._headerPolicy = resolvePolicy(headerConfig, rule);
+
+  const limited = rateLimiter.check(req, originalUrl);
+  const { worker, pinned } = limited.allowed ? pickWorker(pool, req) : { worker: null, pinned: false };
+
+  // 1 record cho cả phiên WebSocket, ghi khi socket đóng
+  let status = null;
+  let rejectReason = null;
+  const errors = [];
+  if (!limited.allowed) {
+    status = 429;
+    rejectReason = "rate_limit";
+    errors.push({ worker: null, error: `rate limited (${limited.rule})` });
+  } else if (!worker && pool.isSaturated()) {
+    status = 429;
+    rejectReason = "concurrency";
+    errors.push({ worker: null, error: "all workers at max concurrency" });
+  } else if (!worker) {
+    status = 503;
+    errors.push({ worker: null, error: "no worker available" });
+  }
+
+  socket.on("close", () => {
+    accessLog.log({
+      type: "ws",
+      request_id: reqId,
+      ...logFields,
+      upstream_path: req.url !== originalUrl ? req.url : undefined,
+      group,
+      worker: worker ? worker.key : null,
+      worker_version: worker ? worker.version : null,
+      sticky: pinned,
+      status: status === null ? 499 : status,
+      bytes_in: socket.bytesRead - bytesInStart,
+      bytes_out: socket.bytesWritten - bytesOutStart,
+      duration_ms: Date.now() - startTime,
+      retries: 0,
+      errors: errors.length ? errors : undefined,
+    });
+  });
+
+  if (rejectReason) {
+    mRejected.inc({ group, reason: rejectReason });
+    const message = rejectReason === "rate_limit" ? "Vượt quá giới hạn request, thử lại sau" : "Tất cả worker đang quá tải, thử lại sau";
+    const payload = { error: "Too Many Requests", message, request_id: reqId };
+    rejectUpgrade(socket, 429, payload, rejectReason === "rate_limit" ? limited.retryAfterSec : 1);
+    return;
+  }
 
   if (!worker) {
-    console.warn(`⚠️  [${reqId}] WebSocket: Không có worker khả dụng`);
     socket.destroy();
     return;
   }
 
-  console.log(`🔌 [${reqId}] WebSocket → ${worker.url}`);
-
   // Optional headers để worker biết
   req.headers["x-proxy-worker"] = worker.key;
   req.headers["x-proxy-worker-version"] = worker.version;
 
+  const releaseWorker = trackWorkerOutcome(req, worker, pool);
+  socket.on("close", releaseWorker);
+
+  const onWorkerResponse = req._onWorkerResponse;
+  const onWorkerError = req._onWorkerError;
+  req._onWorkerResponse = (statusCode) => {
+    if (status === null) status = statusCode;
+    onWorkerResponse(statusCode);
+  };
+  req._onWorkerError = (err) => {
+    if (status === null) status = 502;
+    errors.push({ worker: worker.key, error: err.code ? `${err.code}: ${err.message}` : err.message });
+    onWorkerError(err);
+  };
+
+  activeWebSockets.set(socket, { reqId, path: logFields.path, startTime, upstream: null });
+  socket.on("close", () => activeWebSockets.delete(socket));
+
+  // idle / ping timeout sau khi upgrade xong (pong của client đi tiếp sang worker, RFC 6455 cho phép pong không yêu cầu)
+  if (limitsConfig.wsIdleTimeoutMs || limitsConfig.wsPingIntervalMs) {
+    req._onWsOpen = (proxySocket) => {
+      watchWebSocket(socket, proxySocket, limitsConfig, (reason) => {
+        recordLimit(reason, reqId, logFields.path);
+        errors.push({ worker: null, error: reason });
+        if (reason === "ws_ping_timeout") {
+          // client không còn phản hồi => không chờ close frame
+          socket.destroy();
+          proxySocket.destroy();
+          return;
+        }
+        sendWsClose(socket, activeWebSockets.get(socket), "idle timeout");
+        setTimeout(() => socket.destroy(), SHUTDOWN_WS_CLOSE_MS).unref();
+      });
+    };
+  }
+
+  const wsLabels = { group, worker: shortKey(worker.key) };
+  mWsTotal.inc(wsLabels);
+  mWsActive.inc(wsLabels);
+  socket.on("close", () => mWsActive.dec(wsLabels));
+
   proxy.ws(req, socket, head, {
     target: worker.url,
+    secure: tlsConfig.upstream.verify,
+    ca: tlsConfig.upstream.ca || undefined,
+    connectTimeout: limitsConfig.upstreamConnectTimeoutMs || undefined,
+    responseTimeout: limitsConfig.upstreamResponseTimeoutMs || undefined, // chờ 101 từ worker
   });
+}
+
+// giới hạn header + timeout phía client cho server HTTP / HTTPS (requestTimeout tắt: body timeout tự đo theo khoảng lặng)
+function serverLimitOptions() {
+  return {
+    maxHeaderSize: limitsConfig.maxHeaderBytes || undefined,
+    headersTimeout: limitsConfig.headersTimeoutMs,
+    requestTimeout: 0,
+    keepAliveTimeout: limitsConfig.keepAliveTimeoutMs,
+    connectionsCheckingInterval: Math.min(1000, limitsConfig.headersTimeoutMs || 1000),
+  };
+}
+
+// header quá lớn / gửi header quá chậm (slowloris) / request sai cú pháp => JSON riêng từng loại rồi đóng kết nối
+const CLIENT_ERROR_REASONS = { HPE_HEADER_OVERFLOW: "header_too_large", ERR_HTTP_REQUEST_TIMEOUT: "header_timeout" };
+
+function handleClientError(err, socket) {
+  const reason = CLIENT_ERROR_REASONS[err.code];
+  if (reason) recordLimit(reason, null, `${socket.remoteAddress || "?"}: ${err.message}`);
+
+  if (err.code === "ECONNRESET" || !socket.writable) {
+    socket.destroy();
+    return;
+  }
+  if (reason) {
+    rejectUpgrade(socket, limitStatus(reason), limitPayload(reason, null, limitsConfig));
+  } else {
+    rejectUpgrade(socket, 400, { error: "Bad Request", message: "Request không hợp lệ", request_id: null });
+  }
+}
+
+// kết nối không có byte nào 2 chiều quá lâu (WebSocket đã upgrade: http-proxy tắt timeout, dùng ws idle timeout)
+// giữa 2 request Node dùng keepAliveTimeout cho socket => hết hạn keep-alive thì chỉ đóng, không tính là vượt giới hạn
+function handleIdleTimeout(socket) {
+  if (socket._httpMessage) recordLimit("idle_timeout", null, socket.remoteAddress || "?");
+  socket.destroy();
+}
+
+function applyServerLimits(srv) {
+  srv.on("clientError", handleClientError);
+  if (limitsConfig.idleTimeoutMs) srv.setTimeout(limitsConfig.idleTimeoutMs, handleIdleTimeout);
+}
+
+const server = http.createServer(serverLimitOptions(), handleRequest);
+server.on("upgrade", handleUpgrade);
+applyServerLimits(server);
+
+// ========================================
+// 🔐 HTTPS / HTTP2 SERVER (bật khi có cert + key)
+// ========================================
+let tlsServer = null;
+let tlsListen = null; // { port, http2 } lúc mở listener (đổi port / http2 cần restart)
+const tlsSockets = new Set(); // kết nối TLS đang mở (HTTP/2 server không có closeAllConnections)
+const tlsSessions = new Set(); // HTTP/2 session đang mở (GOAWAY khi shutdown)
+
+function listenTls() {
+  const { port, http2: useHttp2, cert, key } = tlsConfig;
+
+  // HTTP/2: ALPN "h2", client chỉ nói HTTP/1.1 (kể cả WebSocket upgrade) vẫn dùng được nhờ allowHTTP1
+  // HTTP/2 server không có maxHeaderSize / headersTimeout => giới hạn header qua SETTINGS_MAX_HEADER_LIST_SIZE, slowloris dựa vào idle timeout
+  tlsServer = useHttp2
+    ? http2.createSecureServer(
+        { cert, key, allowHTTP1: true, settings: { maxHeaderListSize: limitsConfig.maxHeaderBytes || undefined } },
+        handleRequest
+      )
+    : https.createServer({ cert, key, ...serverLimitOptions() }, handleRequest);
+  tlsListen = { port, http2: useHttp2 };
+  applyServerLimits(tlsServer);
+
+  tlsServer.on("upgrade", handleUpgrade);
+  tlsServer.on("secureConnection", (socket) => {
+    tlsSockets.add(socket);
+    socket.on("close", () => tlsSockets.delete(socket));
+  });
+  tlsServer.on("session", (session) => {
+    tlsSessions.add(session);
+    session.on("close", () => tlsSessions.delete(session));
+  });
+  tlsServer.on("error", (err) => console.error(`❌ HTTPS server (port ${port}):`, err.message));
+
+  tlsServer.listen(port, () => {
+    console.log(`🔐 HTTPS${useHttp2 ? " + HTTP/2" : ""} đang chạy tại https://localhost:${port} (${tlsConfig.subject}, hết hạn ${tlsConfig.validTo})`);
+  });
+}
+
+// cert / key / CA upstream đổi (envListener ghi .env, file cert đổi, SIGHUP)
+const tlsReloader = new TlsReloader(tlsConfig, (next, reason) => {
+  const prev = tlsConfig;
+
+  if (!tlsServer) {
+    tlsConfig = next;
+    if (next.enabled && !drainingSince) listenTls();
+  } else if (next.enabled) {
+    tlsConfig = next;
+    tlsServer.setSecureContext({ cert: next.cert, key: next.key }); // kết nối mới dùng cert mới, kết nối cũ giữ nguyên
+    if (next.port !== tlsListen.port || next.http2 !== tlsListen.http2) {
+      console.warn(`⚠️  TLS: đổi port / HTTP2 chỉ có hiệu lực sau khi restart (đang chạy port ${tlsListen.port})`);
+    }
+  } else {
+    // bỏ cert khi đang chạy HTTPS => giữ cert cũ, chỉ áp dụng phần upstream
+    tlsConfig = { ...prev, upstream: next.upstream };
+    console.warn("⚠️  TLS: không còn cert/key, HTTPS vẫn dùng cert cũ tới khi restart");
+  }
+
+  healthChecker.setTlsOptions(upstreamTlsOptions());
+  console.log(
+    `🔐 TLS reload (${reason}): cert=${tlsConfig.subject || "none"} (hết hạn ${tlsConfig.validTo || "-"}), ` +
+      `upstream ca=${tlsConfig.upstream.caSource || "system"} verify=${tlsConfig.upstream.verify}`
+  );
 });
 
 // ========================================
@@ -461,24 +2083,39 @@ server.on("upgrade", (req, socket, head) => {
 // ========================================
 async function start() {
   try {
-    initFirebase();
-    startFirebaseListener();
-
-    // Không cần delay 2s nữa vì on(value) sẽ sync ngay khi có snapshot đầu tiên
-    // Nhưng nếu bạn muốn chờ snapshot về để log đẹp, có thể keep 200-500ms
-    await new Promise((resolve) => setTimeout(resolve, 300));
+    await responseCache.init();
+    if (responseCache.enabled) {
+      const { memory, disk } = responseCache.describe();
+      console.log(`🗄️  Response cache: RAM ${memory.max_bytes} bytes${disk ? `, đĩa ${disk.dir} (${disk.entries} entry)` : ""}`);
+    }
 
-    if (workerPool.size() === 0) {
-      console.warn("⚠️  Chưa có worker nào, proxy sẽ trả về 503 cho đến khi có worker");
-    } else {
-      console.log(`✅ Đã load ${workerPool.size()} worker(s)`);
+    // Firebase bắt buộc với provider firebase; provider khác chỉ kết nối khi có service account (vd access log sink rtdb)
+    const discoveryConfig = loadDiscoveryConfig();
+    if (discoveryConfig.provider === "firebase" || FB_ACCOUNT_BASE64) initFirebase();
+    discovery = createDiscovery(discoveryConfig, DISCOVERY_PATHS, db);
+
+    // pool tạm từ lần sync gần nhất => mở port ngay, không phải chờ snapshot đầu tiên từ nguồn (on(value) sẽ thay khi về)
+    const provisional = workerSnapshot.load();
+    if (provisional) {
+      const { saved_at: savedAt, source } = workerSnapshot.describe().loaded;
+      console.log(`💾 Pool tạm từ snapshot ${workerSnapshot.config.file} (lưu lúc ${savedAt}, nguồn ${source || "?"}), chờ sync từ ${discovery.name}...`);
+      workerGroups.syncFromObject(provisional);
       // ✅ danh sách + thứ tự đã được log gọn trong syncFromObject() rồi
     }
 
+    startDiscovery();
+    healthChecker.start();
+
     server.listen(PORT, () => {
       console.log(`\n🚀 HTTP Proxy Listener đang chạy tại http://localhost:${PORT}`);
-      console.log(`📊 Health check: http://localhost:${PORT}/health\n`);
+      console.log(`📊 Health check: http://localhost:${PORT}/health (liveness /livez, readiness /readyz)`);
+      if (METRICS_PATH) console.log(`📈 Metrics: http://localhost:${PORT}${METRICS_PATH}`);
+      if (adminConfig.token) console.log(`🛠️  Admin API: http://localhost:${PORT}${adminConfig.prefix}/workers`);
+      console.log("");
     });
+
+    if (tlsConfig.enabled) listenTls();
+    tlsReloader.start();
   } catch (err) {
     console.error("❌ Lỗi khi khởi động:", err);
     process.exit(1);
@@ -488,24 +2125,98 @@ async function start() {
 // ========================================
 // 🧯 GRACEFUL SHUTDOWN
 // ========================================
-function shutdown() {
-  console.log("\n👋 Đang tắt proxy...");
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// close frame 1001 "Going Away" (server -> client không mask)
+function sendWsClose(socket, ws, text = "proxy shutting down") {
+  const reason = Buffer.from(text);
+  const frame = Buffer.concat([Buffer.from([0x88, 2 + reason.length, 0x03, 0xe9]), reason]);
 
   try {
-    if (workersRef) {
-      // gỡ listener để tránh treo process
-      workersRef.off();
+    if (!ws.upstream) {
+      socket.destroy(); // chưa upgrade xong => không có phiên WebSocket để đóng
+      return;
     }
+    ws.upstream.unpipe(socket); // không để frame của worker chen vào sau close frame
+    socket.end(frame);
+    ws.upstream.end();
+  } catch (_) {
+    socket.destroy();
+  }
+}
+
+function describeForced(items) {
+  return items.map((x) => `${x.reqId} ${x.method ? `${x.method} ` : ""}${x.path} (${Date.now() - x.startTime}ms)`);
+}
+
+async function shutdown(signal) {
+  if (drainingSince) {
+    console.warn(`⚠️  Nhận ${signal} lần nữa khi đang drain => thoát ngay`);
+    process.exit(1);
+  }
+  drainingSince = Date.now();
+  console.log(
+    `\n👋 ${signal}: đang drain proxy (HTTP dở dang: ${activeRequests.size}, WebSocket: ${activeWebSockets.size}, tối đa ${SHUTDOWN_GRACE_MS}ms)...`
+  );
+
+  try {
+    // gỡ listener / watcher / timer poll để tránh treo process
+    if (discovery) discovery.stop();
   } catch (_) {}
 
-  server.close(() => {
-    console.log("✅ Đã đóng server");
-    process.exit(0);
-  });
+  healthChecker.stop();
+
+  // 0) cho health check của cloudflared / nginx kịp thấy "draining" trước khi ngừng nhận kết nối
+  if (SHUTDOWN_ANNOUNCE_MS) await sleep(SHUTDOWN_ANNOUNCE_MS);
+
+  // ngừng nhận kết nối mới + đóng keep-alive đang rảnh; kết nối đang có request thì chờ
+  server.close();
+  server.closeIdleConnections();
+  tlsReloader.stop();
+  if (tlsServer) {
+    tlsServer.close();
+    if (tlsServer.closeIdleConnections) tlsServer.closeIdleConnections();
+    for (const session of tlsSessions) session.close(); // GOAWAY, stream đang chạy được chạy nốt
+  }
+
+  // 1) chờ HTTP request dở dang tới deadline
+  const deadline = drainingSince + SHUTDOWN_ANNOUNCE_MS + SHUTDOWN_GRACE_MS;
+  while (activeRequests.size > 0 && Date.now() < deadline) await sleep(200);
+
+  const forcedHttp = Array.from(activeRequests.entries()).map(([res, r]) => ({ res, ...r }));
+  for (const r of forcedHttp) r.res.destroy();
+
+  // 2) gửi close frame cho WebSocket, chờ client đóng
+  const wsTotal = activeWebSockets.size;
+  for (const [socket, ws] of activeWebSockets.entries()) sendWsClose(socket, ws);
+
+  const wsDeadline = Date.now() + SHUTDOWN_WS_CLOSE_MS;
+  while (activeWebSockets.size > 0 && Date.now() < wsDeadline) await sleep(100);
+
+  const forcedWs = Array.from(activeWebSockets.entries()).map(([socket, ws]) => ({ socket, ...ws }));
+  for (const ws of forcedWs) ws.socket.destroy();
+  server.closeAllConnections();
+  for (const socket of tlsSockets) socket.destroy();
+
+  // 3) báo cáo những gì bị cắt ngang
+  console.log(
+    `📋 Drain xong sau ${Date.now() - drainingSince}ms: HTTP bị cắt=${forcedHttp.length}, ` +
+      `WebSocket đóng êm=${wsTotal - forcedWs.length}/${wsTotal}, bị cắt=${forcedWs.length}`
+  );
+  for (const line of describeForced(forcedHttp)) console.warn(`   ✂️  HTTP ${line}`);
+  for (const line of describeForced(forcedWs)) console.warn(`   ✂️  WS ${line}`);
+
+  // đẩy nốt batch access log còn trong hàng đợi (RTDB) + file cache đang ghi trước khi thoát
+  await accessLog.close().catch(() => {});
+  await responseCache.close().catch(() => {});
+  await workerSnapshot.close().catch(() => {});
+  console.log("✅ Đã đóng server");
+  process.exit(0);
 }
 
-process.on("SIGTERM", shutdown);
-process.on("SIGINT", shutdown);
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGHUP", () => tlsReloader.reload("SIGHUP"));
 
 // Bắt đầu
 start();
@@ -0,0 +1,102 @@
+// changeCoalescer.js
+// Nghiệp vụ: Gom các lần đổi config liên tiếp thành 1 lần áp dụng (cho envListener)
+// - debounce: chờ yên lặng debounceMs sau event cuối mới áp dụng, nhưng không quá maxWaitMs kể từ event đầu của đợt
+// - single-flight: chỉ 1 lần apply chạy tại 1 thời điểm (restart sequence không bao giờ chồng nhau)
+// - pending: event tới khi đang apply => chỉ giữ giá trị MỚI NHẤT, chạy tiếp ngay sau khi lần hiện tại xong
+//
+// Env:
+// - ENV_LISTENER_DEBOUNCE_MS          : khoảng yên lặng trước khi áp dụng (default: 3000, 0 = áp dụng ngay)
+// - ENV_LISTENER_DEBOUNCE_MAX_WAIT_MS : chờ tối đa kể từ event đầu tiên của đợt (default: 15000)
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadCoalesceConfig(env = process.env) {
+  const debounceMs = toInt(env.ENV_LISTENER_DEBOUNCE_MS, 3000);
+  return {
+    debounceMs,
+    maxWaitMs: Math.max(debounceMs, toInt(env.ENV_LISTENER_DEBOUNCE_MAX_WAIT_MS, 15000)),
+  };
+}
+
+class ChangeCoalescer {
+  /**
+   * @param {{ debounceMs: number, maxWaitMs: number }} config - loadCoalesceConfig()
+   * @param {(value: any, batch: { events: number, firstAt: number }) => Promise<void>} apply
+   */
+  constructor(config, apply) {
+    this.config = config;
+    this.apply = apply;
+
+    this.latest = undefined;
+    this.events = 0; // số event gom vào giá trị latest
+    this.firstAt = null; // event đầu tiên của đợt đang chờ
+    this.timer = null;
+    this.due = false; // hết debounce, chờ apply
+    this.running = null; // Promise của vòng apply hiện tại
+    this.stopped = false;
+  }
+
+  push(value) {
+    if (this.stopped) return;
+
+    const now = Date.now();
+    this.latest = value;
+    this.events++;
+    if (this.firstAt === null) this.firstAt = now;
+
+    if (this.timer) clearTimeout(this.timer);
+    const wait = Math.max(0, Math.min(this.config.debounceMs, this.firstAt + this.config.maxWaitMs - now));
+    this.timer = setTimeout(() => this._fire(), wait);
+  }
+
+  _fire() {
+    this.timer = null;
+    this.due = true;
+
+    if (this.running) {
+      console.log(`⏳ Apply in progress -> latest change queued (${this.events} event(s))`);
+      return;
+    }
+    this.running = this._run().finally(() => {
+      this.running = null;
+    });
+  }
+
+  async _run() {
+    while (this.due && !this.stopped) {
+      this.due = false;
+      // đã lấy latest => timer còn chờ của cùng đợt không được bắn thêm 1 lần apply rỗng
+      if (this.timer) clearTimeout(this.timer);
+      this.timer = null;
+      if (this.events === 0) continue;
+
+      const value = this.latest;
+      const batch = { events: this.events, firstAt: this.firstAt };
+      this.latest = undefined;
+      this.events = 0;
+      this.firstAt = null;
+
+      try {
+        await this.apply(value, batch);
+      } catch (e) {
+        console.error("❌ Apply error:", e.message);
+      }
+    }
+  }
+
+  // chờ lần apply đang chạy (nếu có) xong
+  idle() {
+    return this.running || Promise.resolve();
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { ChangeCoalescer, loadCoalesceConfig };
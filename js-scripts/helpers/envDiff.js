@@ -0,0 +1,144 @@
+// envDiff.js
+// Nghiệp vụ: So snapshot /config (RTDB) với .env.runtime hiện tại theo từng key (cho envListener)
+// - snapshotToEnv : chuyển snapshot thành map KEY -> string giống hệt load-env-from-url.mjs (sanitize key, object => JSON, __BASE64-remove__)
+// - diffEnv       : added / changed / removed (so theo giá trị sau khi ghi + đọc lại bằng dotenv => không báo đổi giả)
+// - describeDiff  : dòng log với giá trị đã che (key bí mật => ***)
+
+const fs = require("fs");
+const dotenv = require("dotenv");
+const { formatDotenvValue } = require("./envUpdater");
+
+// giữ đồng bộ với load-env-from-url.mjs
+const BASE64_SUFFIX = "__BASE64-remove__";
+const MASK_KEYS = new Set([
+  "ENV_JSON_URL",
+  "CLOUDFLARE_TUNNEL_TOKEN",
+  "ENV_LISTENER_FB_SERVICES_ACCOUNT_BASE64",
+  "ENV_SSH_URLS",
+  "PIPELINE_SSH_PUBKEY",
+  "NGINX_CONF__BASE64__",
+]);
+const MASK_PREFIXES = ["SECRET_", "TOKEN_", "KEY_", "PASS_"];
+const MASK_SUFFIXES = ["_TOKEN", "_SECRET", "_PASSWORD", "_PASS", "_KEY"];
+
+function shouldMaskKey(key) {
+  if (MASK_KEYS.has(key)) return true;
+  for (const p of MASK_PREFIXES) if (key.startsWith(p)) return true;
+  for (const s of MASK_SUFFIXES) if (key.endsWith(s)) return true;
+  return false;
+}
+
+function normalizeKey(key) {
+  const s = String(key);
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(s)) return s;
+
+  const sanitized = s
+    .trim()
+    .replace(/[^A-Za-z0-9_]/g, "_")
+    .replace(/^[^A-Za-z_]+/, "_")
+    .replace(/_+/g, "_");
+  return sanitized.length ? sanitized : "ENV_KEY";
+}
+
+function toEnvValue(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "string") return v;
+  if (typeof v === "number" || typeof v === "boolean" || typeof v === "bigint") return String(v);
+
+  try {
+    return JSON.stringify(v);
+  } catch {
+    return String(v);
+  }
+}
+
+/**
+ * Snapshot /config => map env (cùng quy tắc load-env-from-url.mjs ghi .env.runtime).
+ * @param {object|null} data - snapshot.val()
+ * @returns {Record<string, string>}
+ */
+function snapshotToEnv(data) {
+  const out = {};
+  if (!data || typeof data !== "object" || Array.isArray(data)) return out;
+
+  for (const [rawKey, rawVal] of Object.entries(data)) {
+    const key = normalizeKey(rawKey);
+    const value = toEnvValue(rawVal);
+    out[key] = value;
+
+    if (key.endsWith(BASE64_SUFFIX)) {
+      const baseKey = key.slice(0, -BASE64_SUFFIX.length);
+      if (baseKey) out[baseKey] = Buffer.from(value.replace(/\s+/g, ""), "base64").toString("utf8");
+    }
+  }
+  return out;
+}
+
+// đọc file env hiện tại (không có file => rỗng)
+function readEnvFile(file) {
+  try {
+    return dotenv.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`⚠️  Cannot read ${file}: ${e.message}`);
+    return {};
+  }
+}
+
+// giá trị app sẽ đọc được sau khi envUpdater ghi xuống file
+function roundTrip(key, value) {
+  return dotenv.parse(`${key}=${formatDotenvValue(value)}\n`)[key] ?? "";
+}
+
+// map env => giá trị app đọc được sau khi ghi file (để so 2 snapshot cùng chuẩn với .env.runtime)
+function roundTripEnv(env) {
+  return Object.fromEntries(Object.entries(env).map(([k, v]) => [k, roundTrip(k, v)]));
+}
+
+/**
+ * @param {Record<string, string>} current - env đang áp dụng (.env.runtime)
+ * @param {Record<string, string>} next - env mong muốn (snapshotToEnv)
+ * @returns {{ added: string[], changed: string[], removed: string[], values: Record<string, string>, empty: boolean }}
+ *   values = KEY -> giá trị mới của added + changed (để truyền thẳng vào updateEnv)
+ */
+function diffEnv(current, next) {
+  const added = [];
+  const changed = [];
+  const values = {};
+
+  for (const [key, value] of Object.entries(next)) {
+    if (!(key in current)) added.push(key);
+    else if (current[key] !== roundTrip(key, value)) changed.push(key);
+    else continue;
+    values[key] = value;
+  }
+  const removed = Object.keys(current).filter((key) => !(key in next));
+
+  return { added, changed, removed, values, empty: added.length + changed.length + removed.length === 0 };
+}
+
+function maskValue(key, value) {
+  const s = String(value ?? "");
+  if (shouldMaskKey(key)) return s ? `***(${s.length} chars)` : "(empty)";
+  const oneLine = s.replace(/\r?\n/g, "\\n");
+  return oneLine.length > 80 ? `${oneLine.slice(0, 77)}...` : oneLine || "(empty)";
+}
+
+// dòng log cho từng key, giá trị bí mật đã che
+function describeDiff(diff, current) {
+  return [
+    ...diff.added.map((k) => `  ➕ ${k}=${maskValue(k, diff.values[k])}`),
+    ...diff.changed.map((k) => `  ✏️  ${k}: ${maskValue(k, current[k])} → ${maskValue(k, diff.values[k])}`),
+    ...diff.removed.map((k) => `  ➖ ${k} (was ${maskValue(k, current[k])})`),
+  ];
+}
+
+module.exports = {
+  snapshotToEnv,
+  readEnvFile,
+  roundTripEnv,
+  diffEnv,
+  describeDiff,
+  maskValue,
+  normalizeKey,
+  shouldMaskKey,
+};
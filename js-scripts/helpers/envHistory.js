@@ -0,0 +1,343 @@
+// envHistory.js
+// Nghiệp vụ: Lịch sử các config envListener đã áp dụng (versioned + hash), lưu local + RTDB
+// - mỗi lần apply => 1 version: sha256 config + từng key (hash giá trị + giá trị đã che) + ai / lúc nào / instance nào
+//   + key đổi + kết quả restart + snapshot khôi phục được
+// - snapshot trên RTDB: key thường giữ nguyên giá trị, key bí mật (shouldMaskKey) mã hoá AES-256-GCM bằng
+//   ENV_LISTENER_HISTORY_KEY; không có key => chỉ lưu hash, rollback chỉ dùng lại được giá trị đang có trên /config
+//   nếu cùng hash
+// - file local (0600, ngoài repo) giữ thêm snapshot /config gốc => rollback trên cùng máy không cần key
+//   (runner Actions ngắn hạn mất file này sau mỗi lần chạy => dựa vào snapshot trên RTDB)
+// - version cấp bằng transaction trên <history>/latest => tăng dần kể cả khi đổi máy / instance
+// - rollback: CLI ghi rollbackRequest rồi set lại /config => listener áp dụng như 1 lần đổi bình thường,
+//   version mới ghi source "rollback vN" + người yêu cầu
+//
+// Firebase (<history> = ENV_LISTENER_HISTORY_PATH, mặc định nằm ngoài /config đang watch):
+// - <history>/latest           : version lớn nhất đã cấp
+// - <history>/versions/v000012 : record (không có field config, có snapshot { values, secrets })
+// - <history>/rollbackRequest  : { version, hash, by, at } (CLI ghi, listener xoá khi áp dụng)
+//
+// Env:
+// - ENV_LISTENER_HISTORY_DIR : thư mục lưu local (default: ~/.env-listener/history)
+// - ENV_LISTENER_HISTORY_MAX : số version giữ lại (default: 50)
+// - ENV_LISTENER_HISTORY_KEY : passphrase mã hoá giá trị bí mật trong snapshot (listener + CLI rollback phải cùng giá trị)
+// - ENV_LISTENER_ACTOR       : "ai" áp dụng (default: GITHUB_ACTOR / BUILD_REQUESTEDFOR / user hệ thống)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { maskValue, normalizeKey, shouldMaskKey } = require("./envDiff");
+
+const CIPHER = "aes-256-gcm";
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadHistoryConfig(env = process.env) {
+  return {
+    dir: env.ENV_LISTENER_HISTORY_DIR || path.join(os.homedir(), ".env-listener", "history"),
+    max: Math.max(toInt(env.ENV_LISTENER_HISTORY_MAX, 50), 1),
+    key: env.ENV_LISTENER_HISTORY_KEY || "",
+  };
+}
+
+function currentActor(env = process.env) {
+  if (env.ENV_LISTENER_ACTOR) return env.ENV_LISTENER_ACTOR;
+  if (env.GITHUB_ACTOR) return env.GITHUB_ACTOR;
+  if (env.BUILD_REQUESTEDFOR) return env.BUILD_REQUESTEDFOR;
+  try {
+    return os.userInfo().username;
+  } catch {
+    return "unknown";
+  }
+}
+
+// JSON sort key => cùng config luôn cùng hash (RTDB không giữ thứ tự key)
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function hashConfig(config) {
+  return crypto.createHash("sha256").update(canonicalJson(config ?? null)).digest("hex");
+}
+
+function hashValue(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 16);
+}
+
+/**
+ * env đã áp dụng => KEY -> { hash, value } (value đã che bằng maskValue, an toàn để lưu RTDB / in log)
+ * @param {Record<string, string>} env
+ */
+function fingerprintEnv(env) {
+  const out = {};
+  for (const key of Object.keys(env).sort()) out[key] = { hash: hashValue(env[key]), value: maskValue(key, env[key]) };
+  return out;
+}
+
+// so 2 fingerprint theo hash từng key => dòng log giống describeDiff (giá trị đã che)
+function diffFingerprints(from, to) {
+  const a = from || {};
+  const b = to || {};
+  const added = Object.keys(b).filter((k) => !(k in a));
+  const changed = Object.keys(b).filter((k) => k in a && a[k].hash !== b[k].hash);
+  const removed = Object.keys(a).filter((k) => !(k in b));
+
+  return {
+    added,
+    changed,
+    removed,
+    empty: added.length + changed.length + removed.length === 0,
+    lines: [
+      ...added.map((k) => `  ➕ ${k}=${b[k].value}`),
+      ...changed.map((k) => `  ✏️  ${k}: ${a[k].value} → ${b[k].value}`),
+      ...removed.map((k) => `  ➖ ${k} (was ${a[k].value})`),
+    ],
+  };
+}
+
+function cipherKey(passphrase) {
+  return crypto.createHash("sha256").update(passphrase).digest();
+}
+
+function encryptValue(value, passphrase) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, cipherKey(passphrase), iv);
+  const data = Buffer.concat([cipher.update(canonicalJson(value), "utf8"), cipher.final()]);
+  return { alg: CIPHER, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function decryptValue(box, passphrase) {
+  const decipher = crypto.createDecipheriv(box.alg, cipherKey(passphrase), Buffer.from(box.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  const text = Buffer.concat([decipher.update(Buffer.from(box.data, "base64")), decipher.final()]).toString("utf8");
+  return JSON.parse(text);
+}
+
+/**
+ * snapshot /config => dạng lưu được lên RTDB: key thường nguyên giá trị, key bí mật mã hoá (có passphrase) hoặc chỉ hash
+ * @param {object|null} config
+ * @param {string} passphrase - ENV_LISTENER_HISTORY_KEY ("" = chỉ hash)
+ * @returns {{ values: object, secrets: object }}
+ */
+function sealSnapshot(config, passphrase) {
+  const values = {};
+  const secrets = {};
+  for (const [key, value] of Object.entries(config || {})) {
+    if (!shouldMaskKey(normalizeKey(key))) values[key] = value;
+    else secrets[key] = passphrase ? encryptValue(value, passphrase) : { hash: hashConfig(value) };
+  }
+  return { values, secrets };
+}
+
+/**
+ * sealSnapshot() => snapshot /config gốc
+ * @param {{ values?: object, secrets?: object }} sealed
+ * @param {string} passphrase
+ * @param {object|null} current - /config hiện tại (dùng lại giá trị bí mật cùng hash khi không giải mã được)
+ * @returns {{ config: object, missing: Array<{ key: string, reason: string }> }}
+ */
+function openSnapshot(sealed, passphrase, current = null) {
+  const config = { ...(sealed.values || {}) };
+  const missing = [];
+  for (const [key, box] of Object.entries(sealed.secrets || {})) {
+    if (box.data && passphrase) {
+      try {
+        config[key] = decryptValue(box, passphrase);
+        continue;
+      } catch {
+        missing.push({ key, reason: "cannot decrypt (ENV_LISTENER_HISTORY_KEY differs from the one used when recording)" });
+        continue;
+      }
+    }
+    const hash = box.hash || null;
+    if (current && key in current && hash && hashConfig(current[key]) === hash) {
+      config[key] = current[key];
+      continue;
+    }
+    missing.push({
+      key,
+      reason: box.data ? "encrypted, set ENV_LISTENER_HISTORY_KEY" : "only its hash was recorded and the current value differs",
+    });
+  }
+  return { config, missing };
+}
+
+function versionKey(version) {
+  return `v${String(version).padStart(6, "0")}`;
+}
+
+// "12" | "v12" | "v000012" => 12
+function parseVersion(input) {
+  const m = /^v?(\d+)$/i.exec(String(input || "").trim());
+  if (!m) throw new Error(`version không hợp lệ: ${input}`);
+  return parseInt(m[1], 10);
+}
+
+class EnvHistory {
+  /**
+   * @param {{ dir: string, max: number }} config - loadHistoryConfig()
+   * @param {object|null} ref - firebase ref <history> (null = chỉ local)
+   */
+  constructor(config, ref = null) {
+    this.config = config;
+    this.ref = ref;
+  }
+
+  _localVersions() {
+    let files;
+    try {
+      files = fs.readdirSync(this.config.dir);
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+    return files
+      .map((f) => /^v(\d+)\.json$/.exec(f))
+      .filter(Boolean)
+      .map((m) => parseInt(m[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  _readLocal(version) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.config.dir, `${versionKey(version)}.json`), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  _writeLocal(record) {
+    fs.mkdirSync(this.config.dir, { recursive: true });
+    const file = path.join(this.config.dir, `${versionKey(record.version)}.json`);
+    // chứa cả giá trị bí mật => chỉ owner đọc được
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2), { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+
+    for (const v of this._localVersions().slice(0, -this.config.max)) {
+      fs.rmSync(path.join(this.config.dir, `${versionKey(v)}.json`), { force: true });
+    }
+  }
+
+  async _nextVersion() {
+    const localMax = this._localVersions().pop() || 0;
+    if (!this.ref) return localMax + 1;
+
+    const { committed, snapshot } = await this.ref.child("latest").transaction((cur) => Math.max(toInt(cur, 0), localMax) + 1);
+    if (!committed) throw new Error("cannot allocate history version");
+    return snapshot.val();
+  }
+
+  // rollback do CLI yêu cầu và đúng config này => ghi nhận người yêu cầu
+  async _takeRollbackRequest(hash) {
+    if (!this.ref) return null;
+    const reqRef = this.ref.child("rollbackRequest");
+    const req = (await reqRef.once("value")).val();
+    if (!req || req.hash !== hash) return null;
+    await reqRef.remove();
+    return req;
+  }
+
+  /**
+   * @param {object} entry
+   * @param {object|null} entry.config - snapshot /config gốc (chỉ lưu local)
+   * @param {Record<string, string>} entry.env - env đã ghi vào file (=> fingerprint)
+   * @param {{ added: string[], changed: string[], removed: string[] }} entry.keys
+   * @param {string} entry.result - ok | rolled_back | restart_error
+   * @param {string} entry.instanceId
+   * @returns {Promise<object>} record đã lưu
+   */
+  async record({ config, env, keys, result, instanceId }) {
+    const hash = hashConfig(config);
+    const version = await this._nextVersion();
+
+    let request = null;
+    try {
+      request = await this._takeRollbackRequest(hash);
+    } catch (e) {
+      console.warn(`⚠️  Cannot read rollback request: ${e.message}`);
+    }
+
+    const record = {
+      version,
+      hash,
+      appliedAt: new Date().toISOString(),
+      by: request ? request.by : currentActor(),
+      instanceId,
+      hostname: os.hostname(),
+      source: request ? `rollback ${versionKey(request.version)}` : "firebase",
+      keys: { added: keys.added, changed: keys.changed, removed: keys.removed },
+      result,
+      env: fingerprintEnv(env),
+      snapshot: sealSnapshot(config, this.config.key),
+    };
+
+    this._writeLocal({ ...record, config: config ?? null });
+
+    if (this.ref) {
+      try {
+        await this.ref.child("versions").child(versionKey(version)).set(record);
+        const old = version - this.config.max;
+        if (old > 0) await this.ref.child("versions").child(versionKey(old)).remove();
+      } catch (e) {
+        console.error(`❌ Cannot write history ${versionKey(version)} to RTDB: ${e.message} (kept locally)`);
+      }
+    }
+    return record;
+  }
+
+  /**
+   * @param {number} version
+   * @returns {Promise<object|null>} local trước (có config), không có => RTDB (chỉ có snapshot, xem openSnapshot)
+   */
+  async get(version) {
+    const local = this._readLocal(version);
+    if (local || !this.ref) return local;
+    return (await this.ref.child("versions").child(versionKey(version)).once("value")).val();
+  }
+
+  // version mới nhất ở cuối
+  async list(limit = 20) {
+    if (this.ref) {
+      const snap = await this.ref.child("versions").orderByKey().limitToLast(limit).once("value");
+      return Object.values(snap.val() || {}).sort((a, b) => a.version - b.version);
+    }
+    return this._localVersions()
+      .slice(-limit)
+      .map((v) => this._readLocal(v))
+      .filter(Boolean);
+  }
+
+  async latest() {
+    const [last] = (await this.list(1)).slice(-1);
+    return last || null;
+  }
+
+  async requestRollback(record, by = currentActor()) {
+    if (!this.ref) throw new Error("rollback cần kết nối RTDB");
+    await this.ref.child("rollbackRequest").set({ version: record.version, hash: record.hash, by, at: new Date().toISOString() });
+  }
+}
+
+module.exports = {
+  EnvHistory,
+  loadHistoryConfig,
+  hashConfig,
+  fingerprintEnv,
+  diffFingerprints,
+  sealSnapshot,
+  openSnapshot,
+  versionKey,
+  parseVersion,
+  currentActor,
+};
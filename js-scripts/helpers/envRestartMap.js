@@ -0,0 +1,170 @@
+// envRestartMap.js
+// Nghiệp vụ: Map khai báo "key env => PM2 app" để envListener chỉ restart / reload app bị ảnh hưởng
+// - rules: pattern key (glob * ? hoặc /regex/flags) => danh sách app + action
+//   + action "restart": pm2 restart --update-env (app đọc lại env_file)
+//   + action "reload" : gửi signal (default SIGHUP), app tự đọc lại .env.runtime (run-nginx.mjs, TLS của http-proxy-listener)
+// - 1 key khớp nhiều rule cùng app => rule đứng trước quyết định (rule cụ thể đặt trước rule chung)
+// - 1 app bị nhiều key khác nhau kéo vào => restart thắng reload
+// - key không khớp rule nào => theo "unmatched": "all" (restart toàn bộ ENV_LISTENER_RESTART_APPS, mặc định) | "none" | [apps]
+//
+// Firebase (ưu tiên, hot reload):
+// - <ENV_LISTENER_RUNTIME_PATH>/restartMap (đổi bằng ENV_LISTENER_RESTART_MAP_PATH)
+//   {
+//     "unmatched": "all",
+//     "rules": [
+//       { "name": "nginx-conf", "keys": ["NGINX_CONF__BASE64__", "NGINX_CONF"], "apps": ["nginx"], "action": "reload" },
+//       { "name": "tunnel", "keys": "CLOUDFLARE_TUNNEL_*", "apps": "cloudflared" },
+//       { "name": "proxy-tls", "keys": ["ENV_HTTP_PROXY_TLS_*"], "apps": ["http-proxy-listener"], "action": "reload" },
+//       { "name": "proxy", "keys": ["/^ENV_HTTP_PROXY_/"], "apps": ["http-proxy-listener"] }
+//     ]
+//   }
+//   (rules có thể là array hoặc object push-id, keys / apps có thể là CSV)
+//
+// Env:
+// - ENV_LISTENER_RESTART_MAP_FILE : file JSON cùng format, dùng khi Firebase chưa có map (default: <APP_CWD>/env-restart-map.json)
+
+const fs = require("fs");
+const path = require("path");
+
+const ACTIONS = ["restart", "reload"];
+
+function restartMapFilePath(env = process.env) {
+  return env.ENV_LISTENER_RESTART_MAP_FILE || path.join(env.APP_CWD || process.cwd(), "env-restart-map.json");
+}
+
+function toList(v) {
+  if (v === undefined || v === null || v === "") return [];
+  if (typeof v === "string") return v.split(",").map((s) => s.trim()).filter(Boolean);
+  if (typeof v === "object") return Object.values(v).map((s) => String(s).trim()).filter(Boolean);
+  return [String(v)];
+}
+
+// glob (* ?) hoặc /regex/flags => RegExp
+// bỏ flag g / y: test() có lastIndex => cùng regex test nhiều key sẽ bỏ sót tùy thứ tự
+function compilePattern(pattern) {
+  const re = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (re) {
+    try {
+      return new RegExp(re[1], re[2].replace(/[gy]/g, ""));
+    } catch (e) {
+      throw new Error(`pattern ${pattern} không hợp lệ: ${e.message}`);
+    }
+  }
+  const glob = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${glob}$`);
+}
+
+/**
+ * @param {object|null} raw - map từ Firebase / file
+ * @returns {null | { unmatched: "all"|"none"|string[], rules: Array<{ name, patterns, matchers, apps, action, signal }> }}
+ *   null = không có map (restart toàn bộ như trước)
+ */
+function normalizeRestartMap(raw) {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("restart map phải là object { rules, unmatched }");
+
+  const rawRules = raw.rules && typeof raw.rules === "object" ? Object.entries(raw.rules) : [];
+  const rules = rawRules.map(([id, r], i) => {
+    if (!r || typeof r !== "object") throw new Error(`rule ${id} phải là object`);
+
+    const name = r.name ? String(r.name) : Array.isArray(raw.rules) ? `#${i + 1}` : id;
+    const patterns = toList(r.keys);
+    const apps = toList(r.apps);
+    const action = r.action ? String(r.action).toLowerCase() : "restart";
+
+    if (!patterns.length) throw new Error(`rule ${name}: thiếu keys`);
+    if (!apps.length) throw new Error(`rule ${name}: thiếu apps`);
+    if (!ACTIONS.includes(action)) throw new Error(`rule ${name}: action phải là ${ACTIONS.join(" | ")}`);
+
+    const signal = action === "reload" ? String(r.signal || "SIGHUP").toUpperCase() : null;
+    if (signal && !/^SIG[A-Z0-9]+$/.test(signal)) throw new Error(`rule ${name}: signal ${signal} không hợp lệ`);
+
+    return { name, patterns, matchers: patterns.map(compilePattern), apps, action, signal };
+  });
+
+  let unmatched = raw.unmatched === undefined || raw.unmatched === null ? "all" : raw.unmatched;
+  if (typeof unmatched === "string" && ["all", "none"].includes(unmatched.trim().toLowerCase())) {
+    unmatched = unmatched.trim().toLowerCase();
+  } else {
+    unmatched = toList(unmatched);
+  }
+
+  return { unmatched, rules };
+}
+
+// map từ file local (không có file => null)
+function loadRestartMapFile(file = restartMapFilePath()) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+  return normalizeRestartMap(JSON.parse(text));
+}
+
+/**
+ * Tính tập app tối thiểu cần restart / reload từ các key đã đổi.
+ * @param {string[]} changedKeys - added + changed + removed
+ * @param {object|null} map - normalizeRestartMap()
+ * @param {string[]} allApps - ENV_LISTENER_RESTART_APPS
+ * @returns {{ actions: Array<{ name, action, signal, reasons: string[] }>, skipped: Array<{ name, reason }>, ignored: string[] }}
+ *   ignored = key không khớp rule nào và unmatched = "none"
+ */
+function planRestarts(changedKeys, map, allApps) {
+  const byApp = new Map(); // name -> { name, action, signal, reasons }
+  const ignored = [];
+
+  const add = (name, action, signal, reason) => {
+    let a = byApp.get(name);
+    if (!a) {
+      a = { name, action, signal, reasons: [] };
+      byApp.set(name, a);
+    } else if (action === "restart" && a.action !== "restart") {
+      a.action = "restart";
+      a.signal = null;
+    }
+    a.reasons.push(reason);
+  };
+
+  if (!map) {
+    for (const name of allApps) add(name, "restart", null, "no restart map => restart all");
+  } else {
+    for (const key of changedKeys) {
+      const hits = map.rules.filter((r) => r.matchers.some((m) => m.test(key)));
+
+      const decided = new Set();
+      for (const rule of hits) {
+        for (const name of rule.apps) {
+          if (decided.has(name)) continue;
+          decided.add(name);
+          add(name, rule.action, rule.signal, `${key} (rule ${rule.name})`);
+        }
+      }
+      if (hits.length) continue;
+
+      const fallback = map.unmatched === "all" ? allApps : map.unmatched === "none" ? [] : map.unmatched;
+      if (!fallback.length) ignored.push(key);
+      const label = Array.isArray(map.unmatched) ? "unmatched" : `unmatched => ${map.unmatched}`;
+      for (const name of fallback) add(name, "restart", null, `${key} (${label})`);
+    }
+  }
+
+  // giữ thứ tự của ENV_LISTENER_RESTART_APPS, app chỉ có trong map xếp sau
+  const order = [...allApps, ...byApp.keys()];
+  const actions = [...new Set(order)].filter((name) => byApp.has(name)).map((name) => byApp.get(name));
+  const skipped = allApps.filter((name) => !byApp.has(name)).map((name) => ({ name, reason: "no changed key maps to it" }));
+
+  return { actions, skipped, ignored };
+}
+
+function describePlan(plan) {
+  return [
+    ...plan.actions.map((a) => `  🎯 ${a.name}: ${a.action}${a.signal ? ` (${a.signal})` : ""} <- ${a.reasons.join(", ")}`),
+    ...plan.skipped.map((s) => `  ⏭️  ${s.name}: skip (${s.reason})`),
+    ...plan.ignored.map((k) => `  🙈 ${k}: no rule matches (unmatched => none)`),
+  ];
+}
+
+module.exports = { restartMapFilePath, normalizeRestartMap, loadRestartMapFile, planRestarts, describePlan };
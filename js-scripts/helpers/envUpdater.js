@@ -1,15 +1,31 @@
 // envUpdater.js
 // Nghiệp vụ: Update ENV (process.env + .env file + GitHub Actions + Azure Pipeline + system .bashrc)
+// - options.remove: danh sách key cần xóa khỏi process.env + .env file
+// - ghi .env file lỗi => throw (trước khi đụng process.env / export), caller không được restart app
+//
+// Env:
+// - ENV_FILE_PATH : file env duy nhất mà envListener ghi + PM2 (env_file) / run-nginx / TLS hot reload đọc
+//   (default: <APP_CWD>/.env.runtime), mọi nơi lấy qua runtimeEnvPath()
 
 const fs = require("fs");
 const path = require("path");
 
+function runtimeEnvPath(env = process.env) {
+  return path.resolve(env.ENV_FILE_PATH || path.join(env.APP_CWD || process.cwd(), ".env.runtime"));
+}
+
 function valueToString(value) {
   if (value === null || value === undefined) return "";
   if (typeof value === "object") return JSON.stringify(value);
   return String(value);
 }
 
+// giống load-env-from-url.mjs: chỉ bọc JSON khi có ký tự đặc biệt (dotenv đọc lại được, kể cả xuống dòng)
+function formatDotenvValue(value) {
+  const s = String(value ?? "");
+  return /[ \t\r\n"'\\=]/.test(s) ? JSON.stringify(s) : s;
+}
+
 function parseDotEnv(content) {
   const envVars = {};
   content.split("\n").forEach((line) => {
@@ -34,30 +50,45 @@ function updateProcessEnv(data) {
   return updated;
 }
 
-function updateEnvFile(data, envFilePath) {
-  try {
-    let envContent = "";
-    if (fs.existsSync(envFilePath)) envContent = fs.readFileSync(envFilePath, "utf8");
+function removeProcessEnv(keys) {
+  let updated = false;
 
-    const envVars = parseDotEnv(envContent);
+  keys.forEach((key) => {
+    if (key in process.env) {
+      delete process.env[key];
+      console.log(`🗑️  Process.env removed: ${key}`);
+      updated = true;
+    }
+  });
 
-    Object.keys(data).forEach((key) => {
-      const value = valueToString(data[key]);
-      const escapedValue = value.replace(/"/g, '\\"').replace(/\n/g, "\\n");
-      envVars[key] = `"${escapedValue}"`;
-    });
+  return updated;
+}
+
+function updateEnvFile(data, envFilePath, removeKeys = []) {
+  let envContent = "";
+  if (fs.existsSync(envFilePath)) envContent = fs.readFileSync(envFilePath, "utf8");
+
+  const envVars = parseDotEnv(envContent);
 
-    const newContent = Object.keys(envVars)
-      .map((key) => `${key}=${envVars[key]}`)
-      .join("\n");
+  Object.keys(data).forEach((key) => {
+    envVars[key] = formatDotenvValue(valueToString(data[key]));
+  });
+  removeKeys.forEach((key) => delete envVars[key]);
+
+  const newContent = Object.keys(envVars)
+    .map((key) => `${key}=${envVars[key]}`)
+    .join("\n");
 
-    fs.writeFileSync(envFilePath, newContent + "\n", "utf8");
-    console.log(`💾 Updated .env file: ${envFilePath}`);
-    return true;
+  // ghi file tạm rồi rename => PM2 restart giữa chừng không đọc phải file dở dang
+  const tmp = `${envFilePath}.tmp.${process.pid}`;
+  try {
+    fs.writeFileSync(tmp, newContent + "\n", "utf8");
+    fs.renameSync(tmp, envFilePath);
   } catch (error) {
-    console.error("❌ Error updating .env file:", error.message);
-    return false;
+    fs.rmSync(tmp, { force: true });
+    throw new Error(`cannot write ${envFilePath}: ${error.message}`);
   }
+  console.log(`💾 Updated .env file: ${envFilePath}`);
 }
 
 function exportGitHubActionsEnv(data) {
@@ -113,23 +144,28 @@ function exportSystemEnv(data) {
 }
 
 function updateEnv(data, options = {}) {
-  const envFilePath = options.envFilePath || process.env.ENV_FILE_PATH || ".env";
+  const envFilePath = options.envFilePath || runtimeEnvPath();
+  const removeKeys = Array.isArray(options.remove) ? options.remove : [];
 
-  if (!data || typeof data !== "object") {
+  if ((!data || typeof data !== "object") && removeKeys.length === 0) {
     console.log("⚠️  No data to update");
     return { updated: false, count: 0 };
   }
+  data = data && typeof data === "object" ? data : {};
+
+  console.log(`\n📊 Updating ${Object.keys(data).length} environment variables${removeKeys.length ? `, removing ${removeKeys.length}` : ""}...`);
 
-  console.log(`\n📊 Updating ${Object.keys(data).length} environment variables...`);
+  // file trước: lỗi => throw, process.env giữ nguyên
+  updateEnvFile(data, envFilePath, removeKeys);
 
   const updated = updateProcessEnv(data);
+  const removed = removeProcessEnv(removeKeys);
 
-  updateEnvFile(data, envFilePath);
   exportGitHubActionsEnv(data);
   exportAzurePipelineEnv(data);
   exportSystemEnv(data);
 
-  return { updated, count: Object.keys(data).length };
+  return { updated: updated || removed, count: Object.keys(data).length, removed: removeKeys.length };
 }
 
-module.exports = { updateEnv };
+module.exports = { updateEnv, formatDotenvValue, runtimeEnvPath };
@@ -0,0 +1,48 @@
+// httpProbe.js
+// Nghiệp vụ: 1 lần GET kiểm tra sống / chết (chỉ lấy status, bỏ body), không bao giờ reject
+// - proxyHealthCheck: probe worker của http-proxy-listener
+// - pm2Restart      : probe health URL của app sau khi envListener restart
+
+const http = require("http");
+const https = require("https");
+
+// tlsOptions: { ca, rejectUnauthorized } cho worker https:// (cùng CA / verify với proxy)
+function probeOnce(targetUrl, timeoutMs, tlsOptions = null, userAgent = "http-proxy-listener-healthcheck") {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    let done = false;
+
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      resolve({ ...result, latencyMs: Date.now() - startedAt });
+    };
+
+    let url;
+    try {
+      url = new URL(targetUrl);
+    } catch (e) {
+      finish({ ok: false, statusCode: null, error: `invalid url: ${e.message}` });
+      return;
+    }
+
+    const isHttps = url.protocol === "https:";
+    const client = isHttps ? https : http;
+    const options = { method: "GET", headers: { "user-agent": userAgent }, ...(isHttps ? tlsOptions : null) };
+
+    const req = client.request(url, options, (res) => {
+      // không cần body, chỉ cần status
+      res.resume();
+      finish({ ok: true, statusCode: res.statusCode, error: null });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`timeout after ${timeoutMs}ms`));
+    });
+
+    req.on("error", (err) => finish({ ok: false, statusCode: null, error: err.message }));
+    req.end();
+  });
+}
+
+module.exports = { probeOnce };
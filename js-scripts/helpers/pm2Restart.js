@@ -1,7 +1,47 @@
 // pm2Restart.js
 // Nghiệp vụ: Restart PM2 apps (tuần tự: app1 xong mới tới app2)
+// - runPM2Actions: theo plan của envRestartMap (restart --update-env hoặc reload = gửi signal cho app tự đọc lại env)
+// - verify sau mỗi app: phải online liên tục N ms không restart thêm lần nào (+ probe HTTP health nếu có)
+//   app không qua verify => dừng sequence (không kéo thêm app khác vào env lỗi), trả về unhealthy để caller rollback
+//
+// Env:
+// - ENV_LISTENER_VERIFY_STABLE_MS    : thời gian app phải online không restart (default: 10000, 0 = bỏ qua)
+// - ENV_LISTENER_VERIFY_POLL_MS      : chu kỳ kiểm tra pm2 describe / probe health (default: 1000)
+// - ENV_LISTENER_HEALTH_URLS         : CSV app=url, GET phải trả 2xx
+//   ví dụ: "http-proxy-listener=http://127.0.0.1:8080/health"
+// - ENV_LISTENER_HEALTH_TIMEOUT_MS   : chờ health 2xx tối đa (sau khi đã ổn định) (default: 15000)
 
 const pm2 = require("pm2");
+const { probeOnce } = require("./httpProbe");
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+// "app=url,app2=url2" => { app: url, app2: url2 }
+function parseHealthUrls(input) {
+  const out = {};
+  for (const part of String(input || "").split(",")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    const name = part.slice(0, i).trim();
+    const url = part.slice(i + 1).trim();
+    if (name && url) out[name] = url;
+  }
+  return out;
+}
+
+function loadVerifyConfig(env = process.env) {
+  return {
+    stableMs: toInt(env.ENV_LISTENER_VERIFY_STABLE_MS, 10000),
+    pollMs: Math.max(toInt(env.ENV_LISTENER_VERIFY_POLL_MS, 1000), 100),
+    healthUrls: parseHealthUrls(env.ENV_LISTENER_HEALTH_URLS),
+    healthTimeoutMs: toInt(env.ENV_LISTENER_HEALTH_TIMEOUT_MS, 15000),
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 function restartOne(appName) {
   return new Promise((resolve, reject) => {
@@ -12,12 +52,88 @@ function restartOne(appName) {
   });
 }
 
+function signalOne(appName, signal) {
+  return new Promise((resolve, reject) => {
+    pm2.sendSignalToProcessName(signal, appName, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+function describeOne(appName) {
+  return new Promise((resolve, reject) => {
+    pm2.describe(appName, (err, list) => {
+      if (err) return reject(err);
+      resolve(list || []);
+    });
+  });
+}
+
+// kiểm tra các process của app: lỗi => mô tả lý do, ổn => null
+function checkProcesses(list, baseline, final) {
+  if (!list.length) return "not found in PM2";
+  for (const p of list) {
+    const env = p.pm2_env || {};
+    const base = baseline.get(p.pm_id);
+    if (base !== undefined && env.restart_time > base) return `restarted ${env.restart_time - base} time(s) (status ${env.status})`;
+    if (env.status === "online") continue;
+    if (env.status === "launching" && !final) continue;
+    return `status ${env.status}`;
+  }
+  return null;
+}
+
+/**
+ * Chờ app online ổn định (không restart) trong stableMs, rồi probe health URL (nếu có).
+ * @returns {Promise<string|null>} lý do không đạt, null = đạt
+ */
+async function verifyOne(appName, config) {
+  const healthUrl = config.healthUrls[appName];
+  if (!config.stableMs && !healthUrl) return null;
+
+  const first = await describeOne(appName);
+  const baseline = new Map(first.map((p) => [p.pm_id, (p.pm2_env || {}).restart_time || 0]));
+  const deadline = Date.now() + config.stableMs;
+
+  for (;;) {
+    const final = Date.now() >= deadline;
+    const problem = checkProcesses(await describeOne(appName), baseline, final);
+    if (problem) return problem;
+    if (final) break;
+    await sleep(Math.min(config.pollMs, Math.max(deadline - Date.now(), 0)));
+  }
+
+  if (!healthUrl) return null;
+
+  const healthDeadline = Date.now() + config.healthTimeoutMs;
+  for (;;) {
+    const r = await probeOnce(healthUrl, Math.max(config.pollMs, 1000), null, "envListener-verify");
+    if (r.ok && r.statusCode >= 200 && r.statusCode < 300) return null;
+    if (Date.now() >= healthDeadline) return `health ${healthUrl}: ${r.error || `status ${r.statusCode}`}`;
+    await sleep(config.pollMs);
+  }
+}
+
 async function restartPM2Apps(pm2Apps) {
   const apps = Array.isArray(pm2Apps) ? pm2Apps.map((x) => (x || "").trim()).filter(Boolean) : [];
+  return runPM2Actions(apps.map((name) => ({ name, action: "restart" })));
+}
 
-  if (apps.length === 0) {
-    console.log("⚠️  No PM2 apps configured");
-    return { ok: true, restarted: [], failed: [] };
+/**
+ * @param {Array<{ name: string, action: "restart"|"reload", signal?: string }>} actions
+ * @param {object} [options]
+ * @param {object|false} [options.verify] - loadVerifyConfig() (default), false = không verify
+ * @returns {Promise<{ ok: boolean, restarted: string[], reloaded: string[], failed: Array<{ name, error }>,
+ *   unhealthy: Array<{ name, reason }>, aborted: string[] }>}
+ *   aborted = app chưa chạy tới vì sequence dừng khi gặp app unhealthy
+ */
+async function runPM2Actions(actions, options = {}) {
+  const verify = options.verify === undefined ? loadVerifyConfig() : options.verify;
+
+  if (!actions.length) {
+    console.log("⚠️  No PM2 apps to restart");
+    return { ok: true, restarted: [], reloaded: [], failed: [], unhealthy: [], aborted: [] };
   }
 
   // connect 1 lần, restart tuần tự, rồi disconnect
@@ -29,20 +145,44 @@ async function restartPM2Apps(pm2Apps) {
   });
 
   const restarted = [];
+  const reloaded = [];
   const failed = [];
+  const unhealthy = [];
+  const aborted = [];
 
   try {
-    for (const name of apps) {
+    for (const [i, { name, action, signal }] of actions.entries()) {
       try {
-        console.log(`⏳ Restarting: ${name} ...`);
-        await restartOne(name);
-        console.log(`✅ Restarted: ${name}`);
-        restarted.push(name);
+        if (action === "reload") {
+          console.log(`⏳ Reloading: ${name} (${signal || "SIGHUP"}) ...`);
+          await signalOne(name, signal || "SIGHUP");
+          console.log(`✅ Reloaded: ${name}`);
+          reloaded.push(name);
+        } else {
+          console.log(`⏳ Restarting: ${name} ...`);
+          await restartOne(name);
+          console.log(`✅ Restarted: ${name}`);
+          restarted.push(name);
+        }
       } catch (err) {
-        console.error(`❌ Failed to restart ${name}:`, err.message);
+        console.error(`❌ Failed to ${action} ${name}:`, err.message);
         failed.push({ name, error: err.message });
         // vẫn tiếp tục app tiếp theo (tuần tự nhưng không dừng toàn bộ)
+        continue;
+      }
+
+      if (!verify) continue;
+      const reason = await verifyOne(name, verify).catch((err) => `verify error: ${err.message}`);
+      if (!reason) {
+        if (verify.stableMs || verify.healthUrls[name]) console.log(`💚 Verified: ${name}`);
+        continue;
       }
+
+      console.error(`💔 ${name} unhealthy after ${action}: ${reason}`);
+      unhealthy.push({ name, reason });
+      aborted.push(...actions.slice(i + 1).map((a) => a.name));
+      if (aborted.length) console.error(`🛑 Sequence stopped, not touched: ${aborted.join(", ")}`);
+      break;
     }
   } finally {
     try {
@@ -51,10 +191,13 @@ async function restartPM2Apps(pm2Apps) {
   }
 
   return {
-    ok: failed.length === 0,
+    ok: failed.length === 0 && unhealthy.length === 0,
     restarted,
+    reloaded,
     failed,
+    unhealthy,
+    aborted,
   };
 }
 
-module.exports = { restartPM2Apps };
+module.exports = { restartPM2Apps, runPM2Actions, loadVerifyConfig };
@@ -0,0 +1,386 @@
+// proxyAccessLog.js
+// Nghiệp vụ: Access log dạng JSON cho http-proxy-listener (1 record / request HTTP hoặc 1 record / phiên WebSocket)
+// - sink stdout : in 1 dòng JSON / record (PM2 gom log như cũ)
+// - sink file   : ghi file ngoài repo (~/.http-proxy-listener), xoay vòng theo dung lượng (proxy-access.log -> .1 -> .2 ...)
+// - sink rtdb   : gom batch rồi đẩy lên Firebase RTDB (push key), mất mạng thì giữ trong hàng đợi có giới hạn
+// - sampling    : chỉ giữ 1 phần request thành công; request lỗi (>= 500 / lỗi upstream) luôn được ghi
+// - redaction   : che giá trị header / query param nhạy cảm trước khi ghi ra bất kỳ sink nào
+//
+// Env:
+// - ENV_HTTP_PROXY_ACCESS_LOG_SINKS        : danh sách sink, phân cách dấu phẩy: stdout,file,rtdb | off (default: stdout)
+// - ENV_HTTP_PROXY_ACCESS_LOG_SAMPLE_RATE  : tỉ lệ giữ lại 0..1 (default: 1)
+// - ENV_HTTP_PROXY_ACCESS_LOG_REDACT       : tên header / query param cần che (default: authorization,cookie,set-cookie,x-api-key,token,access_token,password,secret)
+// - ENV_HTTP_PROXY_ACCESS_LOG_HEADERS      : request header đưa vào record, "*" = tất cả (default: user-agent,referer)
+// - ENV_HTTP_PROXY_ACCESS_LOG_FILE         : đường dẫn file, path tương đối tính từ ~/.http-proxy-listener
+//   (default: ~/.http-proxy-listener/proxy-access.log, ngoài repo: log có IP client + query, không được lọt vào commit)
+// - ENV_HTTP_PROXY_ACCESS_LOG_MAX_BYTES    : dung lượng tối đa mỗi file trước khi xoay (default: 10485760)
+// - ENV_HTTP_PROXY_ACCESS_LOG_MAX_FILES    : số file cũ giữ lại (default: 5)
+// - ENV_HTTP_PROXY_ACCESS_LOG_RTDB_PATH    : path RTDB nhận log (default: proxy-access-log)
+// - ENV_HTTP_PROXY_ACCESS_LOG_RTDB_BATCH   : số record mỗi lần đẩy (default: 50)
+// - ENV_HTTP_PROXY_ACCESS_LOG_RTDB_FLUSH_MS: chu kỳ đẩy (default: 5000)
+// - ENV_HTTP_PROXY_ACCESS_LOG_RTDB_MAX_QUEUE: số record tối đa chờ đẩy, đầy thì bỏ record cũ nhất (default: 5000)
+// - ENV_HTTP_PROXY_TRUSTED_PROXIES         : IP / CIDR được tin CF-Connecting-IP + X-Forwarded-For, CSV (default: 127.0.0.1,::1 = cloudflared chạy cùng máy)
+//   client kết nối từ địa chỉ khác => bỏ qua các header này, dùng IP socket (dùng chung cho access log + rate limit)
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const STATE_DIR = path.join(os.homedir(), ".http-proxy-listener");
+const SINKS = ["stdout", "file", "rtdb"];
+const REDACTED = "[REDACTED]";
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+function toList(v, def) {
+  const s = v === undefined || v === null ? def : String(v);
+  return s
+    .split(",")
+    .map((x) => x.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function loadAccessLogConfig(env = process.env) {
+  let sinks = toList(env.ENV_HTTP_PROXY_ACCESS_LOG_SINKS, "stdout");
+  if (sinks.includes("off")) sinks = [];
+  const unknown = sinks.filter((s) => !SINKS.includes(s));
+  if (unknown.length) {
+    console.warn(`⚠️  ENV_HTTP_PROXY_ACCESS_LOG_SINKS: bỏ qua sink không hỗ trợ: ${unknown.join(", ")}`);
+    sinks = sinks.filter((s) => SINKS.includes(s));
+  }
+
+  let sampleRate = Number(env.ENV_HTTP_PROXY_ACCESS_LOG_SAMPLE_RATE);
+  if (env.ENV_HTTP_PROXY_ACCESS_LOG_SAMPLE_RATE === undefined || !Number.isFinite(sampleRate)) sampleRate = 1;
+  sampleRate = Math.min(1, Math.max(0, sampleRate));
+
+  const file = env.ENV_HTTP_PROXY_ACCESS_LOG_FILE || "proxy-access.log";
+
+  return {
+    sinks: Array.from(new Set(sinks)),
+    sampleRate,
+    redact: toList(env.ENV_HTTP_PROXY_ACCESS_LOG_REDACT, "authorization,cookie,set-cookie,x-api-key,token,access_token,password,secret"),
+    headers: toList(env.ENV_HTTP_PROXY_ACCESS_LOG_HEADERS, "user-agent,referer"),
+    file: path.isAbsolute(file) ? file : path.join(STATE_DIR, file),
+    maxBytes: toInt(env.ENV_HTTP_PROXY_ACCESS_LOG_MAX_BYTES, 10 * 1024 * 1024),
+    maxFiles: toInt(env.ENV_HTTP_PROXY_ACCESS_LOG_MAX_FILES, 5),
+    rtdbPath: env.ENV_HTTP_PROXY_ACCESS_LOG_RTDB_PATH || "proxy-access-log",
+    rtdbBatch: toInt(env.ENV_HTTP_PROXY_ACCESS_LOG_RTDB_BATCH, 50),
+    rtdbFlushMs: toInt(env.ENV_HTTP_PROXY_ACCESS_LOG_RTDB_FLUSH_MS, 5000),
+    rtdbMaxQueue: toInt(env.ENV_HTTP_PROXY_ACCESS_LOG_RTDB_MAX_QUEUE, 5000),
+  };
+}
+
+function normalizeIp(addr) {
+  return addr ? String(addr).trim().replace(/^::ffff:/, "") : "";
+}
+
+function loadTrustedProxies(env = process.env) {
+  const list = new net.BlockList();
+  for (const entry of toList(env.ENV_HTTP_PROXY_TRUSTED_PROXIES, "127.0.0.1,::1")) {
+    const [addr, bits] = entry.split("/");
+    const type = net.isIPv6(addr) ? "ipv6" : "ipv4";
+    if (!net.isIP(addr)) {
+      console.error(`❌ ENV_HTTP_PROXY_TRUSTED_PROXIES: bỏ qua "${entry}" (không phải IP / CIDR)`);
+      continue;
+    }
+    if (bits === undefined) list.addAddress(addr, type);
+    else list.addSubnet(addr, parseInt(bits, 10), type);
+  }
+  return list;
+}
+
+const TRUSTED_PROXIES = loadTrustedProxies();
+
+function isTrustedProxy(ip, trusted) {
+  const type = net.isIP(ip);
+  return type !== 0 && trusted.check(ip, type === 6 ? "ipv6" : "ipv4");
+}
+
+// IP thật của client: chỉ tin header khi kết nối tới từ proxy tin cậy
+// - Cloudflare tunnel (CF-Connecting-IP) > X-Forwarded-For (hop phải nhất không phải proxy tin cậy) > socket
+// - tính 1 lần / request => access log, rate limit, admin audit cùng 1 IP
+function clientIp(req, trusted = TRUSTED_PROXIES) {
+  if (req._clientIp !== undefined) return req._clientIp;
+
+  const remote = normalizeIp(req.socket && req.socket.remoteAddress);
+  let ip = remote || null;
+
+  if (remote && isTrustedProxy(remote, trusted)) {
+    const cf = req.headers["cf-connecting-ip"];
+    const xff = req.headers["x-forwarded-for"];
+    if (cf) {
+      ip = normalizeIp(cf) || ip;
+    } else if (xff) {
+      const hops = String(Array.isArray(xff) ? xff.join(",") : xff)
+        .split(",")
+        .map(normalizeIp)
+        .filter(Boolean);
+      while (hops.length > 1 && isTrustedProxy(hops[hops.length - 1], trusted)) hops.pop();
+      if (hops.length) ip = hops[hops.length - 1];
+    }
+  }
+
+  req._clientIp = ip;
+  return ip;
+}
+
+// che query param nằm trong danh sách redact, giữ nguyên thứ tự + phần còn lại của URL
+function redactUrl(url, redact) {
+  const s = String(url || "/");
+  const q = s.indexOf("?");
+  if (q < 0 || redact.length === 0) return s;
+
+  const parts = s
+    .slice(q + 1)
+    .split("&")
+    .map((pair) => {
+      const eq = pair.indexOf("=");
+      const rawName = eq >= 0 ? pair.slice(0, eq) : pair;
+      let name = rawName;
+      try {
+        name = decodeURIComponent(rawName.replace(/\+/g, " "));
+      } catch {}
+      return redact.includes(name.toLowerCase()) ? `${rawName}=${REDACTED}` : pair;
+    });
+
+  return `${s.slice(0, q)}?${parts.join("&")}`;
+}
+
+function pickHeaders(headers, wanted, redact) {
+  const out = {};
+  const names = wanted.includes("*") ? Object.keys(headers) : wanted;
+  for (const name of names) {
+    const v = headers[name];
+    if (v === undefined) continue;
+    out[name] = redact.includes(name) ? REDACTED : Array.isArray(v) ? v.join(", ") : String(v);
+  }
+  return out;
+}
+
+// ========================================
+// 🧾 SINKS
+// ========================================
+class StdoutSink {
+  write(line) {
+    process.stdout.write(`${line}\n`);
+  }
+
+  close() {}
+}
+
+class RotatingFileSink {
+  constructor({ file, maxBytes, maxFiles }) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.stream = null;
+    this.size = 0;
+  }
+
+  _open() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    try {
+      this.size = fs.statSync(this.file).size;
+    } catch {
+      this.size = 0;
+    }
+    this.stream = fs.createWriteStream(this.file, { flags: "a" });
+    this.stream.on("error", (err) => {
+      console.error(`❌ Access log file ${this.file}:`, err.message);
+      this.stream = null;
+    });
+  }
+
+  // proxy-access.log.(n-1) -> .n, ..., proxy-access.log -> .1
+  _rotate() {
+    if (this.stream) this.stream.end();
+    this.stream = null;
+
+    try {
+      fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        const from = `${this.file}.${i}`;
+        if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i + 1}`);
+      }
+      if (fs.existsSync(this.file)) fs.renameSync(this.file, `${this.file}.1`);
+    } catch (err) {
+      console.error(`❌ Không xoay được access log ${this.file}:`, err.message);
+    }
+  }
+
+  write(line) {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+
+    if (this.stream && this.size > 0 && this.size + bytes > this.maxBytes) this._rotate();
+    if (!this.stream) this._open();
+
+    this.stream.write(data);
+    this.size += bytes;
+  }
+
+  close() {
+    if (this.stream) this.stream.end();
+    this.stream = null;
+  }
+}
+
+class RtdbSink {
+  constructor({ rtdbPath, rtdbBatch, rtdbFlushMs, rtdbMaxQueue }) {
+    this.path = rtdbPath;
+    this.batch = rtdbBatch;
+    this.maxQueue = rtdbMaxQueue;
+    this.ref = null;
+    this.queue = [];
+    this.dropped = 0;
+    this.flushing = false;
+
+    this.timer = setInterval(() => this.flush(), rtdbFlushMs);
+    this.timer.unref();
+  }
+
+  setDatabase(db) {
+    this.ref = db ? db.ref(this.path) : null;
+  }
+
+  // parse lại từ dòng JSON: RTDB không nhận field undefined
+  write(line) {
+    this.queue.push(JSON.parse(line));
+    if (this.queue.length > this.maxQueue) {
+      this.dropped += this.queue.length - this.maxQueue;
+      this.queue.splice(0, this.queue.length - this.maxQueue);
+    }
+    if (this.queue.length >= this.batch) this.flush();
+  }
+
+  async flush() {
+    if (!this.ref || this.flushing || this.queue.length === 0) return;
+    this.flushing = true;
+
+    const items = this.queue.splice(0, this.batch);
+    const updates = {};
+    for (const rec of items) updates[this.ref.push().key] = rec;
+
+    try {
+      await this.ref.update(updates);
+      if (this.dropped > 0) {
+        console.warn(`⚠️  Access log RTDB: đã bỏ ${this.dropped} record do hàng đợi đầy`);
+        this.dropped = 0;
+      }
+    } catch (err) {
+      console.error(`❌ Access log RTDB ${this.path}:`, err.message);
+      // trả lại đầu hàng đợi, lần flush sau thử lại
+      this.queue.unshift(...items);
+      if (this.queue.length > this.maxQueue) {
+        this.dropped += this.queue.length - this.maxQueue;
+        this.queue.splice(0, this.queue.length - this.maxQueue);
+      }
+    } finally {
+      this.flushing = false;
+    }
+
+    if (this.queue.length >= this.batch) this.flush();
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    while (this.ref && this.queue.length > 0 && !this.flushing) {
+      const before = this.queue.length;
+      await this.flush();
+      if (this.queue.length >= before) break; // lỗi mạng => bỏ cuộc, không treo shutdown
+    }
+  }
+}
+
+// ========================================
+// 📝 ACCESS LOGGER
+// ========================================
+class AccessLogger {
+  constructor(config = loadAccessLogConfig()) {
+    this.config = config;
+    this.sinks = [];
+    this.rtdb = null;
+
+    for (const name of config.sinks) {
+      if (name === "stdout") this.sinks.push(new StdoutSink());
+      if (name === "file") this.sinks.push(new RotatingFileSink(config));
+      if (name === "rtdb") {
+        this.rtdb = new RtdbSink(config);
+        this.sinks.push(this.rtdb);
+      }
+    }
+  }
+
+  get enabled() {
+    return this.sinks.length > 0;
+  }
+
+  // RTDB chỉ có sau khi initFirebase() => gắn sau
+  setDatabase(db) {
+    if (this.rtdb) this.rtdb.setDatabase(db);
+  }
+
+  // phần chung của record lấy từ request (gọi lúc request bắt đầu, trước khi rewrite url / thêm header proxy)
+  requestFields(req) {
+    const { redact, headers } = this.config;
+    const fields = {
+      method: req.method,
+      host: req.headers.host || null,
+      path: redactUrl(req.url, redact),
+      client_ip: clientIp(req),
+    };
+    if (headers.length) fields.headers = pickHeaders(req.headers, headers, redact);
+    return fields;
+  }
+
+  _sampled(record) {
+    if (this.config.sampleRate >= 1) return true;
+    if (record.status >= 500 || (record.errors && record.errors.length > 0)) return true;
+    return Math.random() < this.config.sampleRate;
+  }
+
+  log(record) {
+    if (!this.enabled || !this._sampled(record)) return;
+
+    const rec = { ts: new Date().toISOString(), ...record };
+    if (rec.upstream_path) rec.upstream_path = redactUrl(rec.upstream_path, this.config.redact);
+
+    const line = JSON.stringify(rec);
+    for (const sink of this.sinks) {
+      try {
+        sink.write(line);
+      } catch (err) {
+        console.error("❌ Access log sink error:", err.message);
+      }
+    }
+  }
+
+  async close() {
+    for (const sink of this.sinks) {
+      try {
+        await sink.close();
+      } catch (_) {}
+    }
+  }
+
+  describe() {
+    const { sinks, sampleRate, redact, headers, file, maxBytes, maxFiles, rtdbPath } = this.config;
+    return {
+      sinks,
+      sample_rate: sampleRate,
+      redact,
+      headers,
+      file: sinks.includes("file") ? file : null,
+      max_bytes: maxBytes,
+      max_files: maxFiles,
+      rtdb_path: sinks.includes("rtdb") ? rtdbPath : null,
+      rtdb_queue: this.rtdb ? this.rtdb.queue.length : null,
+    };
+  }
+}
+
+module.exports = { AccessLogger, loadAccessLogConfig, loadTrustedProxies, clientIp, redactUrl };
@@ -0,0 +1,210 @@
+// proxyAdmin.js
+// Nghiệp vụ: Admin API của http-proxy-listener (bật khi có ENV_HTTP_PROXY_ADMIN_TOKEN)
+// Mọi route yêu cầu header "Authorization: Bearer <token>" (hoặc "X-Admin-Token: <token>").
+//
+//   GET  <prefix>/workers                  : danh sách worker + trạng thái (in-flight, health, breaker, override)
+//   GET  <prefix>/workers/<key>            : 1 worker
+//   POST <prefix>/workers/<key>/drain      : ngừng nhận request mới, chờ request dở dang chạy xong
+//                                            (?wait=0 để trả về ngay, ?timeout_ms=<n> thời gian chờ tối đa)
+//   POST <prefix>/workers/<key>/disable    : loại khỏi rotation
+//   POST <prefix>/workers/<key>/enable     : đưa lại vào rotation (xóa state drain/disable)
+//   POST <prefix>/workers/<key>/weight     : body {"weight": 5}, {"weight": null} = dùng lại weight của worker-stats
+//   POST <prefix>/resync                   : đọc lại worker-stats / routes / config / overrides từ nguồn discovery
+// drain / disable / enable nhận thêm body {"reason": "..."} (tuỳ chọn) để ghi vào override.
+//
+// Env:
+// - ENV_HTTP_PROXY_ADMIN_TOKEN            : token admin (không set = tắt admin API)
+// - ENV_HTTP_PROXY_ADMIN_PREFIX           : prefix route (default: /_proxy/admin)
+// - ENV_HTTP_PROXY_ADMIN_DRAIN_TIMEOUT_MS : thời gian chờ drain mặc định (default: 30000)
+
+const crypto = require("crypto");
+
+const MAX_BODY_BYTES = 64 * 1024;
+const DRAIN_POLL_MS = 200;
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadAdminConfig(env = process.env) {
+  let prefix = String(env.ENV_HTTP_PROXY_ADMIN_PREFIX || "/_proxy/admin").trim();
+  if (!prefix.startsWith("/")) prefix = `/${prefix}`;
+  while (prefix.length > 1 && prefix.endsWith("/")) prefix = prefix.slice(0, -1);
+
+  return {
+    token: env.ENV_HTTP_PROXY_ADMIN_TOKEN || "",
+    prefix,
+    drainTimeoutMs: toInt(env.ENV_HTTP_PROXY_ADMIN_DRAIN_TIMEOUT_MS, 30000),
+  };
+}
+
+function isAuthorized(req, token) {
+  const auth = String(req.headers.authorization || "");
+  const given = auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : String(req.headers["x-admin-token"] || "");
+  if (!given) return false;
+
+  // so sánh hash để độ dài 2 bên luôn bằng nhau (timingSafeEqual yêu cầu)
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// request có token admin hợp lệ (dùng ngoài admin API, vd /health đầy đủ khi hide_worker)
+function isAdminRequest(req, config) {
+  return Boolean(config.token) && isAuthorized(req, config.token);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Body quá lớn"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("error", reject);
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8").trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        resolve(body && typeof body === "object" ? body : {});
+      } catch {
+        reject(new HttpError(400, "Body không phải JSON hợp lệ"));
+      }
+    });
+  });
+}
+
+/**
+ * @param {object} config - loadAdminConfig()
+ * @param {object} actions
+ * @param {() => object[]} actions.listWorkers
+ * @param {(key: string) => object|null} actions.getWorker
+ * @param {(key: string) => number} actions.getInFlight
+ * @param {(key: string, patch: object, actor: string) => Promise<object|null>} actions.setOverride - trả về override mới
+ * @param {() => Promise<object>} actions.resync
+ * @param {(req: object) => string|null} [actions.clientIp]
+ * @returns {(req, res) => boolean} true nếu request thuộc admin API (đã/đang được trả lời)
+ */
+function createAdminApi(config, actions) {
+  const { token, prefix, drainTimeoutMs } = config;
+
+  async function waitDrained(key, timeoutMs) {
+    const startedAt = Date.now();
+    while (actions.getInFlight(key) > 0 && Date.now() - startedAt < timeoutMs) {
+      await new Promise((resolve) => setTimeout(resolve, DRAIN_POLL_MS));
+    }
+    const inFlight = actions.getInFlight(key);
+    return { drained: inFlight === 0, in_flight: inFlight, waited_ms: Date.now() - startedAt };
+  }
+
+  async function route(req, res, path, query) {
+    const actor = `${req.headers["x-admin-user"] || "admin"}@${(actions.clientIp && actions.clientIp(req)) || "unknown"}`;
+
+    if (path === "/workers" || path === "/workers/") {
+      if (req.method !== "GET") throw new HttpError(405, "Method không hỗ trợ");
+      return sendJson(res, 200, { workers: actions.listWorkers() });
+    }
+
+    if (path === "/resync") {
+      if (req.method !== "POST") throw new HttpError(405, "Method không hỗ trợ");
+      const result = await actions.resync();
+      console.log(`🛠️  Admin ${actor}: resync`);
+      return sendJson(res, 200, { ok: true, ...result });
+    }
+
+    const m = path.match(/^\/workers\/([^/]+)(?:\/(drain|disable|enable|weight))?\/?$/);
+    if (!m) throw new HttpError(404, "Không có route này");
+
+    let key;
+    try {
+      key = decodeURIComponent(m[1]);
+    } catch {
+      throw new HttpError(400, "Worker key không hợp lệ");
+    }
+    const action = m[2] || null;
+
+    if (!action) {
+      if (req.method !== "GET") throw new HttpError(405, "Method không hỗ trợ");
+      const worker = actions.getWorker(key);
+      if (!worker) throw new HttpError(404, `Không có worker ${key}`);
+      return sendJson(res, 200, worker);
+    }
+
+    if (req.method !== "POST" && req.method !== "PUT") throw new HttpError(405, "Method không hỗ trợ");
+    const body = await readJsonBody(req);
+
+    // enable được phép cả khi worker đã rời pool (dọn override cũ)
+    if (action !== "enable" && !actions.getWorker(key)) throw new HttpError(404, `Không có worker ${key}`);
+
+    const reason = body.reason !== undefined ? body.reason : query.get("reason");
+    let patch;
+    if (action === "weight") {
+      const raw = "weight" in body ? body.weight : query.has("weight") ? query.get("weight") : undefined;
+      if (raw === undefined || raw === "") throw new HttpError(400, 'Thiếu "weight"');
+      patch = { weight: raw === null || raw === "null" ? null : raw };
+    } else {
+      patch = { state: action === "drain" ? "draining" : action === "disable" ? "disabled" : "active", reason: reason || null };
+    }
+
+    let override;
+    try {
+      override = await actions.setOverride(key, patch, actor);
+    } catch (e) {
+      throw new HttpError(e.status || 400, e.message);
+    }
+    console.log(`🛠️  Admin ${actor}: ${action} ${key}${patch.weight !== undefined ? ` = ${patch.weight}` : ""}`);
+
+    if (action !== "drain" || query.get("wait") === "0" || query.get("wait") === "false") {
+      return sendJson(res, 200, { ok: true, key, override });
+    }
+
+    const timeoutMs = toInt(query.get("timeout_ms"), drainTimeoutMs);
+    const result = await waitDrained(key, timeoutMs);
+    return sendJson(res, result.drained ? 200 : 202, { ok: true, key, override, ...result });
+  }
+
+  return function handle(req, res) {
+    if (!token) return false;
+
+    const url = String(req.url || "/");
+    const q = url.indexOf("?");
+    const pathname = q >= 0 ? url.slice(0, q) : url;
+    if (pathname !== prefix && !pathname.startsWith(`${prefix}/`)) return false;
+
+    if (!isAuthorized(req, token)) {
+      sendJson(res, 401, { error: "Unauthorized" });
+      return true;
+    }
+
+    const query = new URLSearchParams(q >= 0 ? url.slice(q + 1) : "");
+    route(req, res, pathname.slice(prefix.length) || "/", query).catch((err) => {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error("❌ Admin API error:", err.message);
+      if (!res.headersSent) sendJson(res, status, { error: err.message });
+    });
+    return true;
+  };
+}
+
+module.exports = { loadAdminConfig, createAdminApi, isAdminRequest };
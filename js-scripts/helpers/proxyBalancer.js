@@ -0,0 +1,208 @@
+// proxyBalancer.js
+// Nghiệp vụ: Các chiến lược load balancing cho WorkerPool của http-proxy-listener
+// - round-robin           : mặc định, xoay vòng theo thứ tự upload_at (WorkerPool tự xử lý)
+// - least-outstanding     : chọn worker đang có ít request dở dang nhất
+// - weighted-round-robin  : smooth weighted RR (kiểu nginx), weight lấy từ worker-stats/<key>/weight (override của admin ghi đè)
+// - random-two-choices    : bốc ngẫu nhiên 2 worker, lấy worker ít request dở dang hơn
+// - consistent-hash       : hash theo header/cookie/path => cùng key luôn vào cùng worker
+//
+// Env (giá trị mặc định, Firebase proxy-config/lb ghi đè lúc runtime):
+// - ENV_HTTP_PROXY_LB_STRATEGY : tên strategy (default: round-robin)
+// - ENV_HTTP_PROXY_LB_HASH_ON  : nguồn key cho consistent-hash: "header:<name>" | "cookie:<name>" | "path" (default: path)
+
+const crypto = require("crypto");
+
+const STRATEGIES = ["round-robin", "least-outstanding", "weighted-round-robin", "random-two-choices", "consistent-hash"];
+
+const RING_VNODES = 100; // số điểm ảo mỗi worker trên ring
+
+function parseHashOn(input) {
+  const s = String(input || "path").trim();
+  if (s === "path") return { type: "path", name: null };
+
+  const idx = s.indexOf(":");
+  const type = idx > 0 ? s.slice(0, idx).trim().toLowerCase() : "";
+  const name = idx > 0 ? s.slice(idx + 1).trim() : "";
+  if ((type === "header" || type === "cookie") && name) {
+    return { type, name: type === "header" ? name.toLowerCase() : name };
+  }
+  return null;
+}
+
+function normalizeBalancerConfig(raw, fallback = {}) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const strategy = String(src.strategy || fallback.strategy || "round-robin")
+    .trim()
+    .toLowerCase();
+  const hashOnRaw = src.hash_on || src.hashOn || fallback.hashOn || "path";
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`strategy không hợp lệ: ${strategy} (hỗ trợ: ${STRATEGIES.join(", ")})`);
+  }
+  if (!parseHashOn(hashOnRaw)) {
+    throw new Error(`hash_on không hợp lệ: ${hashOnRaw} (dạng header:<name> | cookie:<name> | path)`);
+  }
+
+  return { strategy, hashOn: String(hashOnRaw) };
+}
+
+function loadBalancerConfig(env = process.env) {
+  try {
+    return normalizeBalancerConfig({ strategy: env.ENV_HTTP_PROXY_LB_STRATEGY, hash_on: env.ENV_HTTP_PROXY_LB_HASH_ON });
+  } catch (e) {
+    console.warn(`⚠️  ENV load balancer: ${e.message}, dùng round-robin`);
+    return { strategy: "round-robin", hashOn: "path" };
+  }
+}
+
+function readCookie(req, name) {
+  const header = req.headers && req.headers.cookie;
+  if (!header) return null;
+  for (const part of String(header).split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    if (part.slice(0, idx).trim() !== name) continue;
+    const raw = part.slice(idx + 1).trim();
+    try {
+      return decodeURIComponent(raw);
+    } catch {
+      return raw;
+    }
+  }
+  return null;
+}
+
+function getHashKey(req, hashOn) {
+  if (!req) return null;
+  if (hashOn.type === "path") return String(req.url || "/").split("?")[0];
+  if (hashOn.type === "header") {
+    const v = req.headers && req.headers[hashOn.name];
+    return v ? String(Array.isArray(v) ? v[0] : v) : null;
+  }
+  return readCookie(req, hashOn.name);
+}
+
+function hash32(s) {
+  return crypto.createHash("md5").update(s).digest().readUInt32BE(0);
+}
+
+function pickRandom(arr) {
+  return arr[Math.floor(Math.random() * arr.length)];
+}
+
+class LeastOutstandingStrategy {
+  pick(candidates, ctx) {
+    let best = null;
+    let bestLoad = Infinity;
+    for (const w of candidates) {
+      const load = ctx.inFlight(w.key);
+      if (load < bestLoad) {
+        best = w;
+        bestLoad = load;
+      }
+    }
+    return best;
+  }
+}
+
+class WeightedRoundRobinStrategy {
+  constructor() {
+    this.current = new Map(); // key -> current weight (smooth WRR)
+  }
+
+  pick(candidates, ctx) {
+    let total = 0;
+    let best = null;
+
+    for (const w of candidates) {
+      const raw = ctx && ctx.weight ? ctx.weight(w.key) : w.weight;
+      const weight = raw > 0 ? raw : 1;
+      const cur = (this.current.get(w.key) || 0) + weight;
+      this.current.set(w.key, cur);
+      total += weight;
+      if (!best || cur > this.current.get(best.key)) best = w;
+    }
+
+    if (best) this.current.set(best.key, this.current.get(best.key) - total);
+
+    // dọn key không còn trong pool
+    if (this.current.size > candidates.length * 2) {
+      const keep = new Set(candidates.map((w) => w.key));
+      for (const k of Array.from(this.current.keys())) if (!keep.has(k)) this.current.delete(k);
+    }
+
+    return best;
+  }
+}
+
+class RandomTwoChoicesStrategy {
+  pick(candidates, ctx) {
+    if (candidates.length === 1) return candidates[0];
+    const i = Math.floor(Math.random() * candidates.length);
+    let j = Math.floor(Math.random() * (candidates.length - 1));
+    if (j >= i) j += 1;
+    const a = candidates[i];
+    const b = candidates[j];
+    return ctx.inFlight(b.key) < ctx.inFlight(a.key) ? b : a;
+  }
+}
+
+class ConsistentHashStrategy {
+  constructor(hashOn) {
+    this.hashOn = parseHashOn(hashOn);
+    this.ringId = null;
+    this.ring = []; // [{ point, key }] sorted theo point
+  }
+
+  _buildRing(candidates) {
+    const id = candidates.map((w) => w.key).join("|");
+    if (id === this.ringId) return;
+
+    const ring = [];
+    for (const w of candidates) {
+      for (let v = 0; v < RING_VNODES; v++) ring.push({ point: hash32(`${w.key}#${v}`), key: w.key });
+    }
+    ring.sort((a, b) => a.point - b.point);
+
+    this.ring = ring;
+    this.ringId = id;
+  }
+
+  pick(candidates, ctx) {
+    const hashKey = getHashKey(ctx.req, this.hashOn);
+    // không có key để hash => không cần dính worker nào
+    if (hashKey === null || hashKey === undefined || hashKey === "") return pickRandom(candidates);
+
+    this._buildRing(candidates);
+
+    const point = hash32(hashKey);
+    let lo = 0;
+    let hi = this.ring.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this.ring[mid].point < point) lo = mid + 1;
+      else hi = mid;
+    }
+
+    const node = this.ring[lo % this.ring.length];
+    return candidates.find((w) => w.key === node.key) || null;
+  }
+}
+
+// null = round-robin (WorkerPool tự xoay vòng bằng currentIndex)
+function createStrategy(config) {
+  switch (config.strategy) {
+    case "least-outstanding":
+      return new LeastOutstandingStrategy();
+    case "weighted-round-robin":
+      return new WeightedRoundRobinStrategy();
+    case "random-two-choices":
+      return new RandomTwoChoicesStrategy();
+    case "consistent-hash":
+      return new ConsistentHashStrategy(config.hashOn);
+    default:
+      return null;
+  }
+}
+
+module.exports = { STRATEGIES, loadBalancerConfig, normalizeBalancerConfig, createStrategy, readCookie };
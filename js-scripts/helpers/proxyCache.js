@@ -0,0 +1,501 @@
+// proxyCache.js
+// Nghiệp vụ: Cache response của worker cho http-proxy-listener (opt-in, chủ yếu cho GET ảnh)
+// - tôn trọng Cache-Control (no-store / private / no-cache / max-age / s-maxage), Expires, ETag / Last-Modified, Vary
+// - tầng RAM: LRU theo tổng byte; tầng đĩa (tuỳ chọn): ghi kèm khi lưu, RAM miss thì đọc đĩa rồi đưa lại lên RAM
+// - hết hạn nhưng có ETag / Last-Modified => gửi request có điều kiện tới worker, 304 thì dùng lại body đã cache
+// - worker đổi version trên worker-stats => xóa các entry do worker đó trả về
+// - POST / PUT / PATCH / DELETE thành công => xóa entry cùng url
+// Kết quả trả ở header (default X-Proxy-Cache) + field "cache" trong access log:
+//   HIT | MISS | EXPIRED (hết hạn, lấy lại từ worker) | REVALIDATED (worker trả 304) | STALE (worker lỗi, trả bản cũ) | BYPASS
+//
+// Env:
+// - ENV_HTTP_PROXY_CACHE_ENABLED         : 1 = bật cache (default: 0)
+// - ENV_HTTP_PROXY_CACHE_MAX_BYTES       : dung lượng tầng RAM (default: 67108864 = 64MB)
+// - ENV_HTTP_PROXY_CACHE_MAX_ENTRY_BYTES : response lớn hơn thì không cache (default: 5242880 = 5MB)
+// - ENV_HTTP_PROXY_CACHE_DEFAULT_TTL_SEC : TTL cho response 200 không có max-age / Expires (default: 0 = chỉ cache khi worker cho phép)
+// - ENV_HTTP_PROXY_CACHE_DIR             : thư mục tầng đĩa (không set = chỉ RAM)
+// - ENV_HTTP_PROXY_CACHE_DIR_MAX_BYTES   : dung lượng tầng đĩa (default: 1073741824 = 1GB)
+// - ENV_HTTP_PROXY_CACHE_HEADER          : tên header báo kết quả (default: X-Proxy-Cache)
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CACHEABLE_STATUS = new Set([200, 203, 204, 301, 404, 410]);
+const UNSAFE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+// header gắn với kết nối / client cụ thể => không lưu vào cache
+const SKIP_HEADERS = new Set(["connection", "keep-alive", "proxy-connection", "transfer-encoding", "upgrade", "set-cookie", "age"]);
+const ENTRY_OVERHEAD_BYTES = 512; // ước lượng header + meta của 1 entry
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadCacheConfig(env = process.env) {
+  return {
+    enabled: env.ENV_HTTP_PROXY_CACHE_ENABLED === "1" || env.ENV_HTTP_PROXY_CACHE_ENABLED === "true",
+    maxBytes: toInt(env.ENV_HTTP_PROXY_CACHE_MAX_BYTES, 64 * 1024 * 1024),
+    maxEntryBytes: toInt(env.ENV_HTTP_PROXY_CACHE_MAX_ENTRY_BYTES, 5 * 1024 * 1024),
+    defaultTtlSec: toInt(env.ENV_HTTP_PROXY_CACHE_DEFAULT_TTL_SEC, 0),
+    dir: env.ENV_HTTP_PROXY_CACHE_DIR ? path.resolve(env.ENV_HTTP_PROXY_CACHE_DIR) : null,
+    dirMaxBytes: toInt(env.ENV_HTTP_PROXY_CACHE_DIR_MAX_BYTES, 1024 * 1024 * 1024),
+    header: env.ENV_HTTP_PROXY_CACHE_HEADER || "X-Proxy-Cache",
+  };
+}
+
+function parseCacheControl(value) {
+  const out = {};
+  for (const part of String(value || "").split(",")) {
+    const idx = part.indexOf("=");
+    const name = (idx >= 0 ? part.slice(0, idx) : part).trim().toLowerCase();
+    if (!name) continue;
+    out[name] = idx >= 0 ? part.slice(idx + 1).trim().replace(/^"|"$/g, "") : true;
+  }
+  return out;
+}
+
+// số giây response còn tươi kể từ lúc worker tạo ra (chưa trừ Age)
+function freshnessOf(headers, status, defaultTtlSec) {
+  const cc = parseCacheControl(headers["cache-control"]);
+  if (cc["no-cache"]) return 0;
+
+  for (const directive of ["s-maxage", "max-age"]) {
+    if (cc[directive] !== undefined) return Math.max(0, toInt(cc[directive], 0));
+  }
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || Date.now();
+    return Number.isFinite(expires) ? Math.max(0, Math.floor((expires - date) / 1000)) : 0; // Expires sai định dạng = đã hết hạn
+  }
+
+  return status === 200 ? defaultTtlSec : 0;
+}
+
+function isStorable(headers, status) {
+  if (!CACHEABLE_STATUS.has(status)) return false;
+  const cc = parseCacheControl(headers["cache-control"]);
+  if (cc["no-store"] || cc.private) return false;
+  if (headers["set-cookie"]) return false;
+  return !String(headers.vary || "").includes("*");
+}
+
+function varyNames(value) {
+  return String(value || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean)
+    .sort();
+}
+
+function headerValue(v) {
+  return Array.isArray(v) ? v.join(",") : String(v || "").trim();
+}
+
+function storedHeaders(headers) {
+  const out = {};
+  for (const [h, v] of Object.entries(headers)) {
+    if (!SKIP_HEADERS.has(h)) out[h] = v;
+  }
+  return out;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha1").update(key).digest("hex");
+}
+
+class ResponseCache {
+  constructor(config) {
+    this.config = config;
+    this.enabled = config.enabled;
+
+    this.memory = new Map(); // variant key -> entry (Map giữ thứ tự dùng gần nhất => evict cũ nhất)
+    this.memoryBytes = 0;
+    this.disk = new Map(); // variant key -> meta của entry trên đĩa (không có body), cũng LRU
+    this.diskBytes = 0;
+    this.vary = new Map(); // key gốc -> header trong Vary của response gần nhất
+    this.variants = new Map(); // key gốc -> Set variant key (xóa theo url)
+    this.fileOps = new Map(); // variant key -> thao tác file cuối cùng đang chờ (ghi / đọc / xóa cùng key chạy tuần tự)
+  }
+
+  // tạo thư mục + nạp lại index tầng đĩa (entry còn lại từ lần chạy trước)
+  async init() {
+    if (!this.enabled || !this.config.dir) return;
+
+    await fs.promises.mkdir(this.config.dir, { recursive: true });
+    const metas = [];
+    for (const name of await fs.promises.readdir(this.config.dir)) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        metas.push(JSON.parse(await fs.promises.readFile(path.join(this.config.dir, name), "utf8")));
+      } catch (_) {
+        // file dở dang / hỏng => bỏ qua, sẽ bị ghi đè khi cache lại url đó
+      }
+    }
+
+    metas.sort((a, b) => a.storedAt - b.storedAt);
+    for (const meta of metas) this._indexDisk(meta);
+    this._evictDisk();
+  }
+
+  // GET / HEAD không kèm credential mới dùng cache
+  isCacheableRequest(req) {
+    if (!this.enabled || (req.method !== "GET" && req.method !== "HEAD")) return false;
+    if (req.headers.authorization || req.headers.upgrade) return false;
+    return !parseCacheControl(req.headers["cache-control"])["no-store"];
+  }
+
+  // key gốc: group + host + url sau rewrite (GET và HEAD dùng chung)
+  baseKey(req, scope) {
+    return `${scope}|${req.headers.host || ""}|${req.url}`;
+  }
+
+  _variantKey(base, names, reqHeaders) {
+    if (!names || names.length === 0) return base;
+    return `${base}|${names.map((h) => `${h}=${headerValue(reqHeaders[h])}`).join("&")}`;
+  }
+
+  /**
+   * @returns {Promise<{ entry: object|null, fresh: boolean }>}
+   */
+  async lookup(req, scope) {
+    const base = this.baseKey(req, scope);
+    const key = this._variantKey(base, this.vary.get(base), req.headers);
+
+    let entry = this.memory.get(key);
+    if (entry) {
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+    } else {
+      entry = await this._readDisk(key);
+    }
+    if (!entry) return { entry: null, fresh: false };
+
+    // client yêu cầu bản mới nhất => luôn hỏi lại worker
+    const cc = parseCacheControl(req.headers["cache-control"]);
+    const forceRevalidate = cc["no-cache"] || cc["max-age"] === "0" || /no-cache/i.test(req.headers.pragma || "");
+    return { entry, fresh: !forceRevalidate && Date.now() < entry.expiresAt };
+  }
+
+  // header cho request revalidate tới worker
+  conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) headers["if-none-match"] = entry.etag;
+    if (entry.lastModified) headers["if-modified-since"] = entry.lastModified;
+    return headers;
+  }
+
+  canRevalidate(entry) {
+    return Boolean(entry.etag || entry.lastModified);
+  }
+
+  // worker lỗi => được trả bản cũ trừ khi response gốc cấm
+  canServeStale(entry) {
+    const cc = parseCacheControl(entry.headers["cache-control"]);
+    return !cc["must-revalidate"] && !cc["proxy-revalidate"] && !cc["no-cache"];
+  }
+
+  /**
+   * Gắn vào proxyRes: gom body trong lúc http-proxy pipe cho client, đủ điều kiện thì lưu khi kết thúc.
+   * Gọi trước khi proxy sửa header của proxyRes (sticky cookie, ...).
+   * @param {{ worker: string, version: string }} origin - worker trả response (để purge khi đổi version)
+   */
+  capture(req, scope, proxyRes, origin) {
+    const status = proxyRes.statusCode;
+    const headers = proxyRes.headers;
+    const base = this.baseKey(req, scope);
+
+    if (UNSAFE_METHODS.has(req.method)) {
+      if (status < 400) this.invalidate(base);
+      return;
+    }
+    // request BYPASS (Authorization, no-store, ...) không được lưu; 304 của request revalidate đi qua refresh()
+    if (req.method !== "GET" || status === 304 || !this.isCacheableRequest(req)) return;
+
+    // worker không cho cache nữa => bỏ bản cũ
+    if (!isStorable(headers, status)) {
+      if (status < 500) this._deleteVariant(this._variantKey(base, this.vary.get(base), req.headers));
+      return;
+    }
+
+    const ttlSec = freshnessOf(headers, status, this.config.defaultTtlSec);
+    if (ttlSec <= 0 && !headers.etag && !headers["last-modified"]) return;
+    if (toInt(headers["content-length"], 0) > this.config.maxEntryBytes) return;
+
+    const snapshot = storedHeaders(headers);
+    const storedAt = Date.now() - toInt(headers.age, 0) * 1000;
+    const chunks = [];
+    let size = 0;
+    let tooBig = false;
+
+    proxyRes.on("data", (chunk) => {
+      if (tooBig) return;
+      size += chunk.length;
+      if (size > this.config.maxEntryBytes) {
+        tooBig = true;
+        chunks.length = 0;
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    proxyRes.on("end", () => {
+      if (tooBig || !proxyRes.complete) return;
+
+      const vary = varyNames(headers.vary);
+      this._store({
+        key: this._variantKey(base, vary, req.headers),
+        base,
+        vary,
+        status,
+        headers: snapshot,
+        body: Buffer.concat(chunks),
+        storedAt,
+        expiresAt: storedAt + ttlSec * 1000,
+        etag: headers.etag || null,
+        lastModified: headers["last-modified"] || null,
+        worker: origin.worker,
+        version: origin.version,
+      });
+    });
+  }
+
+  // worker trả 304 cho request revalidate => cập nhật header + hạn dùng, giữ body
+  refresh(entry, proxyRes) {
+    const headers = { ...entry.headers };
+    for (const [h, v] of Object.entries(storedHeaders(proxyRes.headers))) {
+      if (h !== "content-length") headers[h] = v;
+    }
+
+    const storedAt = Date.now() - toInt(proxyRes.headers.age, 0) * 1000;
+    const next = {
+      ...entry,
+      headers,
+      storedAt,
+      expiresAt: storedAt + freshnessOf(headers, entry.status, this.config.defaultTtlSec) * 1000,
+      etag: headers.etag || entry.etag,
+      lastModified: headers["last-modified"] || entry.lastModified,
+    };
+
+    if (isStorable(headers, entry.status)) this._store(next);
+    else this._deleteVariant(entry.key);
+    return next;
+  }
+
+  // trả entry cho client; HIT thì xét luôn If-None-Match / If-Modified-Since của client
+  send(req, res, entry, result) {
+    const headers = {
+      ...entry.headers,
+      age: String(Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000))),
+      [this.config.header]: result,
+    };
+
+    if (result === "HIT" && this._notModified(req, entry)) {
+      delete headers["content-length"];
+      delete headers["content-type"];
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    headers["content-length"] = String(entry.body.length);
+    res.writeHead(entry.status, headers);
+    res.end(req.method === "HEAD" ? undefined : entry.body);
+  }
+
+  _notModified(req, entry) {
+    const inm = req.headers["if-none-match"];
+    if (inm) {
+      if (!entry.etag) return false;
+      const weak = (tag) => tag.trim().replace(/^W\//, "");
+      return inm.trim() === "*" || inm.split(",").some((tag) => weak(tag) === weak(entry.etag));
+    }
+
+    const ims = Date.parse(req.headers["if-modified-since"] || "");
+    const lastModified = Date.parse(entry.lastModified || "");
+    return Number.isFinite(ims) && Number.isFinite(lastModified) && lastModified <= ims;
+  }
+
+  // xóa mọi biến thể (Vary) của 1 url
+  invalidate(base) {
+    const keys = this.variants.get(base);
+    if (!keys) return 0;
+    let n = 0;
+    for (const key of Array.from(keys)) n += this._deleteVariant(key) ? 1 : 0;
+    return n;
+  }
+
+  // worker đổi version => xóa entry do worker đó trả về (worker đã rời pool thì giữ tới khi hết hạn / bị evict)
+  purgeWorkerVersions(workers) {
+    if (!this.enabled) return 0;
+    const versions = new Map(workers.map((w) => [w.key, w.version]));
+    const outdated = (e) => versions.has(e.worker) && versions.get(e.worker) !== e.version;
+
+    const keys = new Set();
+    for (const [key, e] of this.memory.entries()) if (outdated(e)) keys.add(key);
+    for (const [key, meta] of this.disk.entries()) if (outdated(meta)) keys.add(key);
+    for (const key of keys) this._deleteVariant(key);
+    return keys.size;
+  }
+
+  _store(entry) {
+    this._deleteMemory(entry.key);
+    entry.size = entry.body.length + ENTRY_OVERHEAD_BYTES;
+
+    this.vary.set(entry.base, entry.vary);
+    if (!this.variants.has(entry.base)) this.variants.set(entry.base, new Set());
+    this.variants.get(entry.base).add(entry.key);
+
+    if (this.config.dir) this._writeDisk(entry);
+    this._putMemory(entry);
+  }
+
+  // lớn hơn cả tầng RAM thì chỉ nằm trên đĩa
+  _putMemory(entry) {
+    this._deleteMemory(entry.key);
+    if (entry.size > this.config.maxBytes) return this._forget(entry);
+
+    this.memory.set(entry.key, entry);
+    this.memoryBytes += entry.size;
+    while (this.memoryBytes > this.config.maxBytes) {
+      const oldest = this.memory.values().next().value;
+      this._deleteMemory(oldest.key);
+      this._forget(oldest);
+    }
+  }
+
+  _deleteMemory(key) {
+    const e = this.memory.get(key);
+    if (!e) return false;
+    this.memory.delete(key);
+    this.memoryBytes -= e.size;
+    return true;
+  }
+
+  _deleteVariant(key) {
+    const e = this.memory.get(key) || this.disk.get(key);
+    if (!e) return false;
+    this._deleteMemory(key);
+    this._deleteDisk(key);
+    this._forget(e);
+    return true;
+  }
+
+  // entry không còn ở tầng nào => bỏ khỏi index theo url
+  _forget(e) {
+    if (this.memory.has(e.key) || this.disk.has(e.key)) return;
+    const set = this.variants.get(e.base);
+    if (!set) return;
+    set.delete(e.key);
+    if (set.size === 0) {
+      this.variants.delete(e.base);
+      this.vary.delete(e.base);
+    }
+  }
+
+  // xếp hàng thao tác file theo key => không xóa trước khi ghi xong, không đọc file đang ghi dở
+  _queue(key, fn) {
+    const prev = this.fileOps.get(key) || Promise.resolve();
+    const op = prev.then(fn);
+    const tail = op.catch(() => {});
+    this.fileOps.set(key, tail);
+    tail.then(() => {
+      if (this.fileOps.get(key) === tail) this.fileOps.delete(key);
+    });
+    return op;
+  }
+
+  _files(key) {
+    const hash = hashKey(key);
+    return { meta: path.join(this.config.dir, `${hash}.json`), body: path.join(this.config.dir, `${hash}.bin`) };
+  }
+
+  _indexDisk(meta) {
+    const prev = this.disk.get(meta.key);
+    if (prev) {
+      this.disk.delete(meta.key);
+      this.diskBytes -= prev.size;
+    }
+    this.disk.set(meta.key, meta);
+    this.diskBytes += meta.size;
+
+    if (!this.vary.has(meta.base)) this.vary.set(meta.base, meta.vary);
+    if (!this.variants.has(meta.base)) this.variants.set(meta.base, new Set());
+    this.variants.get(meta.base).add(meta.key);
+  }
+
+  _writeDisk(entry) {
+    const { body, ...meta } = entry;
+    const files = this._files(entry.key);
+    this._indexDisk(meta);
+    this._evictDisk();
+
+    // body trước, meta sau => có file .json là entry đã ghi đủ
+    this._queue(entry.key, async () => {
+      await fs.promises.writeFile(files.body, body);
+      await fs.promises.writeFile(files.meta, JSON.stringify(meta));
+    }).catch((e) => {
+      console.error(`❌ Cache: ghi ${files.body} lỗi: ${e.message}`);
+      if (this.disk.get(entry.key) === meta) this._deleteDisk(entry.key);
+    });
+  }
+
+  _deleteDisk(key) {
+    const meta = this.disk.get(key);
+    if (!meta) return;
+    this.disk.delete(key);
+    this.diskBytes -= meta.size;
+
+    const files = this._files(key);
+    this._queue(key, () => Promise.all([fs.promises.rm(files.meta, { force: true }), fs.promises.rm(files.body, { force: true })]));
+  }
+
+  _evictDisk() {
+    while (this.diskBytes > this.config.dirMaxBytes && this.disk.size > 0) {
+      const oldest = this.disk.values().next().value;
+      this._deleteDisk(oldest.key);
+      this._forget(oldest);
+    }
+  }
+
+  async _readDisk(key) {
+    const meta = this.disk.get(key);
+    if (!meta) return null;
+
+    try {
+      const body = await this._queue(key, () => fs.promises.readFile(this._files(key).body));
+      if (this.disk.get(key) !== meta) return null; // bị xóa / ghi đè trong lúc đọc
+
+      const entry = { ...meta, body };
+      this.disk.delete(key);
+      this.disk.set(key, meta);
+      this._putMemory(entry); // đưa lại lên RAM (không ghi lại đĩa)
+      return entry;
+    } catch (_) {
+      this._deleteDisk(key);
+      this._forget(meta);
+      return null;
+    }
+  }
+
+  // chờ ghi đĩa xong trước khi thoát
+  async close() {
+    await Promise.all(Array.from(this.fileOps.values()));
+  }
+
+  describe() {
+    return {
+      enabled: this.enabled,
+      header: this.config.header,
+      default_ttl_sec: this.config.defaultTtlSec,
+      max_entry_bytes: this.config.maxEntryBytes,
+      memory: { entries: this.memory.size, bytes: this.memoryBytes, max_bytes: this.config.maxBytes },
+      disk: this.config.dir
+        ? { dir: this.config.dir, entries: this.disk.size, bytes: this.diskBytes, max_bytes: this.config.dirMaxBytes }
+        : null,
+    };
+  }
+}
+
+module.exports = { ResponseCache, loadCacheConfig };
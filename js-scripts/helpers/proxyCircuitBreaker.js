@@ -0,0 +1,269 @@
+// proxyCircuitBreaker.js
+// Nghiệp vụ: Passive outlier detection (circuit breaker) theo từng worker của http-proxy-listener
+// - closed    : nhận traffic bình thường, đếm lỗi liên tiếp + error-rate trong sliding window
+// - open      : bị loại khỏi rotation trong ENV_HTTP_PROXY_CB_OPEN_MS
+// - half-open : hết thời gian open => cho một số request thử; ok => closed, lỗi => open lại
+//
+// Env:
+// - ENV_HTTP_PROXY_CB_ENABLED            : "0" để tắt (default: 1)
+// - ENV_HTTP_PROXY_CB_CONSECUTIVE_ERRORS : số lỗi liên tiếp để open (default: 5)
+// - ENV_HTTP_PROXY_CB_ERROR_RATE         : tỉ lệ lỗi trong window để open, 0..1 (default: 0.5)
+// - ENV_HTTP_PROXY_CB_MIN_REQUESTS       : số request tối thiểu trong window mới xét error-rate (default: 20)
+// - ENV_HTTP_PROXY_CB_WINDOW_MS          : độ dài sliding window (default: 30000)
+// - ENV_HTTP_PROXY_CB_OPEN_MS            : thời gian open trước khi half-open (default: 30000)
+// - ENV_HTTP_PROXY_CB_HALF_OPEN_MAX      : số request thử đồng thời khi half-open (default: 1)
+// - ENV_HTTP_PROXY_CB_HALF_OPEN_SUCCESSES: số request thử ok để đóng lại (default: 2)
+// - ENV_HTTP_PROXY_CB_FAILURE_STATUS     : status của worker >= giá trị này tính là lỗi (default: 500)
+
+const WINDOW_BUCKETS = 10;
+
+function toNum(v, def) {
+  const n = Number(v);
+  return v !== undefined && v !== "" && Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadCircuitBreakerConfig(env = process.env) {
+  return {
+    enabled: env.ENV_HTTP_PROXY_CB_ENABLED !== "0",
+    consecutiveErrors: Math.max(toNum(env.ENV_HTTP_PROXY_CB_CONSECUTIVE_ERRORS, 5), 1),
+    errorRate: Math.min(toNum(env.ENV_HTTP_PROXY_CB_ERROR_RATE, 0.5), 1),
+    minRequests: Math.max(toNum(env.ENV_HTTP_PROXY_CB_MIN_REQUESTS, 20), 1),
+    windowMs: Math.max(toNum(env.ENV_HTTP_PROXY_CB_WINDOW_MS, 30000), 1000),
+    openMs: Math.max(toNum(env.ENV_HTTP_PROXY_CB_OPEN_MS, 30000), 100),
+    halfOpenMax: Math.max(toNum(env.ENV_HTTP_PROXY_CB_HALF_OPEN_MAX, 1), 1),
+    halfOpenSuccesses: Math.max(toNum(env.ENV_HTTP_PROXY_CB_HALF_OPEN_SUCCESSES, 2), 1),
+    failureStatus: toNum(env.ENV_HTTP_PROXY_CB_FAILURE_STATUS, 500),
+  };
+}
+
+// sliding window chia bucket để không phải giữ từng request
+class SlidingWindow {
+  constructor(windowMs) {
+    this.bucketMs = Math.ceil(windowMs / WINDOW_BUCKETS);
+    this.buckets = []; // { slot, total, errors }
+  }
+
+  _prune(now) {
+    const minSlot = Math.floor(now / this.bucketMs) - WINDOW_BUCKETS + 1;
+    while (this.buckets.length && this.buckets[0].slot < minSlot) this.buckets.shift();
+  }
+
+  add(ok, now = Date.now()) {
+    this._prune(now);
+    const slot = Math.floor(now / this.bucketMs);
+    let b = this.buckets[this.buckets.length - 1];
+    if (!b || b.slot !== slot) {
+      b = { slot, total: 0, errors: 0 };
+      this.buckets.push(b);
+    }
+    b.total += 1;
+    if (!ok) b.errors += 1;
+  }
+
+  totals(now = Date.now()) {
+    this._prune(now);
+    let total = 0;
+    let errors = 0;
+    for (const b of this.buckets) {
+      total += b.total;
+      errors += b.errors;
+    }
+    return { total, errors };
+  }
+
+  reset() {
+    this.buckets = [];
+  }
+}
+
+class CircuitBreaker {
+  constructor(config) {
+    this.config = config;
+    this.state = "closed";
+    this.window = new SlidingWindow(config.windowMs);
+    this.consecutiveErrors = 0;
+    this.halfOpenInFlight = 0;
+    this.halfOpenSuccesses = 0;
+    this.openedAt = null;
+    this.openUntil = null;
+    this.lastError = null;
+    this.trips = 0;
+  }
+
+  // chỉ kiểm tra, không "chiếm" slot half-open (dùng cho thống kê/availableCount)
+  canRoute(now = Date.now()) {
+    if (this.state === "closed") return true;
+    if (this.state === "open") return now >= this.openUntil;
+    return this.halfOpenInFlight < this.config.halfOpenMax;
+  }
+
+  // gọi khi worker thật sự được chọn cho 1 request
+  onDispatch(now = Date.now()) {
+    if (this.state === "open" && now >= this.openUntil) this._transition("half-open");
+    if (this.state === "half-open") this.halfOpenInFlight += 1;
+  }
+
+  // request kết thúc mà không có kết quả (client hủy) => trả lại slot half-open
+  onRelease() {
+    if (this.state === "half-open") this.halfOpenInFlight = Math.max(this.halfOpenInFlight - 1, 0);
+  }
+
+  onSuccess() {
+    this.consecutiveErrors = 0;
+
+    if (this.state === "half-open") {
+      this.halfOpenInFlight = Math.max(this.halfOpenInFlight - 1, 0);
+      this.halfOpenSuccesses += 1;
+      if (this.halfOpenSuccesses >= this.config.halfOpenSuccesses) this._transition("closed");
+      return;
+    }
+
+    this.window.add(true);
+  }
+
+  onFailure(reason) {
+    this.lastError = reason || "error";
+    this.consecutiveErrors += 1;
+
+    if (this.state === "half-open") {
+      this.halfOpenInFlight = Math.max(this.halfOpenInFlight - 1, 0);
+      this._transition("open");
+      return;
+    }
+
+    if (this.state === "open") return;
+
+    this.window.add(false);
+
+    if (this.consecutiveErrors >= this.config.consecutiveErrors) {
+      this._transition("open", `${this.consecutiveErrors} lỗi liên tiếp`);
+      return;
+    }
+
+    const { total, errors } = this.window.totals();
+    if (total >= this.config.minRequests && errors / total >= this.config.errorRate) {
+      this._transition("open", `error-rate ${Math.round((errors / total) * 100)}% (${errors}/${total})`);
+    }
+  }
+
+  _transition(state, reason) {
+    const prev = this.state;
+    if (prev === state) return;
+
+    this.state = state;
+    this.halfOpenInFlight = 0;
+    this.halfOpenSuccesses = 0;
+
+    if (state === "open") {
+      this.trips += 1;
+      this.openedAt = Date.now();
+      this.openUntil = this.openedAt + this.config.openMs;
+    } else if (state === "closed") {
+      this.openedAt = null;
+      this.openUntil = null;
+      this.consecutiveErrors = 0;
+      this.window.reset();
+    }
+
+    if (this.onTransition) this.onTransition(prev, state, reason || this.lastError);
+  }
+
+  describe() {
+    const { total, errors } = this.window.totals();
+    return {
+      state: this.state,
+      consecutive_errors: this.consecutiveErrors,
+      window_requests: total,
+      window_errors: errors,
+      error_rate: total ? Number((errors / total).toFixed(3)) : 0,
+      trips: this.trips,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      open_until: this.openUntil ? new Date(this.openUntil).toISOString() : null,
+      last_error: this.lastError,
+    };
+  }
+}
+
+class WorkerCircuitBreakers {
+  /**
+   * @param {object} config - xem loadCircuitBreakerConfig()
+   * @param {(key: string, prev: string, next: string, reason: string) => void} [onChange]
+   */
+  constructor(config = loadCircuitBreakerConfig(), onChange = null) {
+    this.config = config;
+    this.onChange = onChange;
+    this.breakers = new Map(); // key -> CircuitBreaker
+  }
+
+  _get(key) {
+    let b = this.breakers.get(key);
+    if (!b) {
+      b = new CircuitBreaker(this.config);
+      b.onTransition = (prev, next, reason) => {
+        if (this.onChange) this.onChange(key, prev, next, reason);
+      };
+      this.breakers.set(key, b);
+    }
+    return b;
+  }
+
+  canRoute(key) {
+    if (!this.config.enabled) return true;
+    const b = this.breakers.get(key);
+    return !b || b.canRoute();
+  }
+
+  onDispatch(key) {
+    if (!this.config.enabled) return;
+    this._get(key).onDispatch();
+  }
+
+  record(key, ok, reason) {
+    if (!this.config.enabled || !key) return;
+    const b = this._get(key);
+    if (ok) b.onSuccess();
+    else b.onFailure(reason);
+  }
+
+  recordStatus(key, statusCode) {
+    const ok = statusCode < this.config.failureStatus;
+    this.record(key, ok, ok ? null : `status ${statusCode}`);
+  }
+
+  release(key) {
+    if (!this.config.enabled || !key) return;
+    const b = this.breakers.get(key);
+    if (b) b.onRelease();
+  }
+
+  // dọn breaker của worker đã bị xóa khỏi pool
+  prune(keys) {
+    const keep = new Set(keys);
+    for (const key of Array.from(this.breakers.keys())) {
+      if (!keep.has(key)) this.breakers.delete(key);
+    }
+  }
+
+  getState(key) {
+    if (!this.config.enabled) return { state: "disabled" };
+    // chỉ đọc (/health, /metrics, admin) => không tạo breaker, chưa có => mô tả breaker closed mới
+    return (this.breakers.get(key) || new CircuitBreaker(this.config)).describe();
+  }
+
+  describe() {
+    const { enabled, consecutiveErrors, errorRate, minRequests, windowMs, openMs, halfOpenMax, halfOpenSuccesses, failureStatus } = this.config;
+    return {
+      enabled,
+      consecutive_errors: consecutiveErrors,
+      error_rate: errorRate,
+      min_requests: minRequests,
+      window_ms: windowMs,
+      open_ms: openMs,
+      half_open_max: halfOpenMax,
+      half_open_successes: halfOpenSuccesses,
+      failure_status: failureStatus,
+    };
+  }
+}
+
+module.exports = { WorkerCircuitBreakers, loadCircuitBreakerConfig };
@@ -0,0 +1,414 @@
+// proxyDiscovery.js
+// Nghiệp vụ: Nguồn danh sách worker (discovery) cho http-proxy-listener
+// - firebase : RTDB on("value") cho worker-stats / worker-routes / proxy-config / worker-overrides (mặc định, như trước)
+//              trạng thái kết nối theo .info/connected
+// - file     : file JSON / YAML trên đĩa, tự đọc lại khi file đổi
+// - http     : GET 1 URL định kỳ, gửi If-None-Match (ETag) => 304 thì bỏ qua
+// - dns      : bản ghi DNS SRV, mỗi target:port (priority thấp nhất) là 1 worker
+// Provider nào cũng đẩy snapshot theo section: workers -> WorkerGroups.syncFromObject(), routes / config / overrides như Firebase.
+// Đọc lỗi (file hỏng, HTTP 5xx, DNS lỗi) => giữ danh sách hiện tại.
+//
+// Định dạng file / HTTP (giống bản export RTDB, section nào không có => dùng ENV như khi RTDB chưa có path đó):
+// {
+//   "worker-stats":     { "worker-a": { "url": "http://10.0.0.5:3000", "upload_at": 1730000000000, "version": "1.2.0" } },
+//   "worker-routes":    { ... },   // ENV_HTTP_PROXY_ROUTES_PATH
+//   "proxy-config":     { ... },   // ENV_HTTP_PROXY_CONFIG_PATH
+//   "worker-overrides": { ... }    // ENV_HTTP_PROXY_OVERRIDES_PATH
+// }
+// Không có key "worker-stats" => cả file là worker-stats.
+// Provider khác firebase: override của admin API chỉ giữ trong RAM của instance (không ghi ngược về nguồn).
+//
+// Env:
+// - ENV_HTTP_PROXY_DISCOVERY             : firebase | file | http | dns (default: firebase)
+// - ENV_HTTP_PROXY_DISCOVERY_FILE        : file .json / .yaml / .yml (provider file)
+// - ENV_HTTP_PROXY_DISCOVERY_URL         : URL trả JSON (provider http)
+// - ENV_HTTP_PROXY_DISCOVERY_TOKEN       : gửi "Authorization: Bearer <token>" (provider http, tuỳ chọn)
+// - ENV_HTTP_PROXY_DISCOVERY_SRV         : tên SRV, vd _http._tcp.workers.internal (provider dns)
+// - ENV_HTTP_PROXY_DISCOVERY_SRV_SCHEME  : http | https cho URL worker lấy từ SRV (default: http)
+// - ENV_HTTP_PROXY_DISCOVERY_INTERVAL_MS : chu kỳ kiểm tra file / poll HTTP / resolve DNS (default: 5000)
+// - ENV_HTTP_PROXY_DISCOVERY_TIMEOUT_MS  : timeout mỗi lần poll HTTP (default: 5000)
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+
+const PROVIDERS = ["firebase", "file", "http", "dns"];
+const SECTIONS = ["workers", "routes", "config", "overrides"];
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadDiscoveryConfig(env = process.env) {
+  const provider = String(env.ENV_HTTP_PROXY_DISCOVERY || "firebase").trim().toLowerCase();
+  if (!PROVIDERS.includes(provider)) throw new Error(`ENV_HTTP_PROXY_DISCOVERY không hợp lệ: ${provider} (${PROVIDERS.join(" | ")})`);
+
+  const config = {
+    provider,
+    file: env.ENV_HTTP_PROXY_DISCOVERY_FILE ? path.resolve(env.ENV_HTTP_PROXY_DISCOVERY_FILE) : null,
+    url: env.ENV_HTTP_PROXY_DISCOVERY_URL || null,
+    token: env.ENV_HTTP_PROXY_DISCOVERY_TOKEN || "",
+    srv: env.ENV_HTTP_PROXY_DISCOVERY_SRV || null,
+    srvScheme: String(env.ENV_HTTP_PROXY_DISCOVERY_SRV_SCHEME || "http").replace(/:\/*$/, "").toLowerCase(),
+    intervalMs: Math.max(toInt(env.ENV_HTTP_PROXY_DISCOVERY_INTERVAL_MS, 5000), 500),
+    timeoutMs: Math.max(toInt(env.ENV_HTTP_PROXY_DISCOVERY_TIMEOUT_MS, 5000), 100),
+  };
+
+  if (provider === "file" && !config.file) throw new Error("discovery file: thiếu ENV_HTTP_PROXY_DISCOVERY_FILE");
+  if (provider === "http" && !config.url) throw new Error("discovery http: thiếu ENV_HTTP_PROXY_DISCOVERY_URL");
+  if (provider === "dns" && !config.srv) throw new Error("discovery dns: thiếu ENV_HTTP_PROXY_DISCOVERY_SRV");
+  if (provider === "dns" && !["http", "https"].includes(config.srvScheme)) {
+    throw new Error(`ENV_HTTP_PROXY_DISCOVERY_SRV_SCHEME không hợp lệ: ${config.srvScheme}`);
+  }
+  return config;
+}
+
+// tách document (file / HTTP) theo section; không có key worker-stats => cả document là worker-stats
+function splitDocument(doc, paths) {
+  const src = doc && typeof doc === "object" && !Array.isArray(doc) ? doc : {};
+  if (!(paths.workers in src)) return { workers: src, routes: null, config: null, overrides: null };
+
+  const out = {};
+  for (const section of SECTIONS) out[section] = src[paths[section]] === undefined ? null : src[paths[section]];
+  return out;
+}
+
+function parseDocument(text, file) {
+  if (/\.ya?ml$/i.test(file || "")) {
+    // js-yaml chỉ cần khi dùng file YAML
+    return require("js-yaml").load(text);
+  }
+  return text.trim() ? JSON.parse(text) : {};
+}
+
+// ========================================
+// 🔥 Firebase RTDB
+// ========================================
+class FirebaseDiscovery {
+  /**
+   * @param {object} db - admin.database()
+   * @param {{ workers: string, routes: string, config: string, overrides: string }} paths
+   */
+  constructor(db, paths) {
+    this.name = "firebase";
+    this.paths = paths;
+    this.refs = {};
+    for (const section of SECTIONS) this.refs[section] = db.ref(paths[section]);
+    this.connectedRef = db.ref(".info/connected");
+    this.connected = false;
+    this.connectedChangedAt = null;
+  }
+
+  /**
+   * @param {object} handlers - { workers, routes, config, overrides }(value) + error(section, err)
+   */
+  start(handlers) {
+    this.connectedRef.on("value", (snapshot) => {
+      const connected = snapshot.val() === true;
+      if (connected === this.connected) return;
+      if (connected) console.log("🔌 Firebase RTDB: đã kết nối");
+      else if (this.connectedChangedAt) console.warn("🔌 Firebase RTDB: mất kết nối (giữ pool hiện tại)");
+      this.connected = connected;
+      this.connectedChangedAt = Date.now();
+    });
+
+    for (const section of SECTIONS) {
+      this.refs[section].on(
+        "value",
+        (snapshot) => handlers[section](snapshot.val()),
+        (err) => handlers.error(section, err)
+      );
+    }
+  }
+
+  stop() {
+    this.connectedRef.off();
+    for (const ref of Object.values(this.refs)) ref.off();
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  // đọc lại toàn bộ 1 lần (admin resync), không chờ on(value)
+  async read() {
+    const snaps = await Promise.all(SECTIONS.map((section) => this.refs[section].once("value")));
+    return Object.fromEntries(SECTIONS.map((section, i) => [section, snaps[i].val()]));
+  }
+
+  // ghi override để các instance khác nhận qua on(value); null = xóa
+  async saveOverride(key, value) {
+    const ref = this.refs.overrides.child(key);
+    if (value === null) await ref.remove();
+    else await ref.set(value);
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      paths: this.paths,
+      connected: this.connected,
+      connected_changed_at: this.connectedChangedAt ? new Date(this.connectedChangedAt).toISOString() : null,
+    };
+  }
+}
+
+// ========================================
+// 📄 / 🌐 / 🧭 Provider đọc cả snapshot 1 lần (file, http, dns)
+// ========================================
+class SnapshotDiscovery {
+  constructor(name, paths) {
+    this.name = name;
+    this.paths = paths;
+    this.handlers = null;
+    this.last = {}; // section -> JSON đã đẩy gần nhất (không đẩy lại khi không đổi)
+    this.lastLoadedAt = null;
+    this.lastError = null;
+    this.loading = null;
+  }
+
+  start(handlers) {
+    this.handlers = handlers;
+    this.refresh();
+    this._watch();
+  }
+
+  stop() {
+    this.handlers = null;
+  }
+
+  // => { workers, routes, config, overrides } | undefined (nguồn báo không đổi)
+  async _load() {
+    throw new Error("not implemented");
+  }
+
+  _watch() {}
+
+  async read() {
+    const doc = await this._load(true);
+    return doc || splitDocument({}, this.paths);
+  }
+
+  // đọc nguồn + đẩy section nào đổi; chồng lệnh => dùng chung lần đọc đang chạy
+  refresh() {
+    if (!this.loading) {
+      this.loading = this._load(false)
+        .then(
+          (doc) => {
+            this.lastError = null;
+            this.lastLoadedAt = Date.now();
+            if (doc && this.handlers) this._emit(doc);
+          },
+          (err) => {
+            this.lastError = err.message;
+            if (this.handlers) this.handlers.error("workers", err);
+          }
+        )
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  _emit(doc) {
+    for (const section of SECTIONS) {
+      const json = JSON.stringify(doc[section] === undefined ? null : doc[section]);
+      if (this.last[section] === json) continue;
+      this.last[section] = json;
+      this.handlers[section](doc[section] === undefined ? null : doc[section]);
+    }
+  }
+
+  // lần đọc gần nhất thành công (HTTP 304 cũng tính)
+  isConnected() {
+    return this.lastLoadedAt !== null && !this.lastError;
+  }
+
+  // nguồn chỉ đọc => override chỉ áp dụng trong RAM
+  async saveOverride() {}
+
+  describe() {
+    return {
+      provider: this.name,
+      connected: this.isConnected(),
+      last_loaded_at: this.lastLoadedAt ? new Date(this.lastLoadedAt).toISOString() : null,
+      last_error: this.lastError,
+    };
+  }
+}
+
+class FileDiscovery extends SnapshotDiscovery {
+  constructor(config, paths) {
+    super("file", paths);
+    this.file = config.file;
+    this.intervalMs = config.intervalMs;
+    this.watching = false;
+  }
+
+  async _load() {
+    const text = await fs.promises.readFile(this.file, "utf8");
+    try {
+      return splitDocument(parseDocument(text, this.file), this.paths);
+    } catch (e) {
+      throw new Error(`${path.basename(this.file)}: ${e.message.split("\n")[0]}`);
+    }
+  }
+
+  _watch() {
+    this.watching = true;
+    fs.watchFile(this.file, { interval: this.intervalMs, persistent: false }, (cur, prev) => {
+      if (cur.mtimeMs !== prev.mtimeMs || cur.size !== prev.size) this.refresh();
+    });
+  }
+
+  stop() {
+    super.stop();
+    if (this.watching) fs.unwatchFile(this.file);
+    this.watching = false;
+  }
+
+  describe() {
+    return { ...super.describe(), file: this.file };
+  }
+}
+
+class HttpDiscovery extends SnapshotDiscovery {
+  constructor(config, paths) {
+    super("http", paths);
+    this.url = config.url;
+    this.token = config.token;
+    this.intervalMs = config.intervalMs;
+    this.timeoutMs = config.timeoutMs;
+    this.etag = null;
+    this.timer = null;
+  }
+
+  // force = bỏ ETag (admin resync cần body đầy đủ)
+  _load(force) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(this.url);
+      const client = url.protocol === "https:" ? https : http;
+      const headers = { accept: "application/json", "user-agent": "http-proxy-listener-discovery" };
+      if (this.token) headers.authorization = `Bearer ${this.token}`;
+      if (this.etag && !force) headers["if-none-match"] = this.etag;
+
+      const req = client.get(url, { headers, timeout: this.timeoutMs }, (res) => {
+        if (res.statusCode === 304) {
+          res.resume();
+          resolve(undefined);
+          return;
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`${this.url}: HTTP ${res.statusCode}`));
+          return;
+        }
+
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("error", reject);
+        res.on("end", () => {
+          try {
+            const doc = splitDocument(parseDocument(Buffer.concat(chunks).toString("utf8")), this.paths);
+            this.etag = res.headers.etag || null;
+            resolve(doc);
+          } catch (e) {
+            reject(new Error(`${this.url}: ${e.message}`));
+          }
+        });
+      });
+
+      req.on("timeout", () => req.destroy(new Error(`${this.url}: timeout ${this.timeoutMs}ms`)));
+      req.on("error", reject);
+    });
+  }
+
+  _watch() {
+    this.timer = setInterval(() => this.refresh(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    super.stop();
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  describe() {
+    return { ...super.describe(), url: this.url, etag: this.etag };
+  }
+}
+
+class DnsSrvDiscovery extends SnapshotDiscovery {
+  constructor(config, paths) {
+    super("dns", paths);
+    this.srv = config.srv;
+    this.scheme = config.srvScheme;
+    this.intervalMs = config.intervalMs;
+    this.firstSeen = new Map(); // key -> timestamp lần đầu thấy (làm upload_at, giữ thứ tự RR ổn định)
+    this.timer = null;
+  }
+
+  async _load() {
+    const records = await dns.promises.resolveSrv(this.srv);
+    // SRV: priority nhỏ hơn được dùng trước, priority lớn hơn chỉ là dự phòng
+    const minPriority = Math.min(...records.map((r) => r.priority));
+    const workers = {};
+
+    for (const r of records) {
+      if (r.priority !== minPriority) continue;
+      const target = r.name.replace(/\.$/, "");
+      const key = `${target}:${r.port}`;
+      if (!this.firstSeen.has(key)) this.firstSeen.set(key, Date.now());
+      workers[key] = {
+        url: `${this.scheme}://${target}:${r.port}`,
+        upload_at: this.firstSeen.get(key),
+        weight: r.weight || 1,
+      };
+    }
+
+    for (const key of this.firstSeen.keys()) if (!workers[key]) this.firstSeen.delete(key);
+    return splitDocument({ [this.paths.workers]: workers }, this.paths);
+  }
+
+  _watch() {
+    this.timer = setInterval(() => this.refresh(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    super.stop();
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  describe() {
+    return { ...super.describe(), srv: this.srv, scheme: this.scheme };
+  }
+}
+
+/**
+ * @param {object} config - loadDiscoveryConfig()
+ * @param {{ workers: string, routes: string, config: string, overrides: string }} paths - path RTDB / key trong file
+ * @param {object|null} db - admin.database() (chỉ provider firebase cần)
+ */
+function createDiscovery(config, paths, db = null) {
+  switch (config.provider) {
+    case "firebase":
+      return new FirebaseDiscovery(db, paths);
+    case "file":
+      return new FileDiscovery(config, paths);
+    case "http":
+      return new HttpDiscovery(config, paths);
+    case "dns":
+      return new DnsSrvDiscovery(config, paths);
+    default:
+      throw new Error(`discovery provider không hỗ trợ: ${config.provider}`);
+  }
+}
+
+module.exports = { loadDiscoveryConfig, createDiscovery };
@@ -0,0 +1,288 @@
+// proxyHeaders.js
+// Nghiệp vụ: Sửa header request / response + CORS cho http-proxy-listener
+// - header : set (ghi đè), add (nối thêm), remove — cho request gửi worker (sau X-Forwarded-*) và response trả client
+// - CORS   : trả preflight (OPTIONS) ngay tại proxy, không tới worker; gắn header CORS cho response thật (kể cả cache / 502 / 429)
+// - hide_worker: không để lộ worker key / version cho client (x-proxy-tried, x-proxy-worker*, /health chỉ còn tóm tắt)
+// Thứ tự: policy chung (proxy-config) trước, policy của route (worker-routes/rules/<id>) sau; "cors" của route thay hẳn cors chung.
+//
+// Firebase proxy-config (hot reload, ghi đè ENV):
+// {
+//   "headers": {
+//     "request":  { "set": { "x-env": "prod" }, "remove": ["x-forwarded-host"] },
+//     "response": { "set": { "strict-transport-security": "max-age=31536000" }, "add": { "x-served-by": "tlt14" }, "remove": ["x-powered-by"] }
+//   },
+//   "cors": {
+//     "origins": ["https://app.tlt14.dpdns.org", "https://*.tlt14.dpdns.org"],   // "*" = mọi origin
+//     "methods": ["GET", "POST"],                      // default: GET, HEAD, POST, PUT, PATCH, DELETE
+//     "headers": ["content-type", "authorization"],    // header client được gửi (default: theo Access-Control-Request-Headers)
+//     "expose_headers": ["x-request-id"],
+//     "credentials": false,
+//     "max_age": 600
+//   },
+//   "hide_worker": true
+// }
+// worker-routes/rules/<id> nhận thêm "headers" (cùng dạng) và "cors" (cùng dạng, false = tắt CORS cho route).
+//
+// Env:
+// - ENV_HTTP_PROXY_HIDE_WORKER  : 1 = ẩn worker key / version với client (default: 0)
+// - ENV_HTTP_PROXY_CORS_ORIGINS : origin cách nhau dấu phẩy, "*" = mọi origin (default: không bật CORS)
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+const DEFAULT_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"];
+const HIDDEN_RESPONSE_HEADERS = ["x-proxy-tried", "x-proxy-worker", "x-proxy-worker-version"];
+const EMPTY_OPS = { set: [], add: [], remove: [] };
+
+function toList(v) {
+  if (v === undefined || v === null || v === false) return [];
+  if (Array.isArray(v)) return v.filter((x) => x !== null && x !== undefined);
+  if (typeof v === "object") return Object.values(v).filter((x) => x !== null && x !== undefined);
+  return String(v)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function headerName(name, label) {
+  const h = String(name).trim().toLowerCase();
+  if (!HEADER_NAME.test(h)) throw new Error(`${label}: tên header không hợp lệ: ${name}`);
+  return h;
+}
+
+function headerPairs(raw, label) {
+  if (!raw) return [];
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error(`${label}: phải là object { header: value }`);
+  return Object.entries(raw)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([name, v]) => {
+      const value = String(v);
+      if (/[\r\n]/.test(value)) throw new Error(`${label}.${name}: value không được xuống dòng`);
+      return [headerName(name, label), value];
+    });
+}
+
+function normalizeOps(raw, label) {
+  if (!raw) return EMPTY_OPS;
+  if (typeof raw !== "object") throw new Error(`${label}: phải là object`);
+  return {
+    set: headerPairs(raw.set, `${label}.set`),
+    add: headerPairs(raw.add, `${label}.add`),
+    remove: toList(raw.remove).map((h) => headerName(h, `${label}.remove`)),
+  };
+}
+
+// { request, response } — throw nếu sai định dạng
+function normalizeHeaderPolicy(raw, label = "headers") {
+  const src = raw && typeof raw === "object" ? raw : {};
+  return { request: normalizeOps(src.request, `${label}.request`), response: normalizeOps(src.response, `${label}.response`) };
+}
+
+function originMatcher(origin) {
+  const escaped = String(origin)
+    .trim()
+    .toLowerCase()
+    .replace(/\/+$/, "")
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/]*");
+  return new RegExp(`^${escaped}$`);
+}
+
+// false = tắt CORS, null = không cấu hình — throw nếu sai định dạng
+function normalizeCorsPolicy(raw, label = "cors") {
+  if (raw === false) return false;
+  if (!raw) return null;
+  if (typeof raw !== "object") throw new Error(`${label}: phải là object hoặc false`);
+
+  const origins = toList(raw.origins).map((o) => String(o).trim());
+  if (origins.length === 0) throw new Error(`${label}: thiếu "origins"`);
+
+  const maxAge = raw.max_age !== undefined ? Number(raw.max_age) : 600;
+  if (!Number.isFinite(maxAge) || maxAge < 0) throw new Error(`${label}.max_age không hợp lệ: ${raw.max_age}`);
+
+  return {
+    origins,
+    anyOrigin: origins.includes("*"),
+    matchers: origins.filter((o) => o !== "*").map(originMatcher),
+    methods: (raw.methods ? toList(raw.methods) : DEFAULT_METHODS).map((m) => String(m).trim().toUpperCase()),
+    headers: raw.headers ? toList(raw.headers).map((h) => headerName(h, `${label}.headers`)) : null,
+    exposeHeaders: toList(raw.expose_headers).map((h) => headerName(h, `${label}.expose_headers`)),
+    credentials: raw.credentials === true || raw.credentials === "true",
+    maxAge: Math.floor(maxAge),
+  };
+}
+
+function loadHeaderConfig(env = process.env) {
+  let cors = null;
+  if (env.ENV_HTTP_PROXY_CORS_ORIGINS) {
+    try {
+      cors = normalizeCorsPolicy({ origins: env.ENV_HTTP_PROXY_CORS_ORIGINS });
+    } catch (e) {
+      console.warn(`⚠️  ENV_HTTP_PROXY_CORS_ORIGINS: ${e.message}, tắt CORS`);
+    }
+  }
+
+  return {
+    headers: normalizeHeaderPolicy({}),
+    cors,
+    hideWorker: env.ENV_HTTP_PROXY_HIDE_WORKER === "1" || env.ENV_HTTP_PROXY_HIDE_WORKER === "true",
+  };
+}
+
+// cfg = proxy-config; field không có thì lấy từ fallback (ENV)
+function normalizeHeaderConfig(cfg, fallback) {
+  const src = cfg && typeof cfg === "object" ? cfg : {};
+  return {
+    headers: src.headers !== undefined && src.headers !== null ? normalizeHeaderPolicy(src.headers) : fallback.headers,
+    cors: src.cors !== undefined && src.cors !== null ? normalizeCorsPolicy(src.cors) : fallback.cors,
+    hideWorker: src.hide_worker !== undefined && src.hide_worker !== null ? src.hide_worker === true || src.hide_worker === "true" : fallback.hideWorker,
+  };
+}
+
+// policy hiệu lực cho 1 request: chung + route
+function resolvePolicy(config, rule) {
+  const routeHeaders = rule && rule.headers;
+  const routeCors = rule && rule.cors !== null && rule.cors !== undefined ? rule.cors : undefined;
+  return {
+    request: routeHeaders ? [config.headers.request, routeHeaders.request] : [config.headers.request],
+    response: routeHeaders ? [config.headers.response, routeHeaders.response] : [config.headers.response],
+    cors: routeCors !== undefined ? routeCors || null : config.cors,
+    hideWorker: config.hideWorker,
+  };
+}
+
+function applyOps(target, ops) {
+  for (const h of ops.remove) target.removeHeader(h);
+  for (const [h, v] of ops.set) target.setHeader(h, v);
+  for (const [h, v] of ops.add) {
+    const prev = target.getHeader(h);
+    target.setHeader(h, prev === undefined ? v : [].concat(prev, v));
+  }
+}
+
+// proxyReq (ClientRequest tới worker) đã có X-Forwarded-* => rule remove được cả header do proxy thêm
+function applyRequestPolicy(proxyReq, policy) {
+  if (!policy || proxyReq.headersSent) return;
+  for (const ops of policy.request) applyOps(proxyReq, ops);
+}
+
+function allowedOrigin(req, cors) {
+  const origin = req.headers.origin;
+  if (!cors || !origin) return null;
+  if (cors.anyOrigin) return cors.credentials ? origin : "*";
+  const o = String(origin).toLowerCase();
+  return cors.matchers.some((re) => re.test(o)) ? origin : null;
+}
+
+function appendVary(res, value) {
+  const prev = res.getHeader("vary");
+  const list = prev ? String(prev).split(",").map((s) => s.trim().toLowerCase()) : [];
+  if (list.includes("*") || list.includes(value.toLowerCase())) return;
+  res.setHeader("vary", prev ? `${prev}, ${value}` : value);
+}
+
+function applyCors(req, res, cors) {
+  for (const h of res.getHeaderNames()) {
+    if (h.startsWith("access-control-")) res.removeHeader(h); // policy của proxy là nguồn duy nhất
+  }
+
+  const origin = allowedOrigin(req, cors);
+  if (!cors.anyOrigin || cors.credentials) appendVary(res, "Origin");
+  if (!origin) return;
+
+  res.setHeader("access-control-allow-origin", origin);
+  if (cors.credentials) res.setHeader("access-control-allow-credentials", "true");
+  if (cors.exposeHeaders.length) res.setHeader("access-control-expose-headers", cors.exposeHeaders.join(", "));
+}
+
+/**
+ * Gắn policy vào res: mọi đường ghi header (http-proxy, cache, 502 / 503 / 429) đều đi qua res.writeHead.
+ */
+function applyResponsePolicy(req, res, policy) {
+  const hasOps = policy.response.some((ops) => ops.set.length || ops.add.length || ops.remove.length);
+  if (!hasOps && !policy.cors && !policy.hideWorker) return;
+
+  const writeHead = res.writeHead;
+  res.writeHead = function (statusCode, ...args) {
+    // writeHead(status, [statusMessage], [headers]) => dồn headers vào res để policy xử lý chung 1 chỗ
+    const headers = args.length && args[args.length - 1] && typeof args[args.length - 1] === "object" ? args.pop() : null;
+    if (headers && !this.headersSent) {
+      for (const [h, v] of Object.entries(headers)) if (v !== undefined) this.setHeader(h, v);
+    }
+
+    if (!this.headersSent) {
+      if (policy.hideWorker) for (const h of HIDDEN_RESPONSE_HEADERS) this.removeHeader(h);
+      for (const ops of policy.response) applyOps(this, ops);
+      if (policy.cors) applyCors(req, this, policy.cors);
+    }
+    return writeHead.call(this, statusCode, ...args);
+  };
+}
+
+function isPreflight(req) {
+  return req.method === "OPTIONS" && Boolean(req.headers.origin) && Boolean(req.headers["access-control-request-method"]);
+}
+
+// trả preflight tại proxy; origin / method không được phép => 403
+function sendPreflight(req, res, cors) {
+  const origin = allowedOrigin(req, cors);
+  const method = String(req.headers["access-control-request-method"]).trim().toUpperCase();
+
+  if (!origin || !cors.methods.includes(method)) {
+    res.writeHead(403, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Forbidden", message: "CORS: origin hoặc method không được phép" }));
+    return;
+  }
+
+  const headers = {
+    "access-control-allow-methods": cors.methods.join(", "),
+    "access-control-max-age": String(cors.maxAge),
+    "content-length": "0",
+  };
+  const requested = req.headers["access-control-request-headers"];
+  const allowHeaders = cors.headers ? cors.headers.join(", ") : requested;
+  if (allowHeaders) headers["access-control-allow-headers"] = allowHeaders;
+  if (!cors.headers && requested) appendVary(res, "Access-Control-Request-Headers");
+
+  // access-control-allow-origin / credentials / vary: Origin do applyResponsePolicy gắn
+  res.writeHead(204, headers);
+  res.end();
+}
+
+function describeOps(ops) {
+  return { set: Object.fromEntries(ops.set), add: Object.fromEntries(ops.add), remove: ops.remove };
+}
+
+function describeHeaderPolicy(policy) {
+  return { request: describeOps(policy.request), response: describeOps(policy.response) };
+}
+
+function describeCorsPolicy(cors) {
+  if (!cors) return cors;
+  return {
+    origins: cors.origins,
+    methods: cors.methods,
+    headers: cors.headers,
+    expose_headers: cors.exposeHeaders,
+    credentials: cors.credentials,
+    max_age: cors.maxAge,
+  };
+}
+
+function describeHeaderConfig(config) {
+  return { headers: describeHeaderPolicy(config.headers), cors: describeCorsPolicy(config.cors), hide_worker: config.hideWorker };
+}
+
+module.exports = {
+  loadHeaderConfig,
+  normalizeHeaderConfig,
+  normalizeHeaderPolicy,
+  normalizeCorsPolicy,
+  resolvePolicy,
+  applyRequestPolicy,
+  applyResponsePolicy,
+  isPreflight,
+  sendPreflight,
+  describeHeaderConfig,
+  describeHeaderPolicy,
+  describeCorsPolicy,
+};
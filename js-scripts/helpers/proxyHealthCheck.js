@@ -0,0 +1,209 @@
+// proxyHealthCheck.js
+// Nghiệp vụ: Active health check cho worker của http-proxy-listener
+// - Probe định kỳ từng worker (GET <url><path>)
+// - Sau N lần fail liên tiếp => unhealthy (ra khỏi rotation)
+// - Sau M lần ok liên tiếp => healthy (vào lại rotation)
+//
+// Env:
+// - ENV_HTTP_PROXY_HC_ENABLED             : "0" để tắt (default: 1)
+// - ENV_HTTP_PROXY_HC_PATH                : path để probe (default: /)
+// - ENV_HTTP_PROXY_HC_INTERVAL_MS         : chu kỳ probe (default: 10000)
+// - ENV_HTTP_PROXY_HC_TIMEOUT_MS          : timeout mỗi lần probe (default: 3000)
+// - ENV_HTTP_PROXY_HC_HEALTHY_THRESHOLD   : số lần ok liên tiếp để healthy lại (default: 2)
+// - ENV_HTTP_PROXY_HC_UNHEALTHY_THRESHOLD : số lần fail liên tiếp để unhealthy (default: 3)
+// - ENV_HTTP_PROXY_HC_MAX_STATUS          : status >= giá trị này tính là fail (default: 500)
+
+const { probeOnce } = require("./httpProbe");
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadHealthCheckConfig(env = process.env) {
+  return {
+    enabled: env.ENV_HTTP_PROXY_HC_ENABLED !== "0",
+    path: env.ENV_HTTP_PROXY_HC_PATH || "/",
+    intervalMs: Math.max(toInt(env.ENV_HTTP_PROXY_HC_INTERVAL_MS, 10000), 500),
+    timeoutMs: Math.max(toInt(env.ENV_HTTP_PROXY_HC_TIMEOUT_MS, 3000), 100),
+    healthyThreshold: Math.max(toInt(env.ENV_HTTP_PROXY_HC_HEALTHY_THRESHOLD, 2), 1),
+    unhealthyThreshold: Math.max(toInt(env.ENV_HTTP_PROXY_HC_UNHEALTHY_THRESHOLD, 3), 1),
+    maxStatus: toInt(env.ENV_HTTP_PROXY_HC_MAX_STATUS, 500),
+  };
+}
+
+// ghép path health vào sau path của worker (http://host/app/ + /healthz => http://host/app/healthz)
+function healthUrl(workerUrl, healthPath) {
+  const url = new URL(workerUrl);
+  const [p, query] = String(healthPath || "/").split("?");
+  url.pathname = `${url.pathname.replace(/\/+$/, "")}/${p.replace(/^\/+/, "")}`;
+  url.search = query === undefined ? "" : `?${query}`;
+  return url.toString();
+}
+
+// worker mới: "unknown" vẫn được nhận traffic cho tới khi probe fail đủ ngưỡng
+function newState() {
+  return {
+    status: "unknown",
+    consecutiveOk: 0,
+    consecutiveFail: 0,
+    lastCheckAt: null,
+    lastStatusCode: null,
+    lastLatencyMs: null,
+    lastError: null,
+    changedAt: Date.now(),
+  };
+}
+
+class WorkerHealthChecker {
+  /**
+   * @param {() => Array<{key: string, url: string}>} getWorkers - danh sách worker hiện tại (lấy từ WorkerPool)
+   * @param {object} config - xem loadHealthCheckConfig()
+   * @param {(key: string, state: object) => void} [onChange] - gọi khi worker đổi trạng thái healthy/unhealthy
+   */
+  constructor(getWorkers, config = loadHealthCheckConfig(), onChange = null) {
+    this.getWorkers = getWorkers;
+    this.config = config;
+    this.onChange = onChange;
+
+    this.states = new Map(); // key -> health state
+    this.inFlight = new Set(); // key đang probe (tránh chồng probe)
+    this.timer = null;
+    this.tlsOptions = null;
+  }
+
+  setTlsOptions(tlsOptions) {
+    this.tlsOptions = tlsOptions;
+  }
+
+  _ensureState(key) {
+    let s = this.states.get(key);
+    if (!s) {
+      s = newState();
+      this.states.set(key, s);
+    }
+    return s;
+  }
+
+  _setStatus(key, s, status) {
+    if (s.status === status) return;
+    const prev = s.status;
+    s.status = status;
+    s.changedAt = Date.now();
+    if (this.onChange) this.onChange(key, { ...s, prev });
+  }
+
+  _record(key, result) {
+    const s = this._ensureState(key);
+    const healthy = result.ok && result.statusCode < this.config.maxStatus;
+
+    s.lastCheckAt = Date.now();
+    s.lastStatusCode = result.statusCode;
+    s.lastLatencyMs = result.latencyMs;
+    s.lastError = healthy ? null : result.error || `status ${result.statusCode}`;
+
+    if (healthy) {
+      s.consecutiveOk += 1;
+      s.consecutiveFail = 0;
+      // unknown -> healthy ngay lần ok đầu tiên, unhealthy thì phải đủ ngưỡng
+      if (s.status === "unknown" || s.consecutiveOk >= this.config.healthyThreshold) this._setStatus(key, s, "healthy");
+    } else {
+      s.consecutiveFail += 1;
+      s.consecutiveOk = 0;
+      if (s.consecutiveFail >= this.config.unhealthyThreshold) this._setStatus(key, s, "unhealthy");
+    }
+  }
+
+  async checkWorker(worker) {
+    if (!worker || !worker.url || this.inFlight.has(worker.key)) return;
+
+    this.inFlight.add(worker.key);
+    try {
+      let target;
+      try {
+        target = healthUrl(worker.url, this.config.path);
+      } catch (e) {
+        target = worker.url;
+      }
+      const result = await probeOnce(target, this.config.timeoutMs, this.tlsOptions);
+
+      // worker có thể đã bị xóa trong lúc probe
+      if (!this._hasWorker(worker.key)) return;
+      this._record(worker.key, result);
+    } finally {
+      this.inFlight.delete(worker.key);
+    }
+  }
+
+  _hasWorker(key) {
+    return this.getWorkers().some((w) => w.key === key);
+  }
+
+  async checkAll() {
+    const workers = this.getWorkers();
+    const keys = new Set(workers.map((w) => w.key));
+
+    // dọn state của worker đã bị xóa
+    for (const key of Array.from(this.states.keys())) {
+      if (!keys.has(key)) this.states.delete(key);
+    }
+
+    await Promise.all(workers.map((w) => this.checkWorker(w)));
+  }
+
+  start() {
+    if (!this.config.enabled || this.timer) return;
+
+    const tick = () => this.checkAll().catch((e) => console.error("❌ Health check error:", e.message));
+
+    this.timer = setInterval(tick, this.config.intervalMs);
+    // không giữ process sống chỉ vì health check
+    if (this.timer.unref) this.timer.unref();
+    tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // unknown/healthy => còn trong rotation; tắt health check => luôn true
+  isHealthy(key) {
+    if (!this.config.enabled) return true;
+    const s = this.states.get(key);
+    return !s || s.status !== "unhealthy";
+  }
+
+  getState(key) {
+    if (!this.config.enabled) return { status: "disabled" };
+    // chỉ đọc (/health, /metrics) => không tạo state
+    const s = this.states.get(key) || newState();
+    return {
+      status: s.status,
+      consecutive_ok: s.consecutiveOk,
+      consecutive_fail: s.consecutiveFail,
+      last_check_at: s.lastCheckAt ? new Date(s.lastCheckAt).toISOString() : null,
+      last_status_code: s.lastStatusCode,
+      last_latency_ms: s.lastLatencyMs,
+      last_error: s.lastError,
+      changed_at: new Date(s.changedAt).toISOString(),
+    };
+  }
+
+  describe() {
+    const { enabled, path, intervalMs, timeoutMs, healthyThreshold, unhealthyThreshold, maxStatus } = this.config;
+    return {
+      enabled,
+      path,
+      interval_ms: intervalMs,
+      timeout_ms: timeoutMs,
+      healthy_threshold: healthyThreshold,
+      unhealthy_threshold: unhealthyThreshold,
+      max_status: maxStatus,
+    };
+  }
+}
+
+module.exports = { WorkerHealthChecker, loadHealthCheckConfig };
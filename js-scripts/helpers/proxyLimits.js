@@ -0,0 +1,325 @@
+// proxyLimits.js
+// Nghiệp vụ: Giới hạn kích thước / thời gian cho http-proxy-listener (chống slowloris, body quá lớn, worker treo)
+// Phía client:
+// - header quá lớn           => 431 header_too_large
+// - gửi header quá chậm      => 408 header_timeout (slowloris)
+// - body ngừng gửi quá lâu   => 408 body_timeout
+// - body quá lớn             => 413 body_too_large (Content-Length báo trước thì từ chối ngay, chunked thì cắt khi vượt)
+// - kết nối im lặng quá lâu  => đóng kết nối (idle_timeout)
+// Phía worker:
+// - không kết nối TCP kịp    => 504 upstream_connect_timeout
+// - nhận đủ request mà chưa trả header response kịp => 504 upstream_response_timeout
+// WebSocket:
+// - không có byte nào 2 chiều quá lâu => close frame 1001 (ws_idle_timeout)
+// - ping định kỳ khi client im lặng, không thấy phản hồi => cắt kết nối (ws_ping_timeout)
+// Mỗi loại có body JSON riêng ({ error, reason, message, ... }) + metric proxy_limit_exceeded_total{reason, side}.
+//
+// Env (0 = tắt):
+// - ENV_HTTP_PROXY_MAX_HEADER_BYTES               : tổng dung lượng header request (default: 16384)
+// - ENV_HTTP_PROXY_HEADERS_TIMEOUT_MS             : thời gian tối đa nhận xong header (default: 20000)
+// - ENV_HTTP_PROXY_BODY_TIMEOUT_MS                : khoảng lặng tối đa giữa 2 chunk body (default: 30000)
+// - ENV_HTTP_PROXY_MAX_BODY_BYTES                 : body request tối đa (default: 0)
+// - ENV_HTTP_PROXY_IDLE_TIMEOUT_MS                : kết nối không có byte nào quá lâu thì đóng (default: 0)
+// - ENV_HTTP_PROXY_KEEPALIVE_TIMEOUT_MS           : giữ kết nối keep-alive rảnh giữa 2 request (default: 5000)
+// - ENV_HTTP_PROXY_UPSTREAM_CONNECT_TIMEOUT_MS    : timeout kết nối TCP tới worker (default: 5000)
+// - ENV_HTTP_PROXY_UPSTREAM_RESPONSE_TIMEOUT_MS   : timeout chờ header response sau khi gửi xong request (default: 0)
+// - ENV_HTTP_PROXY_WS_IDLE_TIMEOUT_MS             : WebSocket không có byte nào quá lâu thì đóng (default: 0)
+// - ENV_HTTP_PROXY_WS_PING_INTERVAL_MS            : client im lặng quá lâu thì proxy gửi ping (default: 0)
+// - ENV_HTTP_PROXY_WS_PING_TIMEOUT_MS             : chờ client phản hồi sau ping (default: 10000)
+// (ENV_HTTP_PROXY_UPSTREAM_TIMEOUT_MS của proxyRetry.js vẫn là timeout socket worker im lặng giữa chừng)
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadLimitsConfig(env = process.env) {
+  return {
+    maxHeaderBytes: toInt(env.ENV_HTTP_PROXY_MAX_HEADER_BYTES, 16384),
+    headersTimeoutMs: toInt(env.ENV_HTTP_PROXY_HEADERS_TIMEOUT_MS, 20000),
+    bodyTimeoutMs: toInt(env.ENV_HTTP_PROXY_BODY_TIMEOUT_MS, 30000),
+    maxBodyBytes: toInt(env.ENV_HTTP_PROXY_MAX_BODY_BYTES, 0),
+    idleTimeoutMs: toInt(env.ENV_HTTP_PROXY_IDLE_TIMEOUT_MS, 0),
+    keepAliveTimeoutMs: toInt(env.ENV_HTTP_PROXY_KEEPALIVE_TIMEOUT_MS, 5000),
+    upstreamConnectTimeoutMs: toInt(env.ENV_HTTP_PROXY_UPSTREAM_CONNECT_TIMEOUT_MS, 5000),
+    upstreamResponseTimeoutMs: toInt(env.ENV_HTTP_PROXY_UPSTREAM_RESPONSE_TIMEOUT_MS, 0),
+    wsIdleTimeoutMs: toInt(env.ENV_HTTP_PROXY_WS_IDLE_TIMEOUT_MS, 0),
+    wsPingIntervalMs: toInt(env.ENV_HTTP_PROXY_WS_PING_INTERVAL_MS, 0),
+    wsPingTimeoutMs: Math.max(toInt(env.ENV_HTTP_PROXY_WS_PING_TIMEOUT_MS, 10000), 100),
+  };
+}
+
+function describeLimitsConfig(config) {
+  return {
+    max_header_bytes: config.maxHeaderBytes || null,
+    headers_timeout_ms: config.headersTimeoutMs || null,
+    body_timeout_ms: config.bodyTimeoutMs || null,
+    max_body_bytes: config.maxBodyBytes || null,
+    idle_timeout_ms: config.idleTimeoutMs || null,
+    keep_alive_timeout_ms: config.keepAliveTimeoutMs,
+    upstream_connect_timeout_ms: config.upstreamConnectTimeoutMs || null,
+    upstream_response_timeout_ms: config.upstreamResponseTimeoutMs || null,
+    ws_idle_timeout_ms: config.wsIdleTimeoutMs || null,
+    ws_ping_interval_ms: config.wsPingIntervalMs || null,
+    ws_ping_timeout_ms: config.wsPingIntervalMs ? config.wsPingTimeoutMs : null,
+  };
+}
+
+// reason => status + body + giới hạn đã vượt (side: client | upstream, để biết lỗi do client hay do worker)
+// status null = không trả HTTP response (đóng kết nối / close frame WebSocket)
+const LIMITS = {
+  header_too_large: {
+    status: 431,
+    side: "client",
+    limit: ["maxHeaderBytes", "bytes"],
+    error: "Request Header Fields Too Large",
+    message: "Header request quá lớn",
+  },
+  header_timeout: {
+    status: 408,
+    side: "client",
+    limit: ["headersTimeoutMs", "ms"],
+    error: "Request Timeout",
+    message: "Gửi header quá chậm",
+  },
+  body_timeout: { status: 408, side: "client", limit: ["bodyTimeoutMs", "ms"], error: "Request Timeout", message: "Gửi body quá chậm" },
+  body_too_large: {
+    status: 413,
+    side: "client",
+    limit: ["maxBodyBytes", "bytes"],
+    error: "Payload Too Large",
+    message: "Body request quá lớn",
+  },
+  idle_timeout: { status: null, side: "client", limit: ["idleTimeoutMs", "ms"], error: null, message: "Kết nối im lặng quá lâu" },
+  upstream_connect_timeout: {
+    status: 504,
+    side: "upstream",
+    limit: ["upstreamConnectTimeoutMs", "ms"],
+    error: "Gateway Timeout",
+    message: "Không kết nối được tới worker kịp thời",
+  },
+  upstream_response_timeout: {
+    status: 504,
+    side: "upstream",
+    limit: ["upstreamResponseTimeoutMs", "ms"],
+    error: "Gateway Timeout",
+    message: "Worker trả lời quá chậm",
+  },
+  ws_idle_timeout: { status: null, side: "client", limit: ["wsIdleTimeoutMs", "ms"], error: null, message: "WebSocket im lặng quá lâu" },
+  ws_ping_timeout: { status: null, side: "client", limit: ["wsPingTimeoutMs", "ms"], error: null, message: "Client không phản hồi ping" },
+};
+
+// code gắn vào Error khi proxy tự hủy request tới worker
+const UPSTREAM_TIMEOUT_CODES = {
+  UPSTREAM_CONNECT_TIMEOUT: "upstream_connect_timeout",
+  UPSTREAM_RESPONSE_TIMEOUT: "upstream_response_timeout",
+};
+
+function limitStatus(reason) {
+  return LIMITS[reason].status;
+}
+
+function limitSide(reason) {
+  return LIMITS[reason].side;
+}
+
+// lỗi từ proxy.web / proxy.ws là do timeout của proxy => reason, không thì null
+function upstreamTimeoutReason(err) {
+  return (err && UPSTREAM_TIMEOUT_CODES[err.code]) || null;
+}
+
+// body JSON, vd: { error: "Payload Too Large", reason: "body_too_large", message, limit_bytes: 1048576, request_id }
+function limitPayload(reason, reqId, config, extra = {}) {
+  const { error, message, limit } = LIMITS[reason];
+  const [key, unit] = limit;
+  return { error, reason, message, [`limit_${unit}`]: config[key], ...extra, request_id: reqId };
+}
+
+// res chưa ghi header; body chưa đọc hết => đóng kết nối sau response (HTTP/1.1)
+function sendLimitError(res, reason, reqId, config, extra = {}, closeConnection = false) {
+  const headers = { "Content-Type": "application/json" };
+  if (closeConnection && res.req && res.req.httpVersionMajor !== 2) headers.Connection = "close";
+  res.writeHead(limitStatus(reason), headers);
+  res.end(JSON.stringify(limitPayload(reason, reqId, config, extra)));
+}
+
+function timeoutError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Gắn connect / response timeout cho request tới worker (gọi trong proxy.on("proxyReq" | "proxyReqWs")).
+ * Hết giờ => proxyReq bị hủy với err.code UPSTREAM_*_TIMEOUT, http-proxy chuyển lỗi vào callback của proxy.web.
+ * @param {http.ClientRequest} proxyReq
+ * @param {{ connectTimeout?: number, responseTimeout?: number }} options - option đã truyền vào proxy.web / proxy.ws
+ */
+function applyUpstreamTimeouts(proxyReq, options) {
+  const { connectTimeout, responseTimeout } = options || {};
+  const timers = new Set();
+  const clearAll = () => {
+    for (const t of timers) clearTimeout(t);
+    timers.clear();
+  };
+  const arm = (ms, code, message) => {
+    const t = setTimeout(() => {
+      timers.delete(t);
+      proxyReq.destroy(timeoutError(code, message));
+    }, ms);
+    timers.add(t);
+    return t;
+  };
+
+  proxyReq.once("close", clearAll);
+
+  if (connectTimeout) {
+    proxyReq.once("socket", (socket) => {
+      if (!socket.connecting) return; // socket keep-alive đã kết nối sẵn
+      const t = arm(connectTimeout, "UPSTREAM_CONNECT_TIMEOUT", `kết nối worker quá ${connectTimeout}ms`);
+      socket.once("connect", () => {
+        clearTimeout(t);
+        timers.delete(t);
+      });
+    });
+  }
+
+  if (responseTimeout) {
+    // tính từ lúc gửi xong request (upload body chậm do client thì đã có body timeout lo)
+    proxyReq.once("finish", () => {
+      const t = arm(responseTimeout, "UPSTREAM_RESPONSE_TIMEOUT", `worker không trả response sau ${responseTimeout}ms`);
+      const done = () => {
+        clearTimeout(t);
+        timers.delete(t);
+      };
+      proxyReq.once("response", done);
+      proxyReq.once("upgrade", done);
+    });
+  }
+}
+
+// theo dõi ranh giới frame của luồng worker -> client (frame server gửi không mask)
+// => chỉ chèn ping khi không có frame nào đang ghi dở
+class WsFrameTracker {
+  constructor() {
+    this.header = Buffer.alloc(0); // byte header của frame đang đọc dở
+    this.remaining = 0; // byte payload còn lại của frame hiện tại
+  }
+
+  get atBoundary() {
+    return this.remaining === 0 && this.header.length === 0;
+  }
+
+  push(chunk) {
+    let i = 0;
+    while (i < chunk.length) {
+      if (this.remaining > 0) {
+        const take = Math.min(this.remaining, chunk.length - i);
+        this.remaining -= take;
+        i += take;
+        continue;
+      }
+
+      // header tối đa 14 byte, gom từng byte (header có thể bị cắt giữa 2 chunk)
+      this.header = Buffer.concat([this.header, chunk.subarray(i, i + 1)]);
+      i++;
+      const parsed = this._parseHeader();
+      if (!parsed) continue;
+      this.header = Buffer.alloc(0);
+      this.remaining = parsed.payloadLength;
+    }
+  }
+
+  _parseHeader() {
+    const h = this.header;
+    if (h.length < 2) return null;
+    const masked = (h[1] & 0x80) !== 0;
+    let len = h[1] & 0x7f;
+    let headerLength = 2;
+    if (len === 126) {
+      if (h.length < 4) return null;
+      len = h.readUInt16BE(2);
+      headerLength = 4;
+    } else if (len === 127) {
+      if (h.length < 10) return null;
+      len = Number(h.readBigUInt64BE(2));
+      headerLength = 10;
+    }
+    if (masked) headerLength += 4;
+    if (h.length < headerLength) return null;
+    return { headerLength, payloadLength: len };
+  }
+}
+
+// ping (opcode 0x9) server -> client, không mask, payload rỗng
+const PING_FRAME = Buffer.from([0x89, 0x00]);
+
+/**
+ * Idle / ping timeout cho 1 WebSocket đã upgrade.
+ * @param {net.Socket} socket - socket phía client
+ * @param {net.Socket} upstream - socket phía worker
+ * @param {object} config - loadLimitsConfig()
+ * @param {(reason: "ws_idle_timeout" | "ws_ping_timeout") => void} onTimeout
+ * @returns {() => void} gỡ theo dõi
+ */
+function watchWebSocket(socket, upstream, config, onTimeout) {
+  const { wsIdleTimeoutMs, wsPingIntervalMs, wsPingTimeoutMs } = config;
+  let stopped = false;
+  let timer = null;
+
+  const stop = () => {
+    stopped = true;
+    if (timer) clearInterval(timer);
+    socket.setTimeout(0);
+  };
+  socket.once("close", stop);
+
+  if (wsIdleTimeoutMs) {
+    socket.setTimeout(wsIdleTimeoutMs, () => {
+      if (stopped) return;
+      stop();
+      onTimeout("ws_idle_timeout");
+    });
+  }
+
+  if (wsPingIntervalMs) {
+    const tracker = new WsFrameTracker();
+    let lastClientAt = Date.now();
+    let pingSentAt = null;
+
+    upstream.on("data", (chunk) => tracker.push(chunk));
+    socket.on("data", () => {
+      lastClientAt = Date.now();
+      pingSentAt = null;
+    });
+
+    timer = setInterval(() => {
+      if (stopped) return;
+      const now = Date.now();
+      if (pingSentAt && now - pingSentAt >= wsPingTimeoutMs) {
+        stop();
+        onTimeout("ws_ping_timeout");
+        return;
+      }
+      if (!pingSentAt && now - lastClientAt >= wsPingIntervalMs && tracker.atBoundary && socket.writable) {
+        socket.write(PING_FRAME);
+        pingSentAt = now;
+      }
+    }, Math.max(100, Math.min(wsPingIntervalMs, wsPingTimeoutMs) / 2));
+    timer.unref();
+  }
+
+  return stop;
+}
+
+module.exports = {
+  loadLimitsConfig,
+  describeLimitsConfig,
+  limitStatus,
+  limitSide,
+  upstreamTimeoutReason,
+  limitPayload,
+  sendLimitError,
+  applyUpstreamTimeouts,
+  watchWebSocket,
+};
@@ -0,0 +1,164 @@
+// proxyMetrics.js
+// Nghiệp vụ: Registry metrics tối giản, xuất Prometheus text format (không cần prom-client)
+// - counter / gauge / histogram có label
+// - collector: hàm chạy ngay trước khi render (gauge lấy từ state hiện tại: pool size, breaker, ...)
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  if (Number.isNaN(v)) return "NaN";
+  return String(v);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // labelKey -> { labels, value }
+  }
+
+  _entry(labels = {}, init) {
+    const values = this.labelNames.map((n) => (labels[n] === undefined || labels[n] === null ? "" : String(labels[n])));
+    const k = values.join("\u0000");
+    let e = this.values.get(k);
+    if (!e) {
+      e = { labels: values, value: init() };
+      this.values.set(k, e);
+    }
+    return e;
+  }
+
+  // xóa toàn bộ series (collector set lại từ đầu, tránh label của worker đã bị xóa)
+  reset() {
+    this.values.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels, n = 1) {
+    this._entry(labels, () => 0).value += n;
+  }
+
+  render() {
+    return Array.from(this.values.values()).map((e) => `${this.name}${formatLabels(this.labelNames, e.labels)} ${formatValue(e.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels, v) {
+    this._entry(labels, () => 0).value = v;
+  }
+
+  inc(labels, n = 1) {
+    this._entry(labels, () => 0).value += n;
+  }
+
+  dec(labels, n = 1) {
+    this._entry(labels, () => 0).value -= n;
+  }
+
+  render() {
+    return Array.from(this.values.values()).map((e) => `${this.name}${formatLabels(this.labelNames, e.labels)} ${formatValue(e.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, v) {
+    const e = this._entry(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+    const h = e.value;
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (v <= this.buckets[i]) h.counts[i] += 1;
+    }
+    h.sum += v;
+    h.count += 1;
+  }
+
+  render() {
+    const lines = [];
+    for (const e of this.values.values()) {
+      const h = e.value;
+      this.buckets.forEach((b, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, e.labels, `le="${formatValue(b)}"`)} ${h.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, e.labels, 'le="+Inf"')} ${h.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, e.labels)} ${formatValue(h.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, e.labels)} ${h.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  _add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this._add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._add(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  addCollector(fn) {
+    this.collectors.push(fn);
+  }
+
+  render() {
+    for (const fn of this.collectors) {
+      try {
+        fn();
+      } catch (e) {
+        console.error("❌ Metrics collector error:", e.message);
+      }
+    }
+
+    const out = [];
+    for (const m of this.metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.render());
+    }
+    return `${out.join("\n")}\n`;
+  }
+}
+
+module.exports = { MetricsRegistry };
@@ -0,0 +1,375 @@
+// proxyMirror.js
+// Nghiệp vụ: Mirror (shadow traffic) 1 phần request thật sang worker ứng viên trước khi đưa bản build mới vào rotation
+// - chọn ngẫu nhiên `percent`% request HTTP (không mirror WebSocket), copy cả body (tối đa max_body_bytes, lớn hơn thì bỏ qua)
+// - gửi bất đồng bộ sang worker shadow chọn theo key / version / group trong worker-stats, không ảnh hưởng response thật
+// - response của shadow bị bỏ, chỉ so với response thật: status, thời gian xử lý, sha256 body
+//   => metric proxy_mirror_requests_total{result} + record access log type "mirror" + log ⚠️ khi lệch
+// - shadow nhận header x-proxy-mirror: 1 (worker tự tắt side effect: ghi DB, gửi mail, ...)
+//
+// Để worker ứng viên KHÔNG nhận traffic thật: đặt "group" riêng trong worker-stats (vd "shadow") và không có rule routing
+// nào trỏ tới group đó, hoặc dùng admin API drain. Worker đang disable / down / breaker mở thì không nhận mirror.
+//
+// Firebase (proxy-config, hot reload, ghi đè ENV):
+// {
+//   "mirror": {
+//     "percent": 10,                                        // 0 = tắt
+//     "target": { "group": "shadow", "version": "1.3.0" },  // lọc theo key / version / group (ít nhất 1 trường)
+//     "methods": ["GET", "POST"],                           // [] = mọi method
+//     "max_body_bytes": 65536,
+//     "timeout_ms": 10000,
+//     "max_in_flight": 50                                   // mirror dở dang tối đa, vượt thì bỏ qua (không làm nghẽn proxy)
+//   }
+// }
+//
+// Env (giá trị mặc định):
+// - ENV_HTTP_PROXY_MIRROR_PERCENT        : % request được mirror (default: 0 = tắt)
+// - ENV_HTTP_PROXY_MIRROR_KEY            : key worker shadow
+// - ENV_HTTP_PROXY_MIRROR_VERSION        : version worker shadow
+// - ENV_HTTP_PROXY_MIRROR_GROUP          : group worker shadow
+// - ENV_HTTP_PROXY_MIRROR_METHODS        : CSV method được mirror (default: mọi method)
+// - ENV_HTTP_PROXY_MIRROR_MAX_BODY_BYTES : body tối đa được copy (default: 65536)
+// - ENV_HTTP_PROXY_MIRROR_TIMEOUT_MS     : timeout request shadow (default: 10000)
+// - ENV_HTTP_PROXY_MIRROR_MAX_IN_FLIGHT  : số request shadow dở dang tối đa (default: 50)
+
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+
+const MIRROR_HEADER = "x-proxy-mirror";
+
+// header gắn với kết nối client / do proxy thêm cho worker chính, không gửi sang shadow
+const SKIP_HEADERS = new Set([
+  "connection",
+  "keep-alive",
+  "proxy-connection",
+  "transfer-encoding",
+  "upgrade",
+  "te",
+  "trailer",
+  "host",
+  "content-length",
+  "x-proxy-worker",
+  "x-proxy-worker-version",
+]);
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function parseCsv(input) {
+  if (!input || typeof input !== "string") return [];
+  return input
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function toNumber(v, def, field, max = Infinity) {
+  if (v === undefined || v === null || v === "") return def;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > max) throw new Error(`mirror.${field} không hợp lệ: ${v}`);
+  return n;
+}
+
+function normalizeMirrorConfig(raw, fallback) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const t = src.target !== undefined ? src.target || {} : null;
+  if (t !== null && typeof t !== "object") throw new Error(`mirror.target không hợp lệ: ${t}`);
+
+  const target = t
+    ? {
+        key: t.key ? String(t.key).trim() : null,
+        version: t.version ? String(t.version).trim() : null,
+        group: t.group ? String(t.group).trim() : null,
+      }
+    : fallback.target;
+
+  const methods =
+    src.methods !== undefined
+      ? (Array.isArray(src.methods) ? src.methods : parseCsv(String(src.methods || ""))).map((m) => String(m).trim().toUpperCase())
+      : fallback.methods;
+
+  const config = {
+    percent: toNumber(src.percent, fallback.percent, "percent", 100),
+    target,
+    methods: new Set(methods),
+    maxBodyBytes: Math.floor(toNumber(src.max_body_bytes, fallback.maxBodyBytes, "max_body_bytes")),
+    timeoutMs: Math.floor(toNumber(src.timeout_ms, fallback.timeoutMs, "timeout_ms")) || fallback.timeoutMs,
+    maxInFlight: Math.floor(toNumber(src.max_in_flight, fallback.maxInFlight, "max_in_flight")),
+  };
+
+  if (config.percent > 0 && !target.key && !target.version && !target.group) {
+    throw new Error("mirror.target: cần ít nhất 1 trong key / version / group");
+  }
+  return config;
+}
+
+function loadMirrorConfig(env = process.env) {
+  const off = {
+    percent: 0,
+    target: { key: null, version: null, group: null },
+    methods: [],
+    maxBodyBytes: 65536,
+    timeoutMs: 10000,
+    maxInFlight: 50,
+  };
+
+  try {
+    return normalizeMirrorConfig(
+      {
+        percent: env.ENV_HTTP_PROXY_MIRROR_PERCENT,
+        target: { key: env.ENV_HTTP_PROXY_MIRROR_KEY, version: env.ENV_HTTP_PROXY_MIRROR_VERSION, group: env.ENV_HTTP_PROXY_MIRROR_GROUP },
+        methods: env.ENV_HTTP_PROXY_MIRROR_METHODS,
+        max_body_bytes: toInt(env.ENV_HTTP_PROXY_MIRROR_MAX_BODY_BYTES, off.maxBodyBytes),
+        timeout_ms: toInt(env.ENV_HTTP_PROXY_MIRROR_TIMEOUT_MS, off.timeoutMs),
+        max_in_flight: toInt(env.ENV_HTTP_PROXY_MIRROR_MAX_IN_FLIGHT, off.maxInFlight),
+      },
+      off
+    );
+  } catch (e) {
+    console.warn(`⚠️  ENV mirror: ${e.message}, tắt mirror`);
+    return { ...off, methods: new Set() };
+  }
+}
+
+function describeMirrorConfig(config) {
+  const { key, version, group } = config.target;
+  return {
+    percent: config.percent,
+    target: { key, version, group },
+    methods: config.methods.size ? Array.from(config.methods) : "*",
+    max_body_bytes: config.maxBodyBytes,
+    timeout_ms: config.timeoutMs,
+    max_in_flight: config.maxInFlight,
+  };
+}
+
+// hash body (streaming, không giữ body trong RAM)
+function hashStream(stream, onDone) {
+  const hash = crypto.createHash("sha256");
+  let bytes = 0;
+  stream.on("data", (chunk) => {
+    hash.update(chunk);
+    bytes += chunk.length;
+  });
+  stream.on("end", () => onDone({ hash: hash.digest("hex"), bytes }));
+}
+
+/**
+ * 1 request đang mirror: gom body client (tới cap) => gửi shadow khi đủ body,
+ * chờ cả response thật lẫn shadow xong rồi so sánh (finish gọi 1 lần).
+ */
+class MirrorSession {
+  constructor(mirror, req, { reqId, path, worker }) {
+    this.mirror = mirror;
+    this.reqId = reqId;
+    this.path = path;
+    this.worker = worker; // worker shadow
+    this.method = req.method;
+    this.url = req.url; // sau rewrite, giống request gửi worker chính
+    this.headers = {};
+    for (const [h, v] of Object.entries(req.headers)) if (!SKIP_HEADERS.has(h)) this.headers[h] = v;
+    this.headers[MIRROR_HEADER] = "1";
+
+    this.chunks = [];
+    this.bodyBytes = 0;
+    this.done = false;
+    this.primary = null; // { worker, status, duration_ms, body_hash }
+    this.primaryBody = null; // { hash, bytes } của response worker chính
+    this.shadow = null; // { status, duration_ms, body_hash, error }
+
+    req.on("data", (chunk) => this._onBody(chunk));
+    req.on("end", () => this._send());
+    req.on("close", () => {
+      if (!req.complete && !this.shadow) this._skip("client_aborted");
+    });
+  }
+
+  _onBody(chunk) {
+    if (this.done) return;
+    this.bodyBytes += chunk.length;
+    if (this.bodyBytes > this.mirror.config.maxBodyBytes) {
+      this.chunks = [];
+      this._skip("body_too_large");
+      return;
+    }
+    this.chunks.push(chunk);
+  }
+
+  _skip(reason) {
+    if (this.done) return;
+    this.done = true;
+    this.chunks = [];
+    this.mirror._skipped(reason);
+  }
+
+  _send() {
+    if (this.done || this.shadow) return;
+    const body = Buffer.concat(this.chunks);
+    this.chunks = [];
+
+    const target = new URL(this.url, this.worker.url);
+    const isHttps = target.protocol === "https:";
+    const startedAt = Date.now();
+    this.shadow = { status: null, duration_ms: null, body_hash: null, error: null };
+    this.mirror.inFlight++;
+
+    let settled = false;
+    const settle = (patch) => {
+      if (settled) return;
+      settled = true;
+      this.mirror.inFlight--;
+      Object.assign(this.shadow, patch, { duration_ms: Date.now() - startedAt });
+      this._maybeFinish();
+    };
+
+    const shadowReq = (isHttps ? https : http).request(target, {
+      method: this.method,
+      headers: { ...this.headers, host: target.host, "content-length": body.length },
+      timeout: this.mirror.config.timeoutMs,
+      ...(isHttps ? this.mirror.tlsOptions() : {}),
+    });
+
+    shadowReq.on("timeout", () => shadowReq.destroy(Object.assign(new Error(`quá ${this.mirror.config.timeoutMs}ms`), { code: "TIMEOUT" })));
+    shadowReq.on("error", (err) => settle({ error: err.code ? `${err.code}: ${err.message}` : err.message }));
+    shadowReq.on("response", (res) => {
+      hashStream(res, ({ hash, bytes }) => settle({ status: res.statusCode, body_hash: hash, body_bytes: bytes }));
+      res.on("error", (err) => settle({ status: res.statusCode, error: err.message }));
+    });
+    shadowReq.end(body);
+  }
+
+  // response thật từ worker chính (proxy.on("proxyRes")); retry => lấy response cuối cùng
+  captureResponse(proxyRes) {
+    const capture = {};
+    this.primaryBody = capture;
+    hashStream(proxyRes, (result) => Object.assign(capture, result));
+  }
+
+  // response thật đã xong (res "close")
+  finishPrimary({ status, durationMs, worker }) {
+    if (this.done) return;
+    const body = this.primaryBody && this.primaryBody.hash ? this.primaryBody : null;
+    this.primary = { worker, status, duration_ms: durationMs, body_hash: body ? body.hash : null, body_bytes: body ? body.bytes : null };
+    if (!this.shadow) {
+      // chưa kịp gửi shadow (client hủy / proxy tự trả lỗi trước khi đọc hết body)
+      this._skip(status === 499 ? "client_aborted" : "incomplete_body");
+      return;
+    }
+    this._maybeFinish();
+  }
+
+  _maybeFinish() {
+    if (this.done || !this.primary || !this.shadow || this.shadow.duration_ms === null) return;
+    this.done = true;
+
+    const { primary, shadow } = this;
+    const diffs = [];
+    let result;
+    if (shadow.error) {
+      result = "error";
+    } else if (primary.status === 499) {
+      result = "primary_aborted";
+    } else {
+      if (primary.status !== shadow.status) diffs.push("status");
+      // chỉ so body khi có response đầy đủ của worker chính (cache HIT / lỗi do proxy trả => không có)
+      if (primary.body_hash && shadow.body_hash && primary.body_hash !== shadow.body_hash) diffs.push("body");
+      result = diffs.includes("status") ? "status_mismatch" : diffs.length ? "body_mismatch" : "match";
+    }
+
+    this.mirror.onResult({
+      request_id: this.reqId,
+      method: this.method,
+      path: this.path,
+      result,
+      diffs,
+      latency_delta_ms: shadow.duration_ms - primary.duration_ms,
+      primary,
+      shadow: { worker: this.worker.key, version: this.worker.version, ...shadow },
+    });
+  }
+}
+
+class TrafficMirror {
+  /**
+   * @param {object} config - loadMirrorConfig() / normalizeMirrorConfig()
+   * @param {object} deps
+   * @param {() => object[]} deps.listWorkers - worker đang khả dụng (mọi group)
+   * @param {() => object} deps.tlsOptions - option TLS khi shadow là https://
+   * @param {(record: object) => void} deps.onResult - kết quả so sánh 1 request
+   * @param {(reason: string) => void} deps.onSkip - request được chọn mirror nhưng bỏ qua
+   */
+  constructor(config, { listWorkers, tlsOptions, onResult, onSkip }) {
+    this.config = config;
+    this.source = "env";
+    this.listWorkers = listWorkers;
+    this.tlsOptions = tlsOptions;
+    this.onResult = onResult;
+    this.onSkip = onSkip;
+    this.inFlight = 0;
+    this.cursor = 0;
+  }
+
+  get enabled() {
+    return this.config.percent > 0;
+  }
+
+  // trả về true nếu cấu hình thực sự đổi
+  setConfig(config, source) {
+    const changed = JSON.stringify(describeMirrorConfig(config)) !== JSON.stringify(describeMirrorConfig(this.config));
+    this.config = config;
+    this.source = source;
+    return changed;
+  }
+
+  _skipped(reason) {
+    this.onSkip(reason);
+  }
+
+  targets() {
+    const { key, version, group } = this.config.target;
+    return this.listWorkers().filter(
+      (w) => (!key || w.key === key) && (!version || w.version === version) && (!group || (w.group || "default") === group)
+    );
+  }
+
+  /**
+   * Gọi khi nhận request (trước khi proxy tới worker chính, sau rewrite url).
+   * @returns {MirrorSession|null} null = không mirror request này
+   */
+  begin(req, { reqId, path }) {
+    if (!this.enabled) return null;
+    if (this.config.methods.size && !this.config.methods.has(req.method)) return null;
+    if (Math.random() * 100 >= this.config.percent) return null;
+
+    const declared = parseInt(req.headers["content-length"], 10);
+    if (Number.isFinite(declared) && declared > this.config.maxBodyBytes) {
+      this._skipped("body_too_large");
+      return null;
+    }
+    if (this.config.maxInFlight && this.inFlight >= this.config.maxInFlight) {
+      this._skipped("max_in_flight");
+      return null;
+    }
+
+    const targets = this.targets();
+    if (targets.length === 0) {
+      this._skipped("no_target");
+      return null;
+    }
+    const worker = targets[this.cursor++ % targets.length];
+    return new MirrorSession(this, req, { reqId, path, worker });
+  }
+
+  describe() {
+    return {
+      source: this.source,
+      ...describeMirrorConfig(this.config),
+      in_flight: this.inFlight,
+      targets: this.enabled ? this.targets().map((w) => w.key) : [],
+    };
+  }
+}
+
+module.exports = { TrafficMirror, loadMirrorConfig, normalizeMirrorConfig };
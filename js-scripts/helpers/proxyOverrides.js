@@ -0,0 +1,121 @@
+// proxyOverrides.js
+// Nghiệp vụ: Override worker do admin đặt lúc runtime (drain / disable / weight) cho http-proxy-listener
+// Lưu ở RTDB riêng (không đụng worker-stats) => mọi instance proxy cùng áp dụng, worker ghi lại stats cũng không mất override.
+//
+// Firebase (ENV_HTTP_PROXY_OVERRIDES_PATH, default: worker-overrides):
+// {
+//   "<worker key>": {
+//     "state": "draining",            // active | draining | disabled
+//     "weight": 5,                    // ghi đè weight của worker-stats (bỏ field = dùng weight gốc)
+//     "reason": "redeploy v1.2.3",
+//     "updated_at": "2026-01-01T00:00:00.000Z",
+//     "updated_by": "admin@1.2.3.4"
+//   }
+// }
+// - draining : không nhận request mới, request / WebSocket đang chạy được chạy nốt
+// - disabled : loại khỏi rotation (giống draining nhưng là trạng thái tắt lâu dài)
+
+const STATES = ["active", "draining", "disabled"];
+
+// throw nếu sai định dạng (admin API dùng để validate input)
+function normalizeOverride(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("override phải là object");
+
+  const state = String(raw.state || "active")
+    .trim()
+    .toLowerCase();
+  if (!STATES.includes(state)) throw new Error(`state không hợp lệ: ${state} (hỗ trợ: ${STATES.join(", ")})`);
+
+  let weight = null;
+  if (raw.weight !== undefined && raw.weight !== null) {
+    weight = Number(raw.weight);
+    if (!Number.isFinite(weight) || weight <= 0) throw new Error(`weight không hợp lệ: ${raw.weight} (phải > 0)`);
+  }
+
+  return {
+    state,
+    weight,
+    reason: raw.reason ? String(raw.reason) : null,
+    updated_at: raw.updated_at ? String(raw.updated_at) : null,
+    updated_by: raw.updated_by ? String(raw.updated_by) : null,
+  };
+}
+
+// override rỗng (active + không ghi đè weight) => xóa node cho gọn
+function isNoop(entry) {
+  return entry.state === "active" && entry.weight === null;
+}
+
+class WorkerOverrides {
+  /**
+   * @param {(key: string, prev: object|null, next: object|null) => void} [onChange] - gọi khi override của 1 worker đổi
+   */
+  constructor(onChange = () => {}) {
+    this.onChange = onChange;
+    this.entries = new Map(); // key -> override đã normalize
+  }
+
+  // đồng bộ toàn bộ từ snapshot RTDB; entry sai định dạng bị bỏ qua (log), không làm hỏng các entry khác
+  sync(raw) {
+    const next = new Map();
+    for (const [key, v] of Object.entries(raw && typeof raw === "object" ? raw : {})) {
+      if (v === null || v === undefined) continue;
+      try {
+        const entry = normalizeOverride(v);
+        if (!isNoop(entry)) next.set(key, entry);
+      } catch (e) {
+        console.error(`❌ Override ${key}: ${e.message} (bỏ qua)`);
+      }
+    }
+
+    const keys = new Set([...this.entries.keys(), ...next.keys()]);
+    const prevEntries = this.entries;
+    this.entries = next;
+
+    for (const key of keys) {
+      const prev = prevEntries.get(key) || null;
+      const cur = next.get(key) || null;
+      if (!prev || !cur || prev.state !== cur.state || prev.weight !== cur.weight) this.onChange(key, prev, cur);
+    }
+  }
+
+  // ghi đè 1 worker ngay trên instance này (trước khi RTDB bắn snapshot về)
+  apply(key, raw) {
+    const prev = this.entries.get(key) || null;
+    const cur = raw ? normalizeOverride(raw) : null;
+
+    if (!cur || isNoop(cur)) this.entries.delete(key);
+    else this.entries.set(key, cur);
+
+    const next = this.entries.get(key) || null;
+    if (!prev || !next || prev.state !== next.state || prev.weight !== next.weight) {
+      if (prev || next) this.onChange(key, prev, next);
+    }
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  stateOf(key) {
+    const e = this.entries.get(key);
+    return e ? e.state : "active";
+  }
+
+  canRoute(key) {
+    return this.stateOf(key) === "active";
+  }
+
+  weightOf(key, fallback) {
+    const e = this.entries.get(key);
+    return e && e.weight !== null ? e.weight : fallback;
+  }
+
+  describe() {
+    const out = {};
+    for (const [key, e] of this.entries.entries()) out[key] = e;
+    return out;
+  }
+}
+
+module.exports = { STATES, WorkerOverrides, normalizeOverride };
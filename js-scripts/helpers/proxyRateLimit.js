@@ -0,0 +1,224 @@
+// proxyRateLimit.js
+// Nghiệp vụ: Giới hạn traffic cho http-proxy-listener
+// - rate limit  : token bucket theo client IP (CF-Connecting-IP / X-Forwarded-For chỉ khi tới từ ENV_HTTP_PROXY_TRUSTED_PROXIES), header API key hoặc path
+// - concurrency : số request dở dang tối đa trên mỗi worker (tính cả WebSocket đang mở)
+// Vượt giới hạn => 429 JSON (cùng dạng body 502 / 503 của proxy).
+//
+// Firebase (proxy-config, hot reload, ghi đè ENV):
+// {
+//   "rate_limit": {
+//     "rate": 20, "burst": 40, "key_by": "ip",          // mặc định cho mọi request (rate = 0 => không giới hạn)
+//     "rules": {                                        // rule theo path_prefix, prefix dài nhất được ưu tiên
+//       "api": { "path_prefix": "/api", "key_by": "header:x-api-key", "rate": 5, "burst": 10 }
+//     }
+//   },
+//   "concurrency": { "max_per_worker": 100, "workers": { "<worker key>": 20 } }   // 0 = không giới hạn
+// }
+// key_by: "ip" | "header:<name>" (thiếu header thì rơi về IP) | "path"
+//
+// Env (giá trị mặc định):
+// - ENV_HTTP_PROXY_RATE_LIMIT_RPS     : token / giây (default: 0 = tắt)
+// - ENV_HTTP_PROXY_RATE_LIMIT_BURST   : dung lượng bucket (default: = rps * 2)
+// - ENV_HTTP_PROXY_RATE_LIMIT_KEY     : key_by (default: ip)
+// - ENV_HTTP_PROXY_RATE_LIMIT_MAX_KEYS: số bucket tối đa giữ trong RAM (default: 100000)
+// - ENV_HTTP_PROXY_MAX_CONCURRENCY    : max request dở dang / worker (default: 0 = không giới hạn)
+
+const { clientIp } = require("./proxyAccessLog");
+const { normalizePrefix, prefixMatches } = require("./proxyRouting");
+
+function parseKeyBy(input) {
+  const s = String(input || "ip").trim();
+  if (s === "ip" || s === "path") return { type: s, name: null };
+
+  const idx = s.indexOf(":");
+  const type = idx > 0 ? s.slice(0, idx).trim().toLowerCase() : "";
+  const name = idx > 0 ? s.slice(idx + 1).trim().toLowerCase() : "";
+  if (type === "header" && name) return { type, name };
+  return null;
+}
+
+function toNonNegative(v, field) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${field} không hợp lệ: ${v} (phải >= 0)`);
+  return n;
+}
+
+function normalizeLimit(raw, fallback, label) {
+  const rate = toNonNegative(raw.rate !== undefined ? raw.rate : fallback.rate, `${label}.rate`);
+  const burstRaw = raw.burst !== undefined ? raw.burst : raw.rate !== undefined ? rate * 2 : fallback.burst;
+  const burst = Math.max(1, toNonNegative(burstRaw, `${label}.burst`));
+  const keyByRaw = raw.key_by || fallback.keyByRaw || "ip";
+  const keyBy = parseKeyBy(keyByRaw);
+  if (!keyBy) throw new Error(`${label}.key_by không hợp lệ: ${keyByRaw} (dạng ip | path | header:<name>)`);
+  return { rate, burst, keyBy, keyByRaw: String(keyByRaw) };
+}
+
+function normalizeRateLimitConfig(raw, fallback) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const base = normalizeLimit(src, fallback, "rate_limit");
+
+  const rules = [];
+  const rawRules = src.rules && typeof src.rules === "object" ? src.rules : {};
+  for (const [id, r] of Object.entries(rawRules)) {
+    if (!r) continue;
+    if (!r.path_prefix) throw new Error(`rate_limit.rules.${id}: thiếu "path_prefix"`);
+    rules.push({ id, pathPrefix: normalizePrefix(r.path_prefix), ...normalizeLimit(r, base, `rate_limit.rules.${id}`) });
+  }
+  rules.sort((a, b) => b.pathPrefix.length - a.pathPrefix.length);
+
+  return { ...base, rules, maxKeys: fallback.maxKeys };
+}
+
+function loadRateLimitConfig(env = process.env) {
+  const fallback = {
+    rate: 0,
+    burst: 1,
+    keyByRaw: "ip",
+    maxKeys: parseInt(env.ENV_HTTP_PROXY_RATE_LIMIT_MAX_KEYS, 10) > 0 ? parseInt(env.ENV_HTTP_PROXY_RATE_LIMIT_MAX_KEYS, 10) : 100000,
+  };
+
+  try {
+    return normalizeRateLimitConfig(
+      {
+        rate: env.ENV_HTTP_PROXY_RATE_LIMIT_RPS || 0,
+        burst: env.ENV_HTTP_PROXY_RATE_LIMIT_BURST || undefined,
+        key_by: env.ENV_HTTP_PROXY_RATE_LIMIT_KEY,
+      },
+      fallback
+    );
+  } catch (e) {
+    console.warn(`⚠️  ENV rate limit: ${e.message}, tắt rate limit`);
+    return normalizeRateLimitConfig({}, fallback);
+  }
+}
+
+function normalizeConcurrencyConfig(raw, fallback) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const maxPerWorker = Math.floor(
+    toNonNegative(src.max_per_worker !== undefined ? src.max_per_worker : fallback.maxPerWorker, "concurrency.max_per_worker")
+  );
+
+  const workers = new Map();
+  const rawWorkers = src.workers && typeof src.workers === "object" ? src.workers : {};
+  for (const [key, v] of Object.entries(rawWorkers)) {
+    if (v === null || v === undefined) continue;
+    workers.set(key, Math.floor(toNonNegative(v, `concurrency.workers.${key}`)));
+  }
+
+  return { maxPerWorker, workers };
+}
+
+function loadConcurrencyConfig(env = process.env) {
+  try {
+    return normalizeConcurrencyConfig({ max_per_worker: env.ENV_HTTP_PROXY_MAX_CONCURRENCY || 0 }, { maxPerWorker: 0 });
+  } catch (e) {
+    console.warn(`⚠️  ENV_HTTP_PROXY_MAX_CONCURRENCY: ${e.message}, không giới hạn`);
+    return { maxPerWorker: 0, workers: new Map() };
+  }
+}
+
+// max request dở dang của 1 worker (0 = không giới hạn)
+function concurrencyLimitOf(config, key) {
+  return config.workers.has(key) ? config.workers.get(key) : config.maxPerWorker;
+}
+
+function describeRateLimitConfig(config) {
+  const describeLimit = (l) => ({ rate: l.rate, burst: l.burst, key_by: l.keyByRaw });
+  return {
+    ...describeLimit(config),
+    rules: config.rules.map((r) => ({ id: r.id, path_prefix: r.pathPrefix, ...describeLimit(r) })),
+  };
+}
+
+function describeConcurrencyConfig(config) {
+  return { max_per_worker: config.maxPerWorker, workers: Object.fromEntries(config.workers) };
+}
+
+class RateLimiter {
+  constructor(config) {
+    this.config = config;
+    this.source = "env";
+    this.buckets = new Map(); // "<rule>|<key>" -> { tokens, updatedAt } (Map giữ thứ tự dùng gần nhất => evict cũ nhất)
+  }
+
+  // trả về true nếu giới hạn thực sự đổi
+  setConfig(config, source) {
+    const changed = JSON.stringify(describeRateLimitConfig(config)) !== JSON.stringify(describeRateLimitConfig(this.config));
+    this.config = config;
+    this.source = source;
+    if (changed) this.buckets.clear(); // rate / burst đổi => bucket cũ không còn đúng
+    return changed;
+  }
+
+  _limitFor(path) {
+    for (const rule of this.config.rules) {
+      if (prefixMatches(rule.pathPrefix, path)) return rule;
+    }
+    return this.config;
+  }
+
+  _clientKey(req, keyBy, path) {
+    if (keyBy.type === "path") return `path:${path}`;
+    if (keyBy.type === "header") {
+      const v = req.headers[keyBy.name];
+      if (v) return `key:${Array.isArray(v) ? v[0] : v}`;
+    }
+    return `ip:${clientIp(req) || "unknown"}`;
+  }
+
+  /**
+   * Lấy 1 token cho request.
+   * @param {string} [url] - url client gửi (trước khi routing rewrite)
+   * @returns {{ allowed: boolean, limit: number, remaining: number, retryAfterSec: number, rule: string }}
+   */
+  check(req, url = req.url) {
+    const path = String(url || "/").split("?")[0];
+    const limit = this._limitFor(path);
+    const rule = limit.id || "default";
+    if (!limit.rate) return { allowed: true, limit: 0, remaining: 0, retryAfterSec: 0, rule };
+
+    const bucketKey = `${rule}|${this._clientKey(req, limit.keyBy, path)}`;
+    const now = Date.now();
+
+    let b = this.buckets.get(bucketKey);
+    if (b) {
+      b.tokens = Math.min(limit.burst, b.tokens + ((now - b.updatedAt) / 1000) * limit.rate);
+      b.updatedAt = now;
+      this.buckets.delete(bucketKey);
+    } else {
+      b = { tokens: limit.burst, updatedAt: now };
+    }
+    this.buckets.set(bucketKey, b);
+
+    while (this.buckets.size > this.config.maxKeys) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      return { allowed: true, limit: limit.burst, remaining: Math.floor(b.tokens), retryAfterSec: 0, rule };
+    }
+
+    return {
+      allowed: false,
+      limit: limit.burst,
+      remaining: 0,
+      retryAfterSec: Math.max(1, Math.ceil((1 - b.tokens) / limit.rate)),
+      rule,
+    };
+  }
+
+  describe() {
+    return { source: this.source, ...describeRateLimitConfig(this.config), buckets: this.buckets.size };
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  loadRateLimitConfig,
+  normalizeRateLimitConfig,
+  loadConcurrencyConfig,
+  normalizeConcurrencyConfig,
+  concurrencyLimitOf,
+  describeConcurrencyConfig,
+};
@@ -0,0 +1,63 @@
+// proxyRetry.js
+// Nghiệp vụ: Retry trong suốt các request idempotent sang worker khác (http-proxy-listener)
+// - Chỉ retry khi CHƯA ghi byte nào cho client
+// - Chỉ retry request không có body (stream body đã bị đọc thì không replay được)
+//
+// Env:
+// - ENV_HTTP_PROXY_RETRY_MAX_ATTEMPTS  : tổng số lần thử, tính cả lần đầu (default: 2, "1" = tắt retry)
+// - ENV_HTTP_PROXY_RETRY_METHODS       : CSV method được retry (default: GET,HEAD,OPTIONS)
+// - ENV_HTTP_PROXY_RETRY_ON_STATUS     : CSV status của worker sẽ retry (default: 502,503,504)
+// - ENV_HTTP_PROXY_UPSTREAM_TIMEOUT_MS : timeout chờ worker trả response, 0 = không giới hạn (default: 0)
+
+function parseCsv(input) {
+  if (!input || typeof input !== "string") return [];
+  return input
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadRetryConfig(env = process.env) {
+  const methods = env.ENV_HTTP_PROXY_RETRY_METHODS !== undefined ? parseCsv(env.ENV_HTTP_PROXY_RETRY_METHODS) : ["GET", "HEAD", "OPTIONS"];
+  const statuses = env.ENV_HTTP_PROXY_RETRY_ON_STATUS !== undefined ? parseCsv(env.ENV_HTTP_PROXY_RETRY_ON_STATUS) : ["502", "503", "504"];
+
+  return {
+    maxAttempts: Math.max(toInt(env.ENV_HTTP_PROXY_RETRY_MAX_ATTEMPTS, 2), 1),
+    methods: new Set(methods.map((m) => m.toUpperCase())),
+    retryOnStatus: new Set(statuses.map((s) => parseInt(s, 10)).filter(Number.isFinite)),
+    upstreamTimeoutMs: toInt(env.ENV_HTTP_PROXY_UPSTREAM_TIMEOUT_MS, 0),
+  };
+}
+
+function hasRequestBody(req) {
+  if (req.headers["transfer-encoding"]) return true;
+  const len = parseInt(req.headers["content-length"], 10);
+  return Number.isFinite(len) && len > 0;
+}
+
+// request này có được phép retry không (method + không có body)
+function isRetryableRequest(req, config) {
+  if (config.maxAttempts <= 1) return false;
+  if (!config.methods.has(String(req.method || "").toUpperCase())) return false;
+  return !hasRequestBody(req);
+}
+
+function shouldRetryStatus(statusCode, config) {
+  return config.retryOnStatus.has(statusCode);
+}
+
+function describeRetryConfig(config) {
+  return {
+    max_attempts: config.maxAttempts,
+    methods: Array.from(config.methods),
+    retry_on_status: Array.from(config.retryOnStatus),
+    upstream_timeout_ms: config.upstreamTimeoutMs,
+  };
+}
+
+module.exports = { loadRetryConfig, hasRequestBody, isRetryableRequest, shouldRetryStatus, describeRetryConfig };
@@ -0,0 +1,191 @@
+// proxyRouting.js
+// Nghiệp vụ: Bảng routing host/path -> worker group cho http-proxy-listener
+//
+// Firebase (ENV_HTTP_PROXY_ROUTES_PATH, default: worker-routes), nằm cạnh worker-stats:
+// {
+//   "default_group": "default",                       // group khi không rule nào khớp
+//   "groups": {
+//     "images": ["images-worker-*"],                  // glob theo worker key
+//     "api": { "keys": ["api-*"], "lb": { "strategy": "least-outstanding" } }
+//   },
+//   "rules": {
+//     "img": { "host": "img.tlt14.dpdns.org", "group": "images" },
+//     "api": { "path_prefix": "/api/*", "group": "api", "strip_prefix": true },
+//     "v2":  { "path_prefix": "/v2", "group": "api", "rewrite": "/api/v2", "priority": 10 },
+//     "pub": { "path_prefix": "/public", "group": "api", "headers": { "response": { "remove": ["server"] } }, "cors": { "origins": "*" } }
+//   }
+// }
+// "headers" / "cors" của rule: xem proxyHeaders.js
+// Worker có field "group" trong worker-stats thì ưu tiên field đó, không thì match theo glob, còn lại => "default".
+
+const { normalizeHeaderPolicy, normalizeCorsPolicy, describeHeaderPolicy, describeCorsPolicy } = require("./proxyHeaders");
+
+const DEFAULT_GROUP = "default";
+
+function toList(v) {
+  if (!v) return [];
+  if (Array.isArray(v)) return v.filter((x) => x !== null && x !== undefined);
+  if (typeof v === "object") return Object.values(v).filter((x) => x !== null && x !== undefined);
+  return [v];
+}
+
+function globToRegExp(glob) {
+  const escaped = String(glob)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+// "/api/*" | "/api/" | "/api" => "/api" (không có "/" cuối, "/" giữ nguyên là "")
+function normalizePrefix(prefix) {
+  let p = String(prefix).trim();
+  if (p.endsWith("*")) p = p.slice(0, -1);
+  if (!p.startsWith("/")) p = `/${p}`;
+  while (p.endsWith("/")) p = p.slice(0, -1);
+  return p;
+}
+
+function normalizeGroups(raw) {
+  const groups = new Map();
+  if (!raw || typeof raw !== "object") return groups;
+
+  for (const [name, def] of Object.entries(raw)) {
+    if (!def) continue;
+    const isList = Array.isArray(def) || typeof def === "string";
+    const keys = toList(isList ? def : def.keys).map(String);
+    groups.set(name, {
+      patterns: keys,
+      matchers: keys.map(globToRegExp),
+      lb: !isList && def.lb ? def.lb : null,
+    });
+  }
+  return groups;
+}
+
+function normalizeRule(id, raw) {
+  if (!raw || typeof raw !== "object") throw new Error(`rule ${id}: phải là object`);
+  if (!raw.group) throw new Error(`rule ${id}: thiếu "group"`);
+  if (!raw.host && !raw.path_prefix) throw new Error(`rule ${id}: cần "host" hoặc "path_prefix"`);
+
+  const host = raw.host ? String(raw.host).trim().toLowerCase() : null;
+  const pathPrefix = raw.path_prefix ? normalizePrefix(raw.path_prefix) : null;
+  const priority = Number(raw.priority) || 0;
+
+  return {
+    id,
+    host,
+    hostMatcher: host ? globToRegExp(host) : null,
+    pathPrefix,
+    group: String(raw.group),
+    stripPrefix: Boolean(raw.strip_prefix),
+    rewrite: raw.rewrite !== undefined && raw.rewrite !== null ? String(raw.rewrite) : null,
+    priority,
+    headers: raw.headers ? normalizeHeaderPolicy(raw.headers, `rule ${id}.headers`) : null,
+    cors: raw.cors !== undefined && raw.cors !== null ? normalizeCorsPolicy(raw.cors, `rule ${id}.cors`) : null,
+    // rule cụ thể hơn được xét trước: có cả host + path > host chính xác > prefix dài hơn
+    specificity: (host ? (host.includes("*") ? 1 : 2) : 0) * 10000 + (pathPrefix ? pathPrefix.length + 1 : 0),
+  };
+}
+
+function normalizeRoutingTable(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+
+  const rules = [];
+  const rawRules = src.rules && typeof src.rules === "object" ? src.rules : {};
+  for (const [id, r] of Object.entries(rawRules)) {
+    if (r === null || r === undefined) continue;
+    rules.push(normalizeRule(id, r));
+  }
+  rules.sort((a, b) => b.priority - a.priority || b.specificity - a.specificity);
+
+  return {
+    defaultGroup: src.default_group ? String(src.default_group) : DEFAULT_GROUP,
+    groups: normalizeGroups(src.groups),
+    rules,
+  };
+}
+
+const EMPTY_TABLE = normalizeRoutingTable({});
+
+// group của worker: field "group" > glob trong bảng routing > default_group (cùng group nhận request không khớp rule)
+function resolveWorkerGroup(key, data, table) {
+  if (data && data.group) return String(data.group);
+  for (const [name, g] of table.groups.entries()) {
+    if (g.matchers.some((re) => re.test(key))) return name;
+  }
+  return table.defaultGroup;
+}
+
+function requestHost(req) {
+  const raw = (req.headers && req.headers.host) || "";
+  return String(raw).replace(/:\d+$/, "").toLowerCase();
+}
+
+function prefixMatches(prefix, path) {
+  if (!prefix) return true;
+  return path === prefix || path.startsWith(`${prefix}/`) || path.startsWith(`${prefix}?`);
+}
+
+// => { group, rule } (rule = null khi rơi vào default route)
+function matchRoute(req, table) {
+  const host = requestHost(req);
+  const path = String(req.url || "/").split("?")[0];
+
+  for (const rule of table.rules) {
+    if (rule.hostMatcher && !rule.hostMatcher.test(host)) continue;
+    if (rule.pathPrefix !== null && !prefixMatches(rule.pathPrefix, path)) continue;
+    return { group: rule.group, rule };
+  }
+
+  return { group: table.defaultGroup, rule: null };
+}
+
+// bỏ prefix / thay prefix theo rule, giữ nguyên query string
+function rewriteUrl(url, rule) {
+  if (!rule || rule.pathPrefix === null || (!rule.stripPrefix && rule.rewrite === null)) return url;
+
+  const s = String(url || "/");
+  const q = s.indexOf("?");
+  const path = q >= 0 ? s.slice(0, q) : s;
+  const query = q >= 0 ? s.slice(q) : "";
+
+  const rest = path.slice(rule.pathPrefix.length); // "" hoặc bắt đầu bằng "/"
+  let base = rule.rewrite !== null ? rule.rewrite.replace(/\/+$/, "") : "";
+  if (base && !base.startsWith("/")) base = `/${base}`;
+
+  return `${base}${rest}` ? `${base}${rest}${query}` : `/${query}`;
+}
+
+function describeRoutingTable(table) {
+  const groups = {};
+  for (const [name, g] of table.groups.entries()) groups[name] = { keys: g.patterns, lb: g.lb };
+
+  return {
+    default_group: table.defaultGroup,
+    groups,
+    rules: table.rules.map((r) => ({
+      id: r.id,
+      host: r.host,
+      path_prefix: r.pathPrefix,
+      group: r.group,
+      strip_prefix: r.stripPrefix,
+      rewrite: r.rewrite,
+      priority: r.priority,
+      headers: r.headers ? describeHeaderPolicy(r.headers) : undefined,
+      cors: r.cors !== null ? describeCorsPolicy(r.cors) : undefined,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_GROUP,
+  EMPTY_TABLE,
+  normalizePrefix,
+  prefixMatches,
+  normalizeRoutingTable,
+  resolveWorkerGroup,
+  matchRoute,
+  rewriteUrl,
+  describeRoutingTable,
+};
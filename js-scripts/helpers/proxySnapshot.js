@@ -0,0 +1,133 @@
+// proxySnapshot.js
+// Nghiệp vụ: Lưu danh sách worker đồng bộ được gần nhất (last-known-good) xuống đĩa cho http-proxy-listener
+// - mỗi lần sync thật (Firebase / file / http / dns) có thay đổi => ghi đè file (ghi file tạm rồi rename, không bao giờ dở dang)
+// - khởi động: nạp file làm pool tạm (stale) => không 503 trong lúc chờ snapshot đầu tiên từ nguồn
+// - sync thật đầu tiên về => thay pool tạm, hết stale
+//
+// File:
+// { "saved_at": "2026-01-01T00:00:00.000Z", "source": "firebase", "workers": { ...worker-stats... } }
+//
+// Env:
+// - ENV_HTTP_PROXY_SNAPSHOT_FILE        : đường dẫn file, "off" = tắt, path tương đối tính từ ~/.http-proxy-listener
+//   (default: ~/.http-proxy-listener/proxy-worker-snapshot.json, ngoài repo: file chứa URL worker nội bộ, không được lọt vào commit)
+// - ENV_HTTP_PROXY_SNAPSHOT_MAX_AGE_SEC : snapshot cũ hơn thì bỏ qua lúc khởi động (default: 0 = không giới hạn)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const STATE_DIR = path.join(os.homedir(), ".http-proxy-listener");
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadSnapshotConfig(env = process.env) {
+  const file = env.ENV_HTTP_PROXY_SNAPSHOT_FILE || "proxy-worker-snapshot.json";
+  const off = ["off", "0", "false"].includes(String(file).trim().toLowerCase());
+
+  return {
+    file: off ? null : path.isAbsolute(file) ? file : path.join(STATE_DIR, file),
+    maxAgeSec: toInt(env.ENV_HTTP_PROXY_SNAPSHOT_MAX_AGE_SEC, 0),
+  };
+}
+
+class WorkerSnapshotStore {
+  constructor(config) {
+    this.config = config;
+    this.enabled = Boolean(config.file);
+    this.loaded = null; // { saved_at, source, workers } đã nạp lúc khởi động
+    this.stale = false; // pool hiện tại lấy từ file, chưa có sync thật
+    this.liveAt = null;
+    this.lastJson = null; // workers đã ghi gần nhất (không ghi lại khi không đổi)
+    this.lastSavedAt = null;
+    this.lastError = null;
+    this.pending = null; // bản chờ ghi (chỉ giữ bản mới nhất)
+    this.writing = null;
+  }
+
+  /**
+   * Đọc file lúc khởi động (sync, trước khi mở port).
+   * @returns {object|null} worker-stats để nạp làm pool tạm
+   */
+  load() {
+    if (!this.enabled) return null;
+
+    let snap;
+    try {
+      snap = JSON.parse(fs.readFileSync(this.config.file, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn(`⚠️  Snapshot worker ${this.config.file}: ${e.message}, bỏ qua`);
+      return null;
+    }
+
+    const savedAt = Date.parse(snap && snap.saved_at);
+    if (!snap || !snap.workers || typeof snap.workers !== "object" || !Number.isFinite(savedAt)) {
+      console.warn(`⚠️  Snapshot worker ${this.config.file}: sai định dạng, bỏ qua`);
+      return null;
+    }
+
+    const ageSec = Math.round((Date.now() - savedAt) / 1000);
+    if (this.config.maxAgeSec && ageSec > this.config.maxAgeSec) {
+      console.warn(`⚠️  Snapshot worker đã cũ ${ageSec}s (> ${this.config.maxAgeSec}s), bỏ qua`);
+      return null;
+    }
+
+    this.loaded = { saved_at: snap.saved_at, source: snap.source || null, workers: Object.keys(snap.workers).length };
+    this.lastJson = JSON.stringify(snap.workers);
+    this.stale = true;
+    return snap.workers;
+  }
+
+  // sync thật từ nguồn => hết stale + ghi file nếu đổi
+  markLive(workers, source) {
+    if (this.stale || !this.liveAt) this.liveAt = Date.now();
+    this.stale = false;
+    if (!this.enabled) return;
+
+    const json = JSON.stringify(workers || {});
+    if (json === this.lastJson) return;
+    this.lastJson = json;
+    this.pending = { saved_at: new Date().toISOString(), source, workers: workers || {} };
+    if (!this.writing) this.writing = this._flush();
+  }
+
+  async _flush() {
+    while (this.pending) {
+      const snap = this.pending;
+      this.pending = null;
+      const tmp = `${this.config.file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.config.file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(snap, null, 2));
+        await fs.promises.rename(tmp, this.config.file);
+        this.lastSavedAt = snap.saved_at;
+        this.lastError = null;
+      } catch (e) {
+        this.lastError = e.message;
+        console.error(`❌ Ghi snapshot worker ${this.config.file}: ${e.message}`);
+        fs.promises.unlink(tmp).catch(() => {});
+      }
+    }
+    this.writing = null;
+  }
+
+  // chờ ghi xong bản đang chờ (lúc shutdown)
+  async close() {
+    if (this.writing) await this.writing;
+  }
+
+  describe() {
+    return {
+      file: this.config.file,
+      stale: this.stale,
+      loaded: this.loaded,
+      live_since: this.liveAt ? new Date(this.liveAt).toISOString() : null,
+      last_saved_at: this.lastSavedAt,
+      last_error: this.lastError,
+    };
+  }
+}
+
+module.exports = { WorkerSnapshotStore, loadSnapshotConfig };
@@ -0,0 +1,169 @@
+// proxyStatus.js
+// Nghiệp vụ: Liveness / readiness + số liệu cho /health của http-proxy-listener
+// - /livez  : process còn chạy => luôn 200 (kể cả đang drain)
+// - /readyz : 200 khi đủ worker khả dụng + nguồn worker đang kết nối (Firebase .info/connected) + không drain, ngược lại 503
+// - /health : chi tiết (tuổi sync từng path, lỗi gần nhất, số liệu từng worker, uptime, build)
+//
+// Env:
+// - ENV_HTTP_PROXY_READY_MIN_WORKERS    : số worker khả dụng tối thiểu để ready (default: 1)
+// - ENV_HTTP_PROXY_READY_REQUIRE_SOURCE : 0 = vẫn ready khi mất kết nối nguồn worker (chạy bằng pool hiện tại) (default: 1)
+// - ENV_HTTP_PROXY_BUILD_COMMIT         : commit của bản đang chạy (default: đọc .git/HEAD)
+
+const fs = require("fs");
+const path = require("path");
+
+const REPO_ROOT = path.resolve(__dirname, "..", "..");
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function loadReadinessConfig(env = process.env) {
+  return {
+    minWorkers: toInt(env.ENV_HTTP_PROXY_READY_MIN_WORKERS, 1),
+    requireSource: env.ENV_HTTP_PROXY_READY_REQUIRE_SOURCE !== "0",
+  };
+}
+
+function gitCommit() {
+  try {
+    const head = fs.readFileSync(path.join(REPO_ROOT, ".git", "HEAD"), "utf8").trim();
+    if (!head.startsWith("ref: ")) return head.slice(0, 12);
+
+    const ref = head.slice(5);
+    const loose = path.join(REPO_ROOT, ".git", ref);
+    if (fs.existsSync(loose)) return fs.readFileSync(loose, "utf8").trim().slice(0, 12);
+
+    const packed = fs.readFileSync(path.join(REPO_ROOT, ".git", "packed-refs"), "utf8");
+    const line = packed.split("\n").find((l) => l.endsWith(` ${ref}`));
+    return line ? line.slice(0, 12) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// đọc 1 lần lúc khởi động
+function readBuildInfo(env = process.env) {
+  let version = null;
+  try {
+    version = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, "package.json"), "utf8")).version || null;
+  } catch (_) {}
+
+  return {
+    version,
+    commit: env.ENV_HTTP_PROXY_BUILD_COMMIT || gitCommit(),
+    node: process.version,
+    pid: process.pid,
+  };
+}
+
+// lần sync gần nhất / lỗi gần nhất theo từng path (worker-stats, worker-routes, ...)
+class SyncTracker {
+  constructor() {
+    this.paths = new Map(); // path -> { okAt, okCount, errorAt, errorCount, error }
+  }
+
+  _get(p) {
+    let s = this.paths.get(p);
+    if (!s) {
+      s = { okAt: null, okCount: 0, errorAt: null, errorCount: 0, error: null };
+      this.paths.set(p, s);
+    }
+    return s;
+  }
+
+  ok(p) {
+    const s = this._get(p);
+    s.okAt = Date.now();
+    s.okCount++;
+  }
+
+  error(p, err) {
+    const s = this._get(p);
+    s.errorAt = Date.now();
+    s.errorCount++;
+    s.error = err && err.message ? err.message : String(err);
+  }
+
+  describe() {
+    const now = Date.now();
+    const out = {};
+    for (const [p, s] of this.paths.entries()) {
+      out[p] = {
+        last_sync_at: s.okAt ? new Date(s.okAt).toISOString() : null,
+        age_sec: s.okAt ? Math.round((now - s.okAt) / 1000) : null,
+        syncs: s.okCount,
+        errors: s.errorCount,
+        last_error: s.error,
+        last_error_at: s.errorAt ? new Date(s.errorAt).toISOString() : null,
+      };
+    }
+    return out;
+  }
+}
+
+// số liệu request theo worker kể từ lúc process chạy (cho /health)
+class WorkerRequestStats {
+  constructor() {
+    this.workers = new Map(); // key -> { requests, errors, totalMs, lastStatus, lastAt }
+  }
+
+  record(key, status, durationMs) {
+    let s = this.workers.get(key);
+    if (!s) {
+      s = { requests: 0, errors: 0, totalMs: 0, lastStatus: null, lastAt: null };
+      this.workers.set(key, s);
+    }
+    s.requests++;
+    if (status >= 500) s.errors++;
+    s.totalMs += durationMs;
+    s.lastStatus = status;
+    s.lastAt = Date.now();
+  }
+
+  // bỏ worker không còn trong pool
+  prune(keys) {
+    const keep = new Set(keys);
+    for (const key of Array.from(this.workers.keys())) if (!keep.has(key)) this.workers.delete(key);
+  }
+
+  get(key) {
+    const s = this.workers.get(key);
+    if (!s) return { requests: 0, errors_5xx: 0, avg_ms: null, last_status: null, last_request_at: null };
+    return {
+      requests: s.requests,
+      errors_5xx: s.errors,
+      avg_ms: Math.round(s.totalMs / s.requests),
+      last_status: s.lastStatus,
+      last_request_at: new Date(s.lastAt).toISOString(),
+    };
+  }
+}
+
+/**
+ * @param {object} config - loadReadinessConfig()
+ * @param {object} state
+ * @param {boolean} state.draining
+ * @param {number} state.availableWorkers
+ * @param {{ provider: string, connected: boolean }} state.source
+ * @returns {{ ready: boolean, reasons: string[], checks: object }}
+ */
+function evaluateReadiness(config, { draining, availableWorkers, source }) {
+  const reasons = [];
+  if (draining) reasons.push("draining");
+  if (availableWorkers < config.minWorkers) reasons.push(`available workers ${availableWorkers} < ${config.minWorkers}`);
+  if (config.requireSource && !source.connected) reasons.push(`${source.provider} not connected`);
+
+  return {
+    ready: reasons.length === 0,
+    reasons,
+    checks: {
+      draining,
+      workers: { available: availableWorkers, min: config.minWorkers, ok: availableWorkers >= config.minWorkers },
+      source: { ...source, required: config.requireSource, ok: source.connected || !config.requireSource },
+    },
+  };
+}
+
+module.exports = { loadReadinessConfig, readBuildInfo, SyncTracker, WorkerRequestStats, evaluateReadiness };
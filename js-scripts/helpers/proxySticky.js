@@ -0,0 +1,170 @@
+// proxySticky.js
+// Nghiệp vụ: Session affinity (sticky session) cho http-proxy-listener
+// - cookie        : proxy tự cấp cookie ký HMAC chứa worker key => request sau (HTTP + WebSocket) vào lại đúng worker
+// - header:<name> : client tự gửi session id qua header, proxy nhớ session id -> worker (TTL)
+// - query:<name>  : như header nhưng lấy từ query string
+// Worker đã ghim chỉ bị thay khi nó rời pool; tạm không nhận (đầy slot / breaker open / unhealthy / lệch version)
+// => request đó đi worker khác, cookie / session vẫn ghim worker cũ.
+//
+// Env:
+// - ENV_HTTP_PROXY_STICKY_MODE   : off | cookie | header:<name> | query:<name> (default: off)
+// - ENV_HTTP_PROXY_STICKY_COOKIE : tên cookie (default: proxy_sticky)
+// - ENV_HTTP_PROXY_STICKY_SECRET : secret ký cookie (nên set giống nhau trên mọi instance proxy)
+// - ENV_HTTP_PROXY_STICKY_TTL_MS : thời gian giữ affinity (default: 3600000)
+// - ENV_HTTP_PROXY_STICKY_MAX_SESSIONS : số session id tối đa nhớ trong RAM (default: 100000)
+
+const crypto = require("crypto");
+const { readCookie } = require("./proxyBalancer");
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+function parseStickyMode(input) {
+  const s = String(input || "off").trim();
+  if (s === "off" || s === "") return { type: "off", name: null };
+  if (s === "cookie") return { type: "cookie", name: null };
+
+  const idx = s.indexOf(":");
+  const type = idx > 0 ? s.slice(0, idx).trim().toLowerCase() : "";
+  const name = idx > 0 ? s.slice(idx + 1).trim() : "";
+  if ((type === "header" || type === "query") && name) {
+    return { type, name: type === "header" ? name.toLowerCase() : name };
+  }
+  return null;
+}
+
+function loadStickyConfig(env = process.env) {
+  let mode = parseStickyMode(env.ENV_HTTP_PROXY_STICKY_MODE);
+  if (!mode) {
+    console.warn(`⚠️  ENV_HTTP_PROXY_STICKY_MODE không hợp lệ: ${env.ENV_HTTP_PROXY_STICKY_MODE}, tắt sticky`);
+    mode = { type: "off", name: null };
+  }
+
+  let secret = env.ENV_HTTP_PROXY_STICKY_SECRET || "";
+  if (mode.type === "cookie" && !secret) {
+    console.warn("⚠️  Thiếu ENV_HTTP_PROXY_STICKY_SECRET, dùng secret ngẫu nhiên (cookie mất hiệu lực khi restart)");
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+
+  return {
+    mode,
+    cookieName: env.ENV_HTTP_PROXY_STICKY_COOKIE || "proxy_sticky",
+    secret,
+    ttlMs: toInt(env.ENV_HTTP_PROXY_STICKY_TTL_MS, 3600000),
+    maxSessions: toInt(env.ENV_HTTP_PROXY_STICKY_MAX_SESSIONS, 100000),
+  };
+}
+
+function readQuery(req, name) {
+  const url = String(req.url || "");
+  const idx = url.indexOf("?");
+  if (idx < 0) return null;
+  return new URLSearchParams(url.slice(idx + 1)).get(name);
+}
+
+class StickySessions {
+  constructor(config = loadStickyConfig()) {
+    this.config = config;
+    this.sessions = new Map(); // session id -> { key, expiresAt } (Map giữ thứ tự chèn => evict cũ nhất)
+  }
+
+  get enabled() {
+    return this.config.mode.type !== "off";
+  }
+
+  _sign(key) {
+    return crypto.createHmac("sha256", this.config.secret).update(key).digest("base64url");
+  }
+
+  _sessionId(req) {
+    const { type, name } = this.config.mode;
+    if (type === "header") {
+      const v = req.headers[name];
+      return v ? String(Array.isArray(v) ? v[0] : v) : null;
+    }
+    if (type === "query") return readQuery(req, name);
+    return null;
+  }
+
+  // worker key đang ghim cho request này (null nếu chưa ghim / cookie sai chữ ký / hết hạn)
+  resolve(req) {
+    if (!this.enabled) return null;
+
+    if (this.config.mode.type === "cookie") {
+      const raw = readCookie(req, this.config.cookieName);
+      if (!raw) return null;
+      const dot = raw.lastIndexOf(".");
+      if (dot <= 0) return null;
+
+      let key;
+      try {
+        key = Buffer.from(raw.slice(0, dot), "base64url").toString("utf8");
+      } catch {
+        return null;
+      }
+
+      const expected = Buffer.from(this._sign(key));
+      const actual = Buffer.from(raw.slice(dot + 1));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+      return key;
+    }
+
+    const sid = this._sessionId(req);
+    if (!sid) return null;
+    const entry = this.sessions.get(sid);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(sid);
+      return null;
+    }
+    return entry.key;
+  }
+
+  // ghim request vào worker; trả về chuỗi Set-Cookie cần gửi cho client (cookie mode) hoặc null
+  bind(req, key, pinnedKey) {
+    if (!this.enabled) return null;
+
+    if (this.config.mode.type === "cookie") {
+      if (pinnedKey === key) return null;
+      const value = `${Buffer.from(key, "utf8").toString("base64url")}.${this._sign(key)}`;
+      const maxAge = Math.floor(this.config.ttlMs / 1000);
+      return `${this.config.cookieName}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax`;
+    }
+
+    const sid = this._sessionId(req);
+    if (!sid) return null;
+
+    // refresh TTL + đưa xuống cuối Map
+    this.sessions.delete(sid);
+    this.sessions.set(sid, { key, expiresAt: Date.now() + this.config.ttlMs });
+
+    while (this.sessions.size > this.config.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return null;
+  }
+
+  // worker rời pool => bỏ các session đang ghim vào nó
+  prune(keys) {
+    if (this.sessions.size === 0) return;
+    const keep = new Set(keys);
+    const now = Date.now();
+    for (const [sid, entry] of this.sessions.entries()) {
+      if (!keep.has(entry.key) || entry.expiresAt <= now) this.sessions.delete(sid);
+    }
+  }
+
+  describe() {
+    const { mode, cookieName, ttlMs } = this.config;
+    return {
+      mode: mode.type === "off" || mode.type === "cookie" ? mode.type : `${mode.type}:${mode.name}`,
+      cookie: mode.type === "cookie" ? cookieName : null,
+      ttl_ms: ttlMs,
+      sessions: this.sessions.size,
+    };
+  }
+}
+
+module.exports = { StickySessions, loadStickyConfig };
@@ -0,0 +1,166 @@
+// proxyTls.js
+// Nghiệp vụ: TLS cho http-proxy-listener
+// - TLS termination (HTTPS, tuỳ chọn HTTP/2 + ALPN fallback HTTP/1.1) trên port riêng, song song với port HTTP
+// - cert/key lấy từ ENV (base64 như NGINX_CONF__BASE64__, hoặc PEM thô) hoặc từ file
+// - hot reload: theo dõi file .env mà envListener ghi (ENV_FILE_PATH) + file cert/key => đổi cert không cần restart
+// - upstream HTTPS: CA riêng + bật/tắt verify cho worker chạy https://
+//
+// Env (mỗi PEM ưu tiên: <NAME>__BASE64__ > <NAME> > <NAME>_FILE):
+// - ENV_HTTP_PROXY_TLS_CERT           : certificate (fullchain) PEM
+// - ENV_HTTP_PROXY_TLS_KEY            : private key PEM
+// - ENV_HTTP_PROXY_TLS_PORT           : port HTTPS (default: 8443), chỉ mở khi có cert + key
+// - ENV_HTTP_PROXY_HTTP2              : 1 = bật HTTP/2 (ALPN h2, fallback http/1.1) (default: 0)
+// - ENV_HTTP_PROXY_UPSTREAM_CA        : CA PEM để verify worker https:// (default: CA hệ thống)
+// - ENV_HTTP_PROXY_UPSTREAM_TLS_VERIFY: 0 = không verify cert của worker (default: 1)
+// - ENV_FILE_PATH                     : file env envListener ghi, dùng để hot reload (default: <APP_CWD>/.env.runtime)
+
+const fs = require("fs");
+const path = require("path");
+const tls = require("tls");
+const crypto = require("crypto");
+const dotenv = require("dotenv");
+const { runtimeEnvPath } = require("./envUpdater");
+
+const WATCH_INTERVAL_MS = 2000;
+
+function isOn(v, def) {
+  if (v === undefined || v === null || v === "") return def;
+  return !["0", "false", "off", "no"].includes(String(v).trim().toLowerCase());
+}
+
+function decodeBase64(v) {
+  let s = String(v).trim();
+  if (s.toLowerCase().startsWith("base64:")) s = s.slice(7).trim();
+  return Buffer.from(s.replace(/\s+/g, ""), "base64").toString("utf8");
+}
+
+// => { pem, source, file } | null
+function readPem(env, name) {
+  if (env[`${name}__BASE64__`]) return { pem: decodeBase64(env[`${name}__BASE64__`]), source: `${name}__BASE64__`, file: null };
+  if (env[name]) return { pem: String(env[name]).replace(/\\n/g, "\n"), source: name, file: null };
+
+  const file = env[`${name}_FILE`];
+  if (file) {
+    const abs = path.resolve(file);
+    return { pem: fs.readFileSync(abs, "utf8"), source: abs, file: abs };
+  }
+  return null;
+}
+
+// process.env + giá trị mới nhất trong file .env (envListener ghi file trước khi restart app)
+function readEnv() {
+  const file = runtimeEnvPath();
+  try {
+    return { ...process.env, ...dotenv.parse(fs.readFileSync(file, "utf8")) };
+  } catch {
+    return { ...process.env };
+  }
+}
+
+function fingerprint(pem) {
+  return pem ? crypto.createHash("sha256").update(pem).digest("hex").slice(0, 12) : null;
+}
+
+// throw nếu cert/key đọc được nhưng không dùng được
+function loadTlsConfig(env = readEnv()) {
+  const cert = readPem(env, "ENV_HTTP_PROXY_TLS_CERT");
+  const key = readPem(env, "ENV_HTTP_PROXY_TLS_KEY");
+  const upstreamCa = readPem(env, "ENV_HTTP_PROXY_UPSTREAM_CA");
+
+  if (Boolean(cert) !== Boolean(key)) throw new Error("cần cả ENV_HTTP_PROXY_TLS_CERT và ENV_HTTP_PROXY_TLS_KEY");
+  if (cert) tls.createSecureContext({ cert: cert.pem, key: key.pem }); // validate trước khi áp dụng
+
+  let subject = null;
+  let validTo = null;
+  if (cert) {
+    const x509 = new crypto.X509Certificate(cert.pem);
+    subject = x509.subject.replace(/\n/g, ", ");
+    validTo = new Date(x509.validTo).toISOString();
+  }
+
+  return {
+    enabled: Boolean(cert),
+    port: parseInt(env.ENV_HTTP_PROXY_TLS_PORT, 10) || 8443,
+    http2: isOn(env.ENV_HTTP_PROXY_HTTP2, false),
+    cert: cert ? cert.pem : null,
+    key: key ? key.pem : null,
+    certSource: cert ? cert.source : null,
+    subject,
+    validTo,
+    files: [cert, key, upstreamCa].filter((x) => x && x.file).map((x) => x.file),
+    upstream: {
+      ca: upstreamCa ? upstreamCa.pem : null,
+      caSource: upstreamCa ? upstreamCa.source : null,
+      verify: isOn(env.ENV_HTTP_PROXY_UPSTREAM_TLS_VERIFY, true),
+    },
+  };
+}
+
+// cùng cert/key/CA => không cần reload
+function tlsSignature(config) {
+  return [fingerprint(config.cert), fingerprint(config.key), fingerprint(config.upstream.ca), config.upstream.verify].join("|");
+}
+
+function describeTlsConfig(config) {
+  return {
+    enabled: config.enabled,
+    port: config.enabled ? config.port : null,
+    http2: config.enabled ? config.http2 : false,
+    cert_source: config.certSource,
+    cert_fingerprint: fingerprint(config.cert),
+    subject: config.subject,
+    valid_to: config.validTo,
+    upstream: { ca_source: config.upstream.caSource, verify: config.upstream.verify },
+  };
+}
+
+class TlsReloader {
+  /**
+   * @param {object} config - loadTlsConfig() lúc khởi động
+   * @param {(config: object) => void} onReload - gọi khi cert/key/CA đổi (đã validate)
+   */
+  constructor(config, onReload) {
+    this.config = config;
+    this.onReload = onReload;
+    this.watched = new Set();
+  }
+
+  start() {
+    this._watch([runtimeEnvPath(), ...this.config.files]);
+  }
+
+  stop() {
+    for (const file of this.watched) fs.unwatchFile(file);
+    this.watched.clear();
+  }
+
+  _watch(files) {
+    for (const file of files) {
+      if (this.watched.has(file)) continue;
+      this.watched.add(file);
+      fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, (cur, prev) => {
+        if (cur.mtimeMs !== prev.mtimeMs) this.reload(`đổi ${path.basename(file)}`);
+      });
+    }
+  }
+
+  // đọc lại env + file; lỗi => giữ cert hiện tại
+  reload(reason) {
+    let next;
+    try {
+      next = loadTlsConfig();
+    } catch (e) {
+      console.error(`❌ TLS reload (${reason}): ${e.message} (giữ cert hiện tại)`);
+      return false;
+    }
+
+    this._watch(next.files);
+    if (tlsSignature(next) === tlsSignature(this.config)) return false;
+
+    this.config = next;
+    this.onReload(next, reason);
+    return true;
+  }
+}
+
+module.exports = { loadTlsConfig, describeTlsConfig, TlsReloader };
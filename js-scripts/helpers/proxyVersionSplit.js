@@ -0,0 +1,206 @@
+// proxyVersionSplit.js
+// Nghiệp vụ: Chia traffic theo `version` của worker (canary) cho http-proxy-listener
+// - pin     : request có header (default x-version) => chỉ đi worker đúng version đó
+// - weights : % traffic cho từng version, vd 90% "1.2.0" / 10% "1.3.0"
+// - ramp    : tự dồn traffic sang version có upload_at mới nhất trong khoảng thời gian cấu hình
+// Chia trong từng group: chọn version trước, rồi strategy của group chọn worker trong version đó.
+// Version được chọn không còn worker khả dụng => không giới hạn (trừ pin strict).
+//
+// Firebase (proxy-config, hot reload, ghi đè ENV):
+// {
+//   "version_split": {
+//     "header": "x-version",                  // "" = tắt pin theo header
+//     "strict": false,                        // true = header trỏ tới version không có worker => 503 thay vì chia như thường
+//     "weights": {                            // ưu tiên hơn ramp; version không liệt kê không nhận traffic
+//       "stable": { "version": "1.2.0", "percent": 90 },
+//       "canary": { "version": "1.3.0", "percent": 10 }
+//     },
+//     "ramp": { "duration_sec": 1800, "start_percent": 5 }   // version mới nhất: 5% -> 100% trong 30 phút kể từ upload_at
+//   }
+// }
+// (RTDB không cho "." trong key nên version nằm trong value; "weights" dạng mảng cũng được)
+//
+// Env (giá trị mặc định):
+// - ENV_HTTP_PROXY_VERSION_HEADER        : header pin version (default: x-version, "" = tắt)
+// - ENV_HTTP_PROXY_VERSION_WEIGHTS       : "1.2.0=90,1.3.0=10" (default: không chia)
+// - ENV_HTTP_PROXY_VERSION_RAMP_SEC      : thời gian ramp version mới (default: 0 = tắt)
+// - ENV_HTTP_PROXY_VERSION_RAMP_START_PCT: % khởi đầu của ramp (default: 0)
+
+const OTHERS = "*"; // nhãn "các version còn lại" khi ramp
+
+function toPercent(v, field) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > 100) throw new Error(`${field} không hợp lệ: ${v} (0..100)`);
+  return n;
+}
+
+function normalizeWeights(raw) {
+  if (!raw) return [];
+  const list = Array.isArray(raw) ? raw : Object.values(raw);
+  const seen = new Set();
+  const weights = [];
+
+  for (const [i, w] of list.entries()) {
+    if (!w) continue;
+    const version = String(w.version || "").trim();
+    if (!version) throw new Error(`version_split.weights[${i}]: thiếu "version"`);
+    if (seen.has(version)) throw new Error(`version_split.weights: version ${version} bị lặp`);
+    seen.add(version);
+    weights.push({ version, percent: toPercent(w.percent, `version_split.weights.${version}.percent`) });
+  }
+
+  if (weights.length && !weights.some((w) => w.percent > 0)) throw new Error("version_split.weights: tổng percent phải > 0");
+  return weights;
+}
+
+function normalizeVersionSplitConfig(raw, fallback) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const ramp = src.ramp && typeof src.ramp === "object" ? src.ramp : {};
+
+  const durationSec = ramp.duration_sec !== undefined ? Number(ramp.duration_sec) : fallback.ramp.durationSec;
+  if (!Number.isFinite(durationSec) || durationSec < 0) throw new Error(`version_split.ramp.duration_sec không hợp lệ: ${ramp.duration_sec}`);
+
+  return {
+    header: src.header !== undefined ? String(src.header || "").trim().toLowerCase() : fallback.header,
+    strict: src.strict !== undefined ? src.strict === true || src.strict === "true" : fallback.strict,
+    weights: src.weights !== undefined ? normalizeWeights(src.weights) : fallback.weights,
+    ramp: {
+      durationSec,
+      startPercent:
+        ramp.start_percent !== undefined ? toPercent(ramp.start_percent, "version_split.ramp.start_percent") : fallback.ramp.startPercent,
+    },
+  };
+}
+
+function loadVersionSplitConfig(env = process.env) {
+  const off = { header: "x-version", strict: false, weights: [], ramp: { durationSec: 0, startPercent: 0 } };
+  const weights = String(env.ENV_HTTP_PROXY_VERSION_WEIGHTS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const idx = s.lastIndexOf("=");
+      return { version: idx > 0 ? s.slice(0, idx) : s, percent: idx > 0 ? s.slice(idx + 1) : "" };
+    });
+
+  try {
+    return normalizeVersionSplitConfig(
+      {
+        header: env.ENV_HTTP_PROXY_VERSION_HEADER,
+        weights,
+        ramp: { duration_sec: env.ENV_HTTP_PROXY_VERSION_RAMP_SEC || 0, start_percent: env.ENV_HTTP_PROXY_VERSION_RAMP_START_PCT || 0 },
+      },
+      off
+    );
+  } catch (e) {
+    console.warn(`⚠️  ENV version split: ${e.message}, tắt chia traffic theo version`);
+    return off;
+  }
+}
+
+function describeVersionSplitConfig(config) {
+  return {
+    header: config.header || null,
+    strict: config.strict,
+    weights: config.weights,
+    ramp: config.ramp.durationSec ? { duration_sec: config.ramp.durationSec, start_percent: config.ramp.startPercent } : null,
+  };
+}
+
+class VersionSplitter {
+  constructor(config) {
+    this.config = config;
+    this.source = "env";
+  }
+
+  // trả về true nếu cấu hình thực sự đổi
+  setConfig(config, source) {
+    const changed = JSON.stringify(describeVersionSplitConfig(config)) !== JSON.stringify(describeVersionSplitConfig(this.config));
+    this.config = config;
+    this.source = source;
+    return changed;
+  }
+
+  _wanted(req) {
+    const { header } = this.config;
+    const v = header && req && req.headers[header];
+    return v ? String(Array.isArray(v) ? v[0] : v).trim() : null;
+  }
+
+  /**
+   * Tỉ lệ traffic hiện tại theo version.
+   * @param {object[]} candidates - worker khả dụng của group
+   * @param {object[]} all - toàn bộ worker của group (tính mốc bắt đầu ramp)
+   * @returns {{ mode: string, shares: Array<{ version: string, percent: number }>, ramp?: object } | null} null = không chia
+   */
+  shares(candidates, all = candidates) {
+    const present = new Set(candidates.map((w) => w.version));
+
+    if (this.config.weights.length) {
+      const shares = this.config.weights.filter((w) => w.percent > 0 && present.has(w.version));
+      return shares.length ? { mode: "weights", shares } : null;
+    }
+
+    const { durationSec, startPercent } = this.config.ramp;
+    if (!durationSec || present.size < 2) return null;
+
+    const newest = candidates.reduce((a, b) => (b.upload_at > a.upload_at ? b : a)).version;
+    const startedAt = Math.min(...all.filter((w) => w.version === newest).map((w) => w.upload_at));
+    const progress = Math.min(1, Math.max(0, (Date.now() - startedAt) / (durationSec * 1000)));
+    const percent = Math.round((startPercent + (100 - startPercent) * progress) * 100) / 100;
+
+    return {
+      mode: "ramp",
+      shares: [
+        { version: newest, percent },
+        { version: OTHERS, percent: Math.round((100 - percent) * 100) / 100 },
+      ],
+      ramp: { version: newest, started_at: new Date(startedAt).toISOString(), progress: Math.round(progress * 1000) / 1000 },
+    };
+  }
+
+  /**
+   * Chọn version cho request.
+   * @returns {{ match: (worker: object) => boolean, version: string, reason: string } | null} null = không giới hạn
+   */
+  choose(req, candidates, all) {
+    const wanted = this._wanted(req);
+    if (wanted && (this.config.strict || candidates.some((w) => w.version === wanted))) {
+      return { match: (w) => w.version === wanted, version: wanted, reason: "header" };
+    }
+
+    const split = this.shares(candidates, all);
+    if (!split) return null;
+
+    const total = split.shares.reduce((sum, s) => sum + s.percent, 0);
+    let r = Math.random() * total;
+    let picked = split.shares[split.shares.length - 1];
+    for (const s of split.shares) {
+      if (r < s.percent) {
+        picked = s;
+        break;
+      }
+      r -= s.percent;
+    }
+
+    if (picked.version === OTHERS) {
+      const newest = split.ramp.version;
+      return { match: (w) => w.version !== newest, version: OTHERS, reason: split.mode };
+    }
+    return { match: (w) => w.version === picked.version, version: picked.version, reason: split.mode };
+  }
+
+  // worker đang ghim (sticky) còn hợp lệ không: sai version của header / version đã bị rút về 0%
+  allowsPinned(req, worker) {
+    const wanted = this._wanted(req);
+    if (wanted) return worker.version === wanted;
+    if (!this.config.weights.length) return true;
+    return this.config.weights.some((w) => w.version === worker.version && w.percent > 0);
+  }
+
+  describe() {
+    return { source: this.source, ...describeVersionSplitConfig(this.config) };
+  }
+}
+
+module.exports = { VersionSplitter, loadVersionSplitConfig, normalizeVersionSplitConfig };
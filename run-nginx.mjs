@@ -6,9 +6,11 @@
  * - start nginx foreground (daemon off)
  * - Auto reload if nginx is already running
  * - Handle PM2 restart properly
+ * - SIGHUP (envListener restart map action "reload"): đọc lại .env.runtime, ghi nginx.conf mới, nginx -t rồi reload không restart
  *
  * Env:
  * - APP_CWD: repo root (default: process.cwd())
+ * - ENV_FILE_PATH: file env envListener ghi (default: <APP_CWD>/.env.runtime)
  * - NGINX_CONF_PATH: absolute/relative path to nginx.conf (default: <APP_CWD>/nginx.conf)
  * - NGINX_PREFIX: nginx prefix folder for logs/run/temp (default: <APP_CWD>/nginx)
  */
@@ -18,7 +20,9 @@ import path from "node:path";
 import crypto from "node:crypto";
 import { spawn, execSync } from "node:child_process";
 import dotenv from "dotenv";
-dotenv.config({ path: ".env.runtime", override: true });
+import { runtimeEnvPath } from "./js-scripts/helpers/envUpdater.js";
+const ENV_FILE = runtimeEnvPath();
+dotenv.config({ path: ENV_FILE, override: true });
 const CWD = process.env.APP_CWD ? path.resolve(process.env.APP_CWD) : process.cwd();
 const NGINX_CONF_PATH = process.env.NGINX_CONF_PATH ? path.resolve(CWD, process.env.NGINX_CONF_PATH) : path.join(CWD, "nginx.conf");
 const NGINX_PREFIX = process.env.NGINX_PREFIX ? path.resolve(CWD, process.env.NGINX_PREFIX) : path.join(CWD, "nginx");
@@ -26,10 +30,13 @@ const PID_FILE = path.join(NGINX_PREFIX, "run", "nginx.pid");
 const HASH_FILE = path.join(NGINX_PREFIX, "run", "config.hash");
 
 // lấy conf: ưu tiên base64
-const confB64 = process.env.NGINX_CONF__BASE64__ || "";
-const confRaw = process.env.NGINX_CONF || "";
+function readConfFromEnv() {
+  const confB64 = process.env.NGINX_CONF__BASE64__ || "";
+  const confRaw = process.env.NGINX_CONF || "";
+  return confB64 ? Buffer.from(confB64, "base64").toString("utf8") : confRaw;
+}
 
-const conf = confB64 ? Buffer.from(confB64, "base64").toString("utf8") : confRaw;
+const conf = readConfFromEnv();
 
 if (!conf || !conf.trim()) {
   console.error("❌ Missing nginx config. Provide NGINX_CONF__BASE64__ or NGINX_CONF.");
@@ -126,6 +133,35 @@ function reloadNginx() {
   }
 }
 
+/**
+ * SIGHUP: đọc lại .env.runtime => ghi nginx.conf mới + reload (config lỗi => trả lại nginx.conf cũ)
+ */
+function handleReloadSignal() {
+  process.on("SIGHUP", () => {
+    console.log(`🔔 SIGHUP: đọc lại ${ENV_FILE} ...`);
+    dotenv.config({ path: ENV_FILE, override: true });
+
+    const next = readConfFromEnv();
+    if (!next || !next.trim()) {
+      console.error("❌ Missing nginx config sau khi đọc lại env, giữ config hiện tại");
+      return;
+    }
+
+    const prev = fs.existsSync(NGINX_CONF_PATH) ? fs.readFileSync(NGINX_CONF_PATH, "utf8") : null;
+    if (prev === next) {
+      console.log("✅ Config KHÔNG ĐỔI, vẫn reload để nginx mở lại file log / cert");
+    }
+
+    fs.writeFileSync(NGINX_CONF_PATH, next, { encoding: "utf8" });
+    if (reloadNginx()) {
+      fs.writeFileSync(HASH_FILE, getConfigHash(next), { encoding: "utf8" });
+    } else if (prev !== null) {
+      fs.writeFileSync(NGINX_CONF_PATH, prev, { encoding: "utf8" });
+      console.log("↩️  Đã trả lại nginx.conf cũ");
+    }
+  });
+}
+
 /**
  * Stop nginx gracefully
  */
@@ -226,6 +262,8 @@ function main() {
         // Attach vào process cũ để PM2 có thể quản lý
         const oldPid = parseInt(fs.readFileSync(PID_FILE, "utf8").trim(), 10);
 
+        handleReloadSignal();
+
         // Keep this process alive để PM2 không tưởng là crashed
         setInterval(() => {
           // Check nginx vẫn còn chạy không
@@ -256,6 +294,7 @@ function main() {
 
   console.log("🚀 Starting nginx (daemon off) ...");
   const nginx = runNginx(["-p", NGINX_PREFIX, "-c", NGINX_CONF_PATH, "-g", "daemon off;"], "nginx");
+  handleReloadSignal();
 
   const shutdown = (sig) => {
     console.log(`🛑 Received ${sig}, stopping nginx...`);